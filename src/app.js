@@ -1,13 +1,29 @@
+// Loaded before anything else, many modules read process.env when required
+require("dotenv").config();
+
 const express = require("express");
 const cors = require("cors");
-const dotenv = require("dotenv");
 const connectDB = require("./config/database");
-const path = require("path");
 
 const authRouter = require("./routes/auth");
 const videoRouter = require("./routes/videoRouter");
-
-dotenv.config();
+const workspaceRouter = require("./routes/workspaceRouter");
+const folderRouter = require("./routes/folderRouter");
+const webhookRouter = require("./routes/webhookRouter");
+const usageRouter = require("./routes/usageRouter");
+const subtitleStyleRouter = require("./routes/subtitleStyleRouter");
+const { startJobWorker } = require("./jobs/jobQueue");
+const { scheduleTask } = require("./jobs/scheduler");
+const { expireStaleUploadSessions } = require("./utils/chunkedUpload");
+const { purgeExpiredTrash } = require("./utils/videoTrash");
+const { rollupViewStats } = require("./utils/viewAnalytics");
+const { deliverDueWebhooks, pruneWebhookDeliveries } = require("./utils/webhooks");
+require("./jobs/processVideo");
+require("./jobs/rerenderCaptions");
+require("./jobs/translateTracks");
+require("./jobs/generateThumbnails");
+require("./jobs/editVideo");
+require("./jobs/enrichVideo");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -15,20 +31,26 @@ const PORT = process.env.PORT || 5000;
 app.use(cors({ origin: '*' }));
 app.use(express.json()); // To parse incoming JSON requests
 
-// Serve static files properly
-app.use("/uploads/videos", express.static(path.join(__dirname, "uploads/videos")));
-app.use("/uploads/thumbnails", express.static(path.join(__dirname, "uploads/thumbnails")));
-
-// Optional: general catch-all in case you want to access anything else in /uploads
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
-
 // Mount routers with proper prefixes
 app.use("/api/auth", authRouter);
 app.use("/api/videos", videoRouter);
+app.use("/api/workspaces", workspaceRouter);
+app.use("/api/folders", folderRouter);
+app.use("/api/webhooks", webhookRouter);
+app.use("/api/usage", usageRouter);
+app.use("/api/subtitle-styles", subtitleStyleRouter);
 
 connectDB()
     .then(() => {
         console.log("connected to the database cluster successfully");
+        startJobWorker().catch((err) => {
+            console.log("Failed to start the job worker " + err.message);
+        });
+        scheduleTask("expire-upload-sessions", 60 * 60 * 1000, expireStaleUploadSessions);
+        scheduleTask("purge-trash", 60 * 60 * 1000, purgeExpiredTrash);
+        scheduleTask("rollup-view-stats", 15 * 60 * 1000, rollupViewStats);
+        scheduleTask("deliver-webhooks", 15 * 1000, deliverDueWebhooks);
+        scheduleTask("prune-webhook-deliveries", 24 * 60 * 60 * 1000, pruneWebhookDeliveries);
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`Server running on http://0.0.0.0:${PORT}`);
         });
@@ -0,0 +1,34 @@
+const GB = 1024 * 1024 * 1024;
+
+// Limits per plan. null means unlimited.
+// storageBytes: size of all of a user's videos, the trash included
+// videos: videos outside the trash
+// processingMinutesPerMonth: minutes of uploaded video processed per calendar month (UTC)
+// maxVideoSeconds: longest video that can be uploaded
+const PLANS = {
+  free: {
+    label: "Free",
+    storageBytes: 5 * GB,
+    videos: 25,
+    processingMinutesPerMonth: 120,
+    maxVideoSeconds: 5 * 60
+  },
+  pro: {
+    label: "Pro",
+    storageBytes: 200 * GB,
+    videos: null,
+    processingMinutesPerMonth: 2000,
+    maxVideoSeconds: 2 * 60 * 60
+  },
+  business: {
+    label: "Business",
+    storageBytes: 1024 * GB,
+    videos: null,
+    processingMinutesPerMonth: 10000,
+    maxVideoSeconds: 4 * 60 * 60
+  }
+};
+
+const DEFAULT_PLAN = PLANS[process.env.DEFAULT_PLAN] ? process.env.DEFAULT_PLAN : "free";
+
+module.exports = { PLANS, DEFAULT_PLAN };
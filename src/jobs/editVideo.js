@@ -0,0 +1,248 @@
+const fs = require("fs");
+const path = require("path");
+const Video = require("../models/video");
+const { registerJobHandler, enterStage, permanentError } = require("./jobQueue");
+const { renderClips } = require("../utils/renderClips");
+const { burnSubtitlesIntoVideo } = require("../utils/burnSubtitles");
+const { formatSrt } = require("../utils/subtitleFormats");
+const { remapCues, remapChapters } = require("../utils/timelineEdits");
+const { probeMedia, toMediaInfo } = require("../utils/probeMedia");
+const { WORK_ROOT } = require("../utils/uploadPaths");
+const { getStorage, fetchToLocal, putLocalFile } = require("../services/storage");
+const { packageVideoHls } = require("./packageVideoHls");
+const { generateVideoImages } = require("./generateThumbnails");
+const { refreshVideoStorage } = require("../utils/quotas");
+
+const EDIT_VIDEO_JOB = "edit-video";
+
+const STAGES = {
+  rendering: { name: "rendering-edit", start: 0, end: 40 },
+  burningSubtitles: { name: "burning-subtitles", start: 40, end: 70 },
+  packagingHls: { name: "packaging-hls", start: 70, end: 90 },
+  generatingThumbnails: { name: "generating-thumbnails", start: 90, end: 95 },
+  saving: { name: "saving", start: 95, end: 100 }
+};
+
+const isEdited = (video) => Boolean(video.edit?.original?.videoKey);
+
+// What edits cut from: the unedited clean file, its length in ms, its cues and chapters.
+// Edits never stack, every edit starts over from this version.
+function editSourceOf(video) {
+  const original = isEdited(video) ? video.edit.original : video;
+  return {
+    key: original.sourceKey || original.videoKey,
+    duration: Math.round((original.duration || 0) * 1000),
+    subtitleTracks: original.subtitleTracks || [],
+    chapters: original.chapters || []
+  };
+}
+
+// The main track leads, the one burned in when captions are burned
+function primaryTrackOf(video, tracks) {
+  return tracks.find(track => track.lang === video.language) || tracks[0] || null;
+}
+
+// One track per language found in any clip's source, cues moved onto the new timeline
+function buildEditedTracks(video, clips, sources) {
+  const templates = new Map();
+  for (const clip of clips) {
+    for (const track of sources.get(clip.video).subtitleTracks) {
+      if (!templates.has(track.lang)) {
+        templates.set(track.lang, { lang: track.lang, label: track.label, kind: track.kind });
+      }
+    }
+  }
+
+  const tracks = [];
+  for (const template of templates.values()) {
+    const cues = remapCues(clips, (clip) => {
+      const track = sources.get(clip.video).subtitleTracks.find(entry => entry.lang === template.lang);
+      return track ? track.cues : [];
+    });
+    if (cues.length) {
+      tracks.push({ ...template, cues, srt: formatSrt(cues) });
+    }
+  }
+
+  const primary = primaryTrackOf(video, tracks);
+  return primary ? [primary, ...tracks.filter(track => track !== primary)] : tracks;
+}
+
+// Delete keys of a replaced version, never the ones still in use
+async function deleteReplacedKeys(keys, keep) {
+  const storage = getStorage();
+  for (const key of new Set(keys)) {
+    if (key && !keep.includes(key)) {
+      await storage.delete(key).catch(() => {});
+    }
+  }
+}
+
+async function applyEdit(video, clips, workDir, context) {
+  const clipVideoIds = [...new Set(clips.map(clip => clip.video))];
+  const clipVideos = await Video.find({ _id: { $in: clipVideoIds }, owner: video.owner, deletedAt: null });
+  if (clipVideos.length !== clipVideoIds.length) {
+    throw permanentError("A video used in the edit no longer exists");
+  }
+
+  // Fetch and probe each source once, however many clips come from it
+  const sources = new Map();
+  for (const [i, clipVideo] of clipVideos.entries()) {
+    const source = editSourceOf(clipVideo);
+    const { path: filePath } = await fetchToLocal(source.key, path.join(workDir, `source-${i}`));
+    sources.set(clipVideo._id.toString(), { ...source, path: filePath, probe: await probeMedia(filePath) });
+  }
+
+  // The first clip decides the frame size and rate of the result
+  const first = sources.get(clips[0].video).probe;
+  const renderProgress = await enterStage(context, STAGES.rendering);
+  const editedPath = await renderClips(
+    clips.map(clip => ({ ...clip, path: sources.get(clip.video).path, hasAudio: sources.get(clip.video).probe.hasAudio })),
+    path.join(workDir, `edited-${Date.now()}.mp4`),
+    { width: first.width, height: first.height, frameRate: first.frameRate || 30 },
+    renderProgress
+  );
+
+  const tracks = buildEditedTracks(video, clips, sources);
+  const primary = primaryTrackOf(video, tracks);
+
+  let finalPath = editedPath;
+  if (video.captionMode !== "soft" && primary) {
+    const burnProgress = await enterStage(context, STAGES.burningSubtitles);
+    const srtPath = path.join(workDir, `${primary.lang}.srt`);
+    fs.writeFileSync(srtPath, primary.srt, "utf8");
+    finalPath = await burnSubtitlesIntoVideo(editedPath, srtPath, workDir, burnProgress, video.subtitleStyle);
+  }
+
+  const chapters = remapChapters(clips, (clip) => sources.get(clip.video).chapters);
+
+  return { editedPath, finalPath, tracks, primary, chapters };
+}
+
+// payload { videoId, clips: [{ video, start, end }] } renders a new version,
+// { videoId, revert: true } goes back to the unedited one
+async function editVideoJob(job, context) {
+  const { videoId, clips, revert } = job.payload;
+
+  const video = await Video.findOne({ _id: videoId, deletedAt: null });
+  if (!video) {
+    throw permanentError(`Video ${videoId} no longer exists`);
+  }
+  if (revert && !isEdited(video)) {
+    throw permanentError("Video has no edit to revert");
+  }
+
+  const workDir = path.join(WORK_ROOT, `edit-${job._id}`);
+  fs.mkdirSync(workDir, { recursive: true });
+
+  const storedKeys = [];
+  try {
+    const previous = { videoKey: video.videoKey, sourceKey: video.sourceKey };
+    const original = isEdited(video)
+      ? video.toObject().edit.original
+      : {
+        videoKey: video.videoKey,
+        sourceKey: video.sourceKey,
+        duration: video.duration,
+        subtitle: video.subtitle,
+        subtitleTracks: video.subtitleTracks.map(track => track.toObject()),
+        chapters: video.chapters.map(chapter => chapter.toObject())
+      };
+
+    let playablePath;
+    let cleanPath;
+    let result;
+    if (revert) {
+      // The unedited files are still in storage, only the derived images and HLS are rebuilt
+      ({ path: playablePath } = await fetchToLocal(original.videoKey, path.join(workDir, "original")));
+      cleanPath = original.sourceKey && original.sourceKey !== original.videoKey
+        ? (await fetchToLocal(original.sourceKey, path.join(workDir, "original-source"))).path
+        : playablePath;
+    } else {
+      result = await applyEdit(video, clips, workDir, context);
+      playablePath = result.finalPath;
+      cleanPath = result.editedPath;
+    }
+
+    const hlsProgress = await enterStage(context, STAGES.packagingHls);
+    try {
+      await packageVideoHls(video, playablePath, workDir, hlsProgress);
+    } catch (hlsError) {
+      console.error("HLS packaging failed:", hlsError.message);
+    }
+
+    const thumbnailProgress = await enterStage(context, STAGES.generatingThumbnails);
+    await generateVideoImages(video, cleanPath, workDir, thumbnailProgress);
+
+    await enterStage(context, STAGES.saving);
+    const probe = await probeMedia(playablePath);
+    const $set = {
+      duration: probe.duration,
+      media: toMediaInfo(probe),
+      "edit.error": ""
+    };
+
+    if (revert) {
+      Object.assign($set, {
+        videoKey: original.videoKey,
+        sourceKey: original.sourceKey,
+        subtitle: original.subtitle,
+        subtitleTracks: original.subtitleTracks,
+        chapters: original.chapters || [],
+        "edit.status": "none",
+        "edit.clips": [],
+        "edit.editedAt": null,
+        "edit.original": { videoKey: "", sourceKey: "", subtitle: "", subtitleTracks: [], chapters: [] }
+      });
+    } else {
+      const baseName = path.basename(original.sourceKey || original.videoKey, path.extname(original.sourceKey || original.videoKey));
+      const stamp = Date.now();
+      const sourceKey = await putLocalFile(`videos/${baseName}-edited-${stamp}.mp4`, result.editedPath);
+      storedKeys.push(sourceKey);
+      const videoKey = result.finalPath === result.editedPath
+        ? sourceKey
+        : await putLocalFile(`videos/${baseName}-edited-${stamp}-subtitled.mp4`, result.finalPath);
+      storedKeys.push(videoKey);
+
+      Object.assign($set, {
+        videoKey,
+        sourceKey,
+        subtitle: result.primary ? result.primary.srt : "",
+        subtitleTracks: result.tracks,
+        chapters: result.chapters,
+        "edit.status": "ready",
+        "edit.clips": clips,
+        "edit.editedAt": new Date(),
+        "edit.original": original
+      });
+    }
+
+    await Video.updateOne({ _id: video._id }, { $set });
+
+    // The unedited files always stay; an earlier edit's files are replaced
+    await deleteReplacedKeys(
+      [previous.videoKey, previous.sourceKey],
+      [original.videoKey, original.sourceKey, $set.videoKey, $set.sourceKey]
+    );
+    await refreshVideoStorage(video._id);
+
+    return { videoId: video._id, videoKey: $set.videoKey, duration: probe.duration, reverted: Boolean(revert) };
+  } catch (err) {
+    await Promise.all(storedKeys.map(key => getStorage().delete(key).catch(() => {})));
+    throw err;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Called once every retry has failed; the current version keeps playing
+async function onEditVideoFailed(job, err) {
+  await Video.updateOne(
+    { _id: job.payload.videoId },
+    { $set: { "edit.status": "failed", "edit.error": err.message } }
+  );
+}
+
+registerJobHandler(EDIT_VIDEO_JOB, editVideoJob, { onFailed: onEditVideoFailed });
+
+module.exports = { EDIT_VIDEO_JOB, editSourceOf, isEdited };
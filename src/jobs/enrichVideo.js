@@ -0,0 +1,81 @@
+const Video = require("../models/video");
+const { registerJobHandler, permanentError } = require("./jobQueue");
+const { generateEnrichment } = require("../services/llm");
+
+const ENRICH_VIDEO_JOB = "enrich-video";
+// Title given to uploads that came without one; a suggested title replaces it
+const DEFAULT_VIDEO_TITLE = "Untitled Video";
+
+// The transcript in the language that was spoken
+const primaryTrackOf = (video) => video.subtitleTracks.find(track => track.lang === video.language) || video.subtitleTracks[0];
+
+// Summary, title suggestion and chapters for a transcribed video. Resolves with
+// the fields to $set; chapters edited by hand are left as they are.
+async function buildEnrichment(video) {
+  const track = primaryTrackOf(video);
+  if (!track || !track.cues.length) {
+    throw permanentError("Video has no transcript to summarize");
+  }
+
+  const result = await generateEnrichment({
+    cues: track.cues.map(cue => ({ start: cue.start, end: cue.end, text: cue.text })),
+    language: track.lang,
+    durationMs: Math.round((video.duration || 0) * 1000)
+  });
+
+  const updates = {
+    "enrichment.status": "ready",
+    "enrichment.error": "",
+    "enrichment.provider": result.provider,
+    "enrichment.summary": result.summary,
+    "enrichment.suggestedTitle": result.title,
+    "enrichment.generatedAt": new Date()
+  };
+  if (!video.enrichment?.chaptersEditedAt) {
+    updates.chapters = result.chapters;
+  }
+  if (video.title === DEFAULT_VIDEO_TITLE && result.title) {
+    updates.title = result.title;
+  }
+  return updates;
+}
+
+// Regenerate for a video that has already been processed
+async function enrichVideoJob(job, context) {
+  const { videoId, overwriteChapters } = job.payload;
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new Error(`Video ${videoId} no longer exists`);
+  }
+  if (overwriteChapters) {
+    video.enrichment.chaptersEditedAt = null;
+  }
+
+  await context.setStage("enriching", 10);
+  const updates = await buildEnrichment(video);
+  if (overwriteChapters) {
+    updates["enrichment.chaptersEditedAt"] = null;
+  }
+
+  await context.setStage("saving", 90);
+  // Only the generated fields, so edits made meanwhile are kept
+  await Video.updateOne({ _id: video._id }, { $set: updates });
+
+  return {
+    videoId: video._id,
+    title: updates.title || video.title,
+    chapters: updates.chapters ? updates.chapters.length : video.chapters.length
+  };
+}
+
+async function onEnrichVideoFailed(job, err) {
+  await Video.updateOne(
+    { _id: job.payload.videoId },
+    { $set: { "enrichment.status": "failed", "enrichment.error": err.message } }
+  );
+}
+
+registerJobHandler(ENRICH_VIDEO_JOB, enrichVideoJob, { onFailed: onEnrichVideoFailed });
+
+module.exports = { ENRICH_VIDEO_JOB, DEFAULT_VIDEO_TITLE, buildEnrichment };
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const Video = require("../models/video");
+const { registerJobHandler } = require("./jobQueue");
+const { WORK_ROOT } = require("../utils/uploadPaths");
+const { getStorage, fetchToLocal, putLocalFile, putDirectory } = require("../services/storage");
+const { extractFrame, extractCandidateFrames, pickPoster, generateStoryboard } = require("../utils/thumbnails");
+const { refreshVideoStorage } = require("../utils/quotas");
+
+const THUMBNAILS_JOB = "generate-thumbnails";
+
+const candidatePrefix = (video) => `thumbnails/${video._id}/candidates`;
+const storyboardPrefix = (video) => `storyboards/${video._id}`;
+
+// Posters the owner picked by hand survive a regeneration
+const keepsPoster = (video) => video.thumbnailSource === "upload" || video.thumbnailSource === "timestamp";
+
+async function storeCandidates(video, videoPath, workDir) {
+  const outputDir = path.join(workDir, "candidates");
+  try {
+    const frames = await extractCandidateFrames(videoPath, outputDir);
+    await putDirectory(candidatePrefix(video), outputDir);
+
+    const candidates = frames.map(frame => ({
+      time: frame.time,
+      key: `${candidatePrefix(video)}/${path.basename(frame.path)}`,
+      brightness: frame.brightness,
+      sharpness: frame.sharpness,
+      score: frame.score
+    }));
+    const $set = { thumbnailCandidates: candidates };
+    if (!keepsPoster(video)) {
+      const poster = candidates[frames.indexOf(pickPoster(frames))];
+      $set.thumbnailKey = poster.key;
+      $set.thumbnailSource = "auto";
+    }
+
+    await Video.updateOne({ _id: video._id }, { $set });
+    Object.assign(video, $set);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+async function storeStoryboard(video, videoPath, workDir) {
+  const outputDir = path.join(workDir, "storyboard");
+  await Video.updateOne({ _id: video._id }, { $set: { "storyboard.status": "processing" } });
+  try {
+    const { sheets, ...layout } = await generateStoryboard(videoPath, outputDir);
+    await putDirectory(storyboardPrefix(video), outputDir);
+
+    const storyboard = { status: "ready", prefix: storyboardPrefix(video), sheets, ...layout };
+    await Video.updateOne({ _id: video._id }, { $set: { storyboard } });
+    video.storyboard = storyboard;
+  } catch (err) {
+    await Video.updateOne({ _id: video._id }, { $set: { "storyboard.status": "failed" } });
+    throw err;
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+// Pick poster candidates and build the scrubbing storyboard from a local copy
+// of the video. Each half fails on its own; the video plays without either.
+async function generateVideoImages(video, videoPath, workDir, onProgress = () => {}) {
+  const failed = [];
+
+  try {
+    await storeCandidates(video, videoPath, workDir);
+  } catch (err) {
+    console.error("Thumbnail candidates failed:", err.message);
+    failed.push(`thumbnails: ${err.message}`);
+  }
+  onProgress(50);
+
+  try {
+    await storeStoryboard(video, videoPath, workDir);
+  } catch (err) {
+    console.error("Storyboard failed:", err.message);
+    failed.push(`storyboard: ${err.message}`);
+  }
+  onProgress(100);
+
+  return failed;
+}
+
+// Use the frame at `at` ms as the poster
+async function setPosterFromTimestamp(video, videoPath, workDir, at) {
+  const framePath = await extractFrame(videoPath, at / 1000, path.join(workDir, `poster-${at}.jpg`));
+  const previousKey = video.thumbnailKey;
+  const key = await putLocalFile(`thumbnails/${video._id}/poster-${Date.now()}.jpg`, framePath);
+
+  await Video.updateOne({ _id: video._id }, { $set: { thumbnailKey: key, thumbnailSource: "timestamp" } });
+  if (video.thumbnailSource === "timestamp" && previousKey && previousKey !== key) {
+    await getStorage().delete(previousKey).catch(() => {});
+  }
+  return key;
+}
+
+// payload { videoId, at? }: with `at` only that frame becomes the poster,
+// without it all images are regenerated, e.g. for videos processed earlier
+async function generateThumbnailsJob(job, context) {
+  const { videoId, at } = job.payload;
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new Error(`Video ${videoId} no longer exists`);
+  }
+
+  const workDir = path.join(WORK_ROOT, `thumbnails-${job._id}`);
+  fs.mkdirSync(workDir, { recursive: true });
+
+  try {
+    // The clean source keeps burned captions out of posters
+    const { path: videoPath } = await fetchToLocal(video.sourceKey || video.videoKey, workDir);
+
+    if (at !== undefined && at !== null) {
+      await context.setStage("extracting-frame", 0);
+      const thumbnailKey = await setPosterFromTimestamp(video, videoPath, workDir, at);
+      await refreshVideoStorage(video._id);
+      return { videoId: video._id, thumbnailKey };
+    }
+
+    await context.setStage("generating-thumbnails", 0);
+    const failed = await generateVideoImages(video, videoPath, workDir, (percent) => {
+      context.setProgress(percent).catch(() => {});
+    });
+    if (failed.length === 2) {
+      throw new Error(failed.join("; "));
+    }
+    await refreshVideoStorage(video._id);
+    return { videoId: video._id, thumbnailKey: video.thumbnailKey, failed };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+registerJobHandler(THUMBNAILS_JOB, generateThumbnailsJob);
+
+module.exports = { THUMBNAILS_JOB, generateVideoImages };
@@ -0,0 +1,181 @@
+const Job = require("../models/job");
+
+// Configuration
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30 * 1000;
+
+const handlers = new Map();
+let pollTimer = null;
+let isPolling = false;
+let workerStarted = false;
+
+// Register the function that runs jobs of a given type.
+// `options.onFailed` is called once a job has used up all of its attempts.
+function registerJobHandler(type, handler, options = {}) {
+  handlers.set(type, { handler, onFailed: options.onFailed });
+}
+
+async function enqueueJob(type, payload = {}, options = {}) {
+  const job = new Job({
+    type,
+    payload,
+    owner: options.owner,
+    video: options.video,
+    maxAttempts: options.maxAttempts || 3
+  });
+  await job.save();
+  scheduleNextPoll(0);
+  return job;
+}
+
+// Lets a handler report which stage it is in and how far along it is
+function createJobContext(job) {
+  let currentStage = job.stage;
+
+  return {
+    get stage() {
+      return currentStage;
+    },
+    async setStage(stage, progress) {
+      currentStage = stage;
+      const update = { stage };
+      if (typeof progress === "number") {
+        update.progress = progress;
+      }
+      await Job.updateOne({ _id: job._id }, { $set: update });
+    },
+    async setProgress(progress) {
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { progress: Math.min(100, Math.max(0, Math.round(progress))) } }
+      );
+    }
+  };
+}
+
+// Enter one of a handler's stages, where a stage is { name, start, end } in
+// overall percent. Resolves with a callback mapping the stage's own 0-100
+// progress onto the job's.
+async function enterStage(context, stage) {
+  await context.setStage(stage.name, stage.start);
+  let lastReported = stage.start;
+
+  // ffmpeg emits progress many times per second, only persist whole-percent changes
+  return (percent) => {
+    const overall = Math.round(stage.start + ((stage.end - stage.start) * percent) / 100);
+    if (overall !== lastReported) {
+      lastReported = overall;
+      context.setProgress(overall).catch((err) => {
+        console.error("Failed to record job progress:", err.message);
+      });
+    }
+  };
+}
+
+// Errors another attempt cannot fix; the job fails without retrying
+function permanentError(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
+
+async function claimNextJob() {
+  return Job.findOneAndUpdate(
+    { status: "queued", runAt: { $lte: new Date() }, type: { $in: [...handlers.keys()] } },
+    { $set: { status: "running", lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  const { handler, onFailed } = handlers.get(job.type);
+  const context = createJobContext(job);
+
+  try {
+    console.log(`\n=== Running job ${job._id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts} ===`);
+    const result = await handler(job, context);
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: "completed", stage: "completed", progress: 100, result: result || null, lockedAt: null } }
+    );
+    console.log(`Job ${job._id} completed`);
+  } catch (err) {
+    console.error(`Job ${job._id} failed during "${context.stage}":`, err.message);
+    const entry = { message: err.message, stage: context.stage, attempt: job.attempts };
+
+    // Handlers mark errors that another attempt cannot fix, e.g. an unreadable upload
+    if (err.retryable !== false && job.attempts < job.maxAttempts) {
+      // Exponential backoff: 30s, 60s, 120s, ...
+      const delay = RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: "queued", runAt: new Date(Date.now() + delay), lockedAt: null },
+          $push: { errorLog: entry }
+        }
+      );
+      console.log(`Job ${job._id} will be retried in ${delay / 1000}s`);
+      return;
+    }
+
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: "failed", lockedAt: null }, $push: { errorLog: entry } }
+    );
+
+    if (typeof onFailed === "function") {
+      try {
+        await onFailed(job, err);
+      } catch (cleanupErr) {
+        console.error(`Failure handler for job ${job._id} errored:`, cleanupErr);
+      }
+    }
+  }
+}
+
+async function pollJobs() {
+  if (isPolling) {
+    return;
+  }
+  isPolling = true;
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (err) {
+    console.error("Job polling error:", err);
+  } finally {
+    isPolling = false;
+    scheduleNextPoll(POLL_INTERVAL_MS);
+  }
+}
+
+function scheduleNextPoll(delay) {
+  if (!workerStarted) {
+    return;
+  }
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(pollJobs, delay);
+}
+
+// Jobs left "running" by a previous process were interrupted by a restart,
+// so put them back in the queue before the worker starts polling
+async function resumeInterruptedJobs() {
+  const { modifiedCount } = await Job.updateMany(
+    { status: "running" },
+    { $set: { status: "queued", runAt: new Date(), lockedAt: null } }
+  );
+  if (modifiedCount) {
+    console.log(`Resuming ${modifiedCount} interrupted job(s)`);
+  }
+}
+
+async function startJobWorker() {
+  await resumeInterruptedJobs();
+  workerStarted = true;
+  scheduleNextPoll(0);
+}
+
+module.exports = { registerJobHandler, enqueueJob, startJobWorker, enterStage, permanentError };
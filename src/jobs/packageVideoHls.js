@@ -0,0 +1,30 @@
+const fs = require("fs");
+const path = require("path");
+const Video = require("../models/video");
+const { packageHls } = require("../utils/packageHls");
+const { putDirectory } = require("../services/storage");
+
+const hlsPrefix = (video) => `hls/${video._id}`;
+
+// Build the HLS ladder for a video in `workDir`, store it and record the renditions.
+// A failure is recorded on the video and rethrown for the caller to decide on.
+async function packageVideoHls(video, videoPath, workDir, onProgress) {
+  const outputDir = path.join(workDir, "hls");
+
+  await Video.updateOne({ _id: video._id }, { $set: { "hls.status": "processing" } });
+  try {
+    const renditions = await packageHls(videoPath, outputDir, onProgress);
+    await putDirectory(hlsPrefix(video), outputDir);
+    const hls = { status: "ready", prefix: hlsPrefix(video), renditions };
+    await Video.updateOne({ _id: video._id }, { $set: { hls } });
+    video.hls = hls;
+    return hls;
+  } catch (err) {
+    await Video.updateOne({ _id: video._id }, { $set: { "hls.status": "failed" } });
+    throw err;
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { packageVideoHls };
@@ -0,0 +1,339 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const Video = require("../models/video");
+const { registerJobHandler, enterStage, permanentError } = require("./jobQueue");
+const { extractAudioFromVideo } = require("../utils/extractAudio");
+const { transcribeAudio } = require("../services/transcription");
+const { burnSubtitlesIntoVideo } = require("../utils/burnSubtitles");
+const { WORK_ROOT } = require("../utils/uploadPaths");
+const { getStorage, fetchToLocal, putLocalFile } = require("../services/storage");
+const { packageVideoHls } = require("./packageVideoHls");
+const { generateVideoImages } = require("./generateThumbnails");
+const { remuxToMp4 } = require("../utils/remuxVideo");
+const { languageLabel } = require("../utils/languages");
+const { formatSrt } = require("../utils/subtitleFormats");
+const { translateTracks } = require("./translateTracks");
+const { probeMedia, toMediaInfo } = require("../utils/probeMedia");
+const { isLlmConfigured } = require("../services/llm");
+const { buildEnrichment } = require("./enrichVideo");
+const { notifyVideoEvent } = require("../utils/webhooks");
+const { refreshVideoStorage } = require("../utils/quotas");
+const { enhanceAudio, detectSilences } = require("../utils/enhanceAudio");
+const { renderClips } = require("../utils/renderClips");
+const { remapCues } = require("../utils/timelineEdits");
+const {
+  SILENCE_DETECTION,
+  MIN_SILENCE_MS,
+  transcriptGaps,
+  planSilenceCuts,
+  keepRangesAround
+} = require("../utils/audioCleanup");
+const writeFile = promisify(fs.writeFile);
+
+const PROCESS_VIDEO_JOB = "process-video";
+
+// Each stage owns a slice of the overall 0-100 progress
+const STAGES = {
+  probing: { name: "probing", start: 0, end: 2 },
+  cleaningAudio: { name: "cleaning-audio", start: 2, end: 10 },
+  extractingAudio: { name: "extracting-audio", start: 10, end: 14 },
+  transcribing: { name: "transcribing", start: 14, end: 35 },
+  translating: { name: "translating", start: 35, end: 40 },
+  trimmingSilence: { name: "trimming-silence", start: 40, end: 52 },
+  burningSubtitles: { name: "burning-subtitles", start: 52, end: 72 },
+  remuxing: { name: "remuxing", start: 52, end: 72 },
+  packagingHls: { name: "packaging-hls", start: 72, end: 90 },
+  generatingThumbnails: { name: "generating-thumbnails", start: 90, end: 95 },
+  enriching: { name: "enriching", start: 95, end: 98 },
+  saving: { name: "saving", start: 98, end: 100 }
+};
+
+// Uploads are normally probed when they arrive; older queued jobs are probed here
+async function ensureMediaInfo(video, videoPath, context) {
+  if (video.media?.probedAt) {
+    return video.media;
+  }
+
+  await enterStage(context, STAGES.probing);
+  let probe;
+  try {
+    probe = await probeMedia(videoPath);
+  } catch (err) {
+    throw err.unreadable ? permanentError(err.message) : err;
+  }
+  if (!probe.hasVideo) {
+    throw permanentError("The upload has no video stream");
+  }
+
+  video.media = toMediaInfo(probe);
+  video.duration = probe.duration;
+  if (!probe.hasAudio && !video.processingWarnings.includes("no-audio")) {
+    video.processingWarnings.push("no-audio");
+  }
+  return video.media;
+}
+
+// Audio -> transcript -> translations. Resolves with the tracks and the SRT on disk.
+async function transcribeVideo(video, videoPath, workDir, context) {
+  console.log("\n1. Extracting audio...");
+  const audioProgress = await enterStage(context, STAGES.extractingAudio);
+  const audioPath = await extractAudioFromVideo(videoPath, workDir, audioProgress);
+
+  console.log("\n2. Transcribing audio...");
+  await enterStage(context, STAGES.transcribing);
+  const requestedLanguage = video.language || "auto";
+  const { provider, language, segments } = await transcribeAudio(audioPath, {
+    provider: video.transcriptionProvider || undefined,
+    language: requestedLanguage,
+    workDir
+  });
+  if (!segments.length) {
+    throw new Error("Transcription returned no speech segments");
+  }
+
+  const subtitleText = formatSrt(segments);
+  const srtPath = path.join(workDir, `${path.basename(audioPath, path.extname(audioPath))}.srt`);
+  await writeFile(srtPath, subtitleText, "utf8");
+
+  const primaryTrack = {
+    lang: language,
+    label: languageLabel(language),
+    kind: "captions",
+    cues: segments,
+    srt: subtitleText
+  };
+
+  // Failed languages are logged and left out, the transcript itself is what matters
+  let failedTranslations = [];
+  let translatedTracks = [];
+  if (video.translationLanguages.length) {
+    console.log("\n2b. Translating subtitles...");
+    await enterStage(context, STAGES.translating);
+    ({ tracks: translatedTracks, failed: failedTranslations } = await translateTracks(
+      primaryTrack,
+      video.translationLanguages,
+      { getAudioPath: async () => audioPath, workDir, provider }
+    ));
+  }
+
+  return {
+    provider,
+    language,
+    languageDetected: requestedLanguage === "auto",
+    audioPath,
+    subtitleText,
+    srtPath,
+    tracks: [primaryTrack, ...translatedTracks],
+    failedTranslations
+  };
+}
+
+// Cut long silences out of the video and move every subtitle track to match.
+// Resolves with the trimmed MP4, or the same path when there was nothing to cut.
+async function trimSilences(video, videoPath, transcript, workDir, context) {
+  console.log("\n2c. Trimming silences...");
+  const trimProgress = await enterStage(context, STAGES.trimmingSilence);
+  const durationMs = Math.round((video.duration || 0) * 1000);
+
+  const silences = SILENCE_DETECTION === "transcript"
+    ? transcriptGaps(transcript.tracks[0].cues, durationMs)
+    : await detectSilences(transcript.audioPath, { minMs: MIN_SILENCE_MS, durationMs });
+  const cuts = planSilenceCuts(silences, durationMs);
+  const keep = keepRangesAround(cuts, durationMs);
+  if (!cuts.length || !keep.length) {
+    console.log("No long silences found");
+    return videoPath;
+  }
+
+  const clips = keep.map(range => ({ ...range, path: videoPath, hasAudio: true }));
+  const { width, height, frameRate } = video.media;
+  const trimmedPath = await renderClips(
+    clips,
+    path.join(workDir, `${path.basename(videoPath, path.extname(videoPath))}-trimmed.mp4`),
+    { width, height, frameRate: frameRate || 30 },
+    trimProgress
+  );
+
+  // Translations that lose every cue are left out, the primary track always stays
+  transcript.tracks = transcript.tracks
+    .map((track) => {
+      const cues = remapCues(clips, () => track.cues);
+      return { ...track, cues, srt: formatSrt(cues) };
+    })
+    .filter((track, i) => i === 0 || track.cues.length);
+  transcript.subtitleText = transcript.tracks[0].srt;
+  await writeFile(transcript.srtPath, transcript.subtitleText, "utf8");
+
+  video.silenceCuts = cuts;
+  video.duration = (await probeMedia(trimmedPath)).duration;
+  const removedSeconds = cuts.reduce((sum, cut) => sum + cut.end - cut.start, 0) / 1000;
+  console.log(`Removed ${cuts.length} silence(s), ${removedSeconds.toFixed(1)}s in total`);
+  return trimmedPath;
+}
+
+async function processVideoJob(job, context) {
+  const { videoId, sourceKey } = job.payload;
+  const storage = getStorage();
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new Error(`Video ${videoId} no longer exists`);
+  }
+  if (!(await storage.stat(sourceKey))) {
+    throw new Error(`Uploaded video not found in storage: ${sourceKey}`);
+  }
+
+  // Everything in here is scratch; outputs are handed to storage before it is removed
+  const workDir = path.join(WORK_ROOT, `process-${job._id}`);
+  fs.mkdirSync(workDir, { recursive: true });
+
+  try {
+    const { path: uploadPath } = await fetchToLocal(sourceKey, workDir);
+    console.log("Video path:", uploadPath);
+
+    const media = await ensureMediaInfo(video, uploadPath, context);
+    const cleanup = media.hasAudio ? video.audioCleanup : [];
+
+    // Everything after this works from the cleaned-up copy, transcription included
+    let videoPath = uploadPath;
+    if (cleanup.includes("loudness") || cleanup.includes("noise")) {
+      console.log("\n0. Cleaning up audio...");
+      const cleanupProgress = await enterStage(context, STAGES.cleaningAudio);
+      videoPath = await enhanceAudio(uploadPath, workDir, {
+        loudness: cleanup.includes("loudness"),
+        noise: cleanup.includes("noise")
+      }, cleanupProgress);
+    }
+
+    // Without audio there is nothing to transcribe; the video is still published
+    let transcript = null;
+    if (media.hasAudio) {
+      transcript = await transcribeVideo(video, videoPath, workDir, context);
+    } else {
+      console.log("\nNo audio stream, skipping transcription");
+    }
+
+    if (transcript && cleanup.includes("silence")) {
+      videoPath = await trimSilences(video, videoPath, transcript, workDir, context);
+    }
+
+    let finalVideoPath;
+    if (video.captionMode === "soft" || !transcript) {
+      // Keep the original picture, captions are served as separate tracks
+      console.log("\n3. Preparing MP4 for soft captions...");
+      const remuxProgress = await enterStage(context, STAGES.remuxing);
+      finalVideoPath = path.extname(videoPath).toLowerCase() === ".mp4"
+        ? videoPath
+        : await remuxToMp4(videoPath, workDir, remuxProgress);
+    } else {
+      console.log("\n3. Burning subtitles...");
+      const burnProgress = await enterStage(context, STAGES.burningSubtitles);
+      finalVideoPath = await burnSubtitlesIntoVideo(videoPath, transcript.srtPath, workDir, burnProgress, video.subtitleStyle);
+    }
+    if (fs.statSync(finalVideoPath).size === 0) {
+      throw new Error("Generated video file is empty");
+    }
+
+    // The MP4 stays playable on its own, so a failed HLS encode is not fatal.
+    // The backfill command can package it again later.
+    console.log("\n4. Packaging HLS renditions...");
+    const hlsProgress = await enterStage(context, STAGES.packagingHls);
+    try {
+      await packageVideoHls(video, finalVideoPath, workDir, hlsProgress);
+    } catch (hlsError) {
+      console.error("HLS packaging failed:", hlsError.message);
+    }
+
+    // Posters come from the clean upload so burned captions stay out of them
+    console.log("\n4b. Generating thumbnails and storyboard...");
+    const thumbnailProgress = await enterStage(context, STAGES.generatingThumbnails);
+    await generateVideoImages(video, videoPath, workDir, thumbnailProgress);
+
+    if (transcript) {
+      video.language = transcript.language;
+      video.transcriptionProvider = transcript.provider;
+      video.languageDetected = transcript.languageDetected;
+      video.subtitle = transcript.subtitleText;
+      video.subtitleTracks = transcript.tracks;
+    }
+
+    // Summary and chapters are extras, the video is published without them
+    if (transcript && isLlmConfigured()) {
+      console.log("\n4c. Generating summary and chapters...");
+      await enterStage(context, STAGES.enriching);
+      try {
+        video.set(await buildEnrichment(video));
+      } catch (enrichError) {
+        console.error("Enrichment failed:", enrichError.message);
+        video.enrichment.status = "failed";
+        video.enrichment.error = enrichError.message;
+      }
+    }
+
+    console.log("\n5. Saving video...");
+    await enterStage(context, STAGES.saving);
+    const rendered = finalVideoPath !== videoPath;
+    // Burned videos keep a picture without captions so edited captions can be re-rendered onto it
+    const keepsCleanCopy = Boolean(transcript) && video.captionMode !== "soft";
+    const cleanKey = videoPath !== uploadPath && (keepsCleanCopy || !rendered)
+      ? await putLocalFile(`videos/${path.basename(videoPath)}`, videoPath)
+      : sourceKey;
+    const videoKey = rendered
+      ? await putLocalFile(`videos/${path.basename(finalVideoPath)}`, finalVideoPath)
+      : cleanKey;
+
+    // Size and bitrate describe the file viewers actually get
+    if (finalVideoPath !== uploadPath) {
+      const finalProbe = await probeMedia(finalVideoPath);
+      video.media = { ...toMediaInfo(finalProbe), hasAudio: media.hasAudio };
+    }
+
+    video.videoKey = videoKey;
+    video.sourceKey = keepsCleanCopy ? cleanKey : videoKey;
+    video.status = "ready";
+    video.processingError = "";
+    await video.save();
+
+    // Soft captions play the remuxed copy and cleaned-up audio replaces the
+    // upload, either way the original is no longer needed
+    if (video.sourceKey !== sourceKey) {
+      await storage.delete(sourceKey).catch(() => {});
+    }
+    await refreshVideoStorage(video._id);
+    notifyVideoEvent("video.processing.completed", video, {
+      language: video.language,
+      warnings: video.processingWarnings,
+      failedTranslations: transcript ? transcript.failedTranslations : []
+    });
+
+    return {
+      videoId: video._id,
+      videoKey,
+      language: video.language,
+      failedTranslations: transcript ? transcript.failedTranslations : [],
+      warnings: video.processingWarnings
+    };
+  } finally {
+    // The uploaded source stays in storage so a retry can start over
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Called once every retry has failed
+async function onProcessVideoFailed(job, err) {
+  const { videoId, sourceKey } = job.payload;
+  const video = await Video.findOneAndUpdate(
+    { _id: videoId },
+    { $set: { status: "failed", processingError: err.message } },
+    { new: true }
+  );
+  await getStorage().delete(sourceKey).catch(() => {});
+  if (video) {
+    notifyVideoEvent("video.processing.failed", video, { error: err.message });
+  }
+}
+
+registerJobHandler(PROCESS_VIDEO_JOB, processVideoJob, { onFailed: onProcessVideoFailed });
+
+module.exports = { PROCESS_VIDEO_JOB };
@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+const Video = require("../models/video");
+const { registerJobHandler } = require("./jobQueue");
+const { burnSubtitlesIntoVideo } = require("../utils/burnSubtitles");
+const { formatSrt } = require("../utils/subtitleFormats");
+const { probeMedia, toMediaInfo } = require("../utils/probeMedia");
+const { WORK_ROOT } = require("../utils/uploadPaths");
+const { fetchToLocal, putLocalFile } = require("../services/storage");
+const { packageVideoHls } = require("./packageVideoHls");
+const { refreshVideoStorage } = require("../utils/quotas");
+
+const RERENDER_CAPTIONS_JOB = "rerender-captions";
+
+// Burn the current cues of one track onto the clean source and swap the result
+// in for the playable video.
+async function rerenderCaptionsJob(job, context) {
+  const { videoId, lang } = job.payload;
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new Error(`Video ${videoId} no longer exists`);
+  }
+  if (!video.sourceKey) {
+    throw new Error("Original upload is not available for re-rendering");
+  }
+
+  const track = video.subtitleTracks.find(entry => entry.lang === lang);
+  if (!track) {
+    throw new Error(`Subtitle track "${lang}" not found`);
+  }
+
+  // Render into a scratch directory, the live file keeps streaming meanwhile
+  const workDir = path.join(WORK_ROOT, `rerender-${job._id}`);
+  fs.mkdirSync(workDir, { recursive: true });
+
+  try {
+    const { path: sourcePath } = await fetchToLocal(video.sourceKey, workDir);
+
+    await context.setStage("burning-subtitles", 0);
+    const srtPath = path.join(workDir, `${lang}.srt`);
+    fs.writeFileSync(srtPath, formatSrt(track.cues), "utf8");
+
+    const renderedPath = await burnSubtitlesIntoVideo(sourcePath, srtPath, workDir, (percent) => {
+      context.setProgress(percent * 0.6).catch(() => {});
+    }, video.subtitleStyle);
+
+    await context.setStage("packaging-hls", 60);
+    try {
+      await packageVideoHls(video, renderedPath, workDir, (percent) => {
+        context.setProgress(60 + percent * 0.4).catch(() => {});
+      });
+    } catch (hlsError) {
+      console.error("HLS packaging failed:", hlsError.message);
+    }
+
+    // The render replaces the file at its current key, so download links
+    // already handed out keep working. A video that was never burned gets one.
+    const baseName = path.basename(video.sourceKey, path.extname(video.sourceKey));
+    const videoKey = video.videoKey && video.videoKey !== video.sourceKey
+      ? video.videoKey
+      : `videos/${baseName}-subtitled.mp4`;
+
+    // Size and bitrate describe the file viewers actually get
+    const probe = await probeMedia(renderedPath);
+    video.videoKey = await putLocalFile(videoKey, renderedPath);
+    await Video.updateOne({ _id: video._id }, {
+      $set: {
+        videoKey: video.videoKey,
+        duration: probe.duration,
+        media: { ...toMediaInfo(probe), hasAudio: video.media?.hasAudio ?? probe.hasAudio }
+      }
+    });
+
+    await refreshVideoStorage(video._id);
+    return { videoId: video._id, videoKey: video.videoKey };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+registerJobHandler(RERENDER_CAPTIONS_JOB, rerenderCaptionsJob);
+
+module.exports = { RERENDER_CAPTIONS_JOB };
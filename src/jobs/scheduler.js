@@ -0,0 +1,32 @@
+// Runs maintenance tasks on a fixed interval in this process.
+// A task never overlaps with itself, a slow run just delays the next one.
+const tasks = new Map();
+
+function scheduleTask(name, intervalMs, task) {
+  if (tasks.has(name)) {
+    return;
+  }
+
+  const entry = { timer: null, running: false };
+  tasks.set(name, entry);
+
+  const run = async () => {
+    if (entry.running) {
+      return;
+    }
+    entry.running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`Scheduled task "${name}" failed:`, err);
+    } finally {
+      entry.running = false;
+    }
+  };
+
+  entry.timer = setInterval(run, intervalMs);
+  entry.timer.unref();
+  setImmediate(run);
+}
+
+module.exports = { scheduleTask };
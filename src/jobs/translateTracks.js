@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const Video = require("../models/video");
+const { registerJobHandler } = require("./jobQueue");
+const { extractAudioFromVideo } = require("../utils/extractAudio");
+const { formatSrt } = require("../utils/subtitleFormats");
+const { languageLabel } = require("../utils/languages");
+const { WORK_ROOT } = require("../utils/uploadPaths");
+const { fetchToLocal } = require("../services/storage");
+const { getTranslator, translateCues } = require("../services/translation");
+
+const TRANSLATE_CAPTIONS_JOB = "translate-captions";
+
+// Build a translated subtitle track from the video's primary track
+async function buildTranslatedTrack(sourceTrack, target, audioPath, options) {
+  const cues = await translateCues({
+    cues: sourceTrack.cues.map(cue => ({ start: cue.start, end: cue.end, text: cue.text })),
+    audioPath,
+    from: sourceTrack.lang,
+    to: target,
+    workDir: options.workDir,
+    provider: options.provider
+  });
+  return {
+    lang: target,
+    label: languageLabel(target),
+    kind: "subtitles",
+    cues,
+    srt: formatSrt(cues)
+  };
+}
+
+// Translate into each target, skipping failures so one bad language does not
+// cost the others. Resolves with { tracks, failed }.
+async function translateTracks(sourceTrack, targets, options = {}) {
+  const tracks = [];
+  const failed = [];
+
+  for (const target of targets) {
+    if (target === sourceTrack.lang) {
+      continue;
+    }
+    try {
+      const translator = getTranslator(sourceTrack.lang, target, options.provider);
+      const audioPath = translator.needsAudio ? await options.getAudioPath() : null;
+      tracks.push(await buildTranslatedTrack(sourceTrack, target, audioPath, options));
+    } catch (err) {
+      console.error(`Translation to ${target} failed:`, err.message);
+      failed.push({ lang: target, error: err.message });
+    }
+  }
+  return { tracks, failed };
+}
+
+// Replace or add tracks by language
+function mergeTracks(video, tracks) {
+  for (const track of tracks) {
+    const existing = video.subtitleTracks.findIndex(entry => entry.lang === track.lang);
+    if (existing === -1) {
+      video.subtitleTracks.push(track);
+    } else {
+      video.subtitleTracks.splice(existing, 1, track);
+    }
+  }
+}
+
+// Add translated tracks to a video that has already been processed
+async function translateCaptionsJob(job, context) {
+  const { videoId, languages } = job.payload;
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new Error(`Video ${videoId} no longer exists`);
+  }
+  const sourceTrack = video.subtitleTracks.find(entry => entry.lang === video.language) || video.subtitleTracks[0];
+  if (!sourceTrack) {
+    throw new Error("Video has no transcript to translate");
+  }
+
+  const workDir = path.join(WORK_ROOT, `translate-${job._id}`);
+  fs.mkdirSync(workDir, { recursive: true });
+
+  let audioPath = null;
+  const getAudioPath = async () => {
+    if (!audioPath) {
+      await context.setStage("extracting-audio");
+      const { path: videoPath } = await fetchToLocal(video.sourceKey || video.videoKey, workDir);
+      audioPath = await extractAudioFromVideo(videoPath, workDir);
+    }
+    return audioPath;
+  };
+
+  try {
+    await context.setStage("translating", 10);
+    const { tracks, failed } = await translateTracks(sourceTrack, languages, {
+      getAudioPath,
+      workDir,
+      provider: video.transcriptionProvider
+    });
+    if (!tracks.length && failed.length) {
+      throw new Error(failed.map(entry => `${entry.lang}: ${entry.error}`).join("; "));
+    }
+
+    // Re-read so cue edits made while translating are not overwritten
+    const freshVideo = await Video.findById(videoId);
+    mergeTracks(freshVideo, tracks);
+    freshVideo.translationLanguages = [...new Set([...freshVideo.translationLanguages, ...tracks.map(track => track.lang)])];
+    await freshVideo.save();
+
+    return { translated: tracks.map(track => track.lang), failed };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+registerJobHandler(TRANSLATE_CAPTIONS_JOB, translateCaptionsJob);
+
+module.exports = { TRANSLATE_CAPTIONS_JOB, translateTracks, mergeTracks };
@@ -0,0 +1,67 @@
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session");
+
+const bearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  return authHeader ? authHeader.split(" ")[1] : undefined;
+};
+
+// Access tokens are short-lived, but they also die with their session so
+// logging out or revoking a device takes effect immediately
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) {
+    throw new Error("Token has no session, please log in again");
+  }
+
+  const session = await Session.findById(decoded.sid).select("user revokedAt expiresAt").lean();
+  if (!session || session.revokedAt || session.expiresAt <= new Date() || session.user.toString() !== decoded.userId) {
+    throw new Error("Session has ended, please log in again");
+  }
+
+  return decoded;
+}
+
+// JWT Authentication Middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: "Authorization header missing" });
+    }
+
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "Token not provided" });
+    }
+
+    const decoded = await verifyAccessToken(token);
+    req.userId = decoded.userId;
+    req.sessionId = decoded.sid;
+    next();
+  } catch (err) {
+    console.error("Authentication error:", err.message);
+    res.status(401).json({
+      error: "Authentication failed",
+      details: err.message
+    });
+  }
+};
+
+// Routes that also serve shared and public videos accept anonymous requests;
+// a missing or invalid token just leaves req.userId unset
+const identifyUser = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (token) {
+    try {
+      const decoded = await verifyAccessToken(token);
+      req.userId = decoded.userId;
+      req.sessionId = decoded.sid;
+    } catch (err) {
+      // Treated as anonymous
+    }
+  }
+  next();
+};
+
+module.exports = { authenticateUser, identifyUser };
@@ -0,0 +1,56 @@
+// Fixed-window request limits kept in memory, so they apply per process.
+// Requests are counted by signed-in user, otherwise by client address; put it
+// after authenticateUser to count by user.
+const limiters = [];
+
+function createRateLimiter({ name, windowMs, max }) {
+  const windows = new Map();
+  limiters.push(windows);
+
+  return (req, res, next) => {
+    const key = req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - entry.count)),
+      "RateLimit-Reset": String(resetSeconds)
+    });
+    if (entry.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({ error: `Too many ${name} requests, try again in ${resetSeconds} seconds` });
+    }
+    next();
+  };
+}
+
+// Forget windows that have ended so idle clients do not pile up
+setInterval(() => {
+  const now = Date.now();
+  for (const windows of limiters) {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
+
+const uploadRateLimit = createRateLimiter({
+  name: "upload",
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.UPLOAD_RATE_LIMIT_PER_HOUR) || 30
+});
+
+const authRateLimit = createRateLimiter({
+  name: "authentication",
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_PER_15_MIN) || 30
+});
+
+module.exports = { createRateLimiter, uploadRateLimit, authRateLimit };
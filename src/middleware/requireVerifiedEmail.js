@@ -0,0 +1,23 @@
+const User = require("../models/user");
+
+// Runs after authenticateUser on routes that need a confirmed email address
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select("emailVerified").lean();
+    if (!user) {
+      return res.status(401).json({ error: "User not found" });
+    }
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        error: "Verify your email address before uploading",
+        emailVerificationRequired: true
+      });
+    }
+    next();
+  } catch (err) {
+    console.error("Email verification check error:", err);
+    res.status(500).json({ error: "Failed to check email verification" });
+  }
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const Video = require("../models/video");
+const { checkVideoAccess } = require("../utils/videoAccess");
+
+// For routers mounted under /:videoId: loads the video and applies the same
+// owner, visibility, share link and password rules as watching it.
+// Runs after identifyUser; sets req.video and req.videoAccess.
+const requireVideoAccess = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.videoId)) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    const video = await Video.findOne({ _id: req.params.videoId, deletedAt: null }).select("+passwordHash");
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+
+    const access = await checkVideoAccess(video, {
+      scope: "stream",
+      userId: req.userId,
+      query: req.query,
+      shareToken: req.get("X-Share-Token") || req.body?.share,
+      password: req.get("X-Video-Password")
+    });
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error, passwordRequired: access.passwordRequired });
+    }
+
+    req.video = video;
+    req.videoAccess = access;
+    next();
+  } catch (err) {
+    console.error("Video access check error:", err);
+    res.status(500).json({ error: "Failed to check video access" });
+  }
+};
+
+module.exports = requireVideoAccess;
@@ -18,8 +18,9 @@ const validateSignUp = (data, isSignUp) => {
   }
   emailId = emailId.trim().toLowerCase();
 
-  if (!password || !validator.isStrongPassword(password)) {
-    throw new Error("Enter a strong password");
+  // Accounts created under older password rules must still be able to log in
+  if (!password || (isSignUp && !validator.isStrongPassword(password))) {
+    throw new Error(isSignUp ? "Enter a strong password" : "Password is required");
   }
 
   if (isSignUp) {
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens sent by email: address verification and password reset
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ["verify-email", "reset-password"],
+    required: true
+  },
+  // SHA-256 of the emailed token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+module.exports = AccountToken;
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// A comment pinned to a moment of a video. Replies point at the top-level
+// comment of their thread and share its time.
+const commentSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Comment",
+    default: null,
+    index: true
+  },
+  // Milliseconds from the start of the video
+  time: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  text: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Only top-level comments are resolved, for the whole thread
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // Deleted comments that still have replies stay as a placeholder
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ video: 1, time: 1, createdAt: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+module.exports = Comment;
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// A folder in a user's own library. Folders nest through `parent`; null is the
+// top level.
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Folder",
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+folderSchema.index({ owner: 1, parent: 1 });
+
+const Folder = mongoose.model("Folder", folderSchema);
+module.exports = Folder;
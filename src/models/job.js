@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+const jobErrorSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: true
+  },
+  stage: {
+    type: String,
+    default: ""
+  },
+  attempt: {
+    type: Number,
+    default: 0
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed"],
+    default: "queued",
+    index: true
+  },
+  stage: {
+    type: String,
+    default: "queued"
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  errorLog: {
+    type: [jobErrorSchema],
+    default: []
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video"
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+const Job = mongoose.model("Job", jobSchema);
+module.exports = Job;
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Video processed for one user in one calendar month (UTC), counted when
+// processing is queued
+const processingUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // "YYYY-MM"
+  month: {
+    type: String,
+    required: true
+  },
+  seconds: {
+    type: Number,
+    default: 0
+  },
+  videos: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+processingUsageSchema.index({ user: 1, month: 1 }, { unique: true });
+
+const ProcessingUsage = mongoose.model("ProcessingUsage", processingUsageSchema);
+module.exports = ProcessingUsage;
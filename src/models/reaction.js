@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// An emoji dropped at a moment of a video
+const reactionSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  emoji: {
+    type: String,
+    required: true
+  },
+  // Milliseconds from the start of the video
+  time: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+reactionSchema.index({ video: 1, time: 1 });
+
+const Reaction = mongoose.model("Reaction", reactionSchema);
+module.exports = Reaction;
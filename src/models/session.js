@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// One signed-in device. Refresh tokens rotate on every use; the hashes of
+// spent tokens are kept so a replayed token can be recognised as reuse.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    index: true,
+    default: []
+  },
+  userAgent: {
+    type: String,
+    default: ""
+  },
+  ip: {
+    type: String,
+    default: ""
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Removed by MongoDB once the refresh token can no longer be used
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ["logout", "logout-all", "revoked", "reuse-detected", "password-reset", null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Session = mongoose.model("Session", sessionSchema);
+module.exports = Session;
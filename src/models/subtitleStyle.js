@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// A named look for burned-in captions. Personal presets belong to their
+// creator; workspace presets are shared with every member of the workspace.
+const subtitleStyleSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    default: null,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Complete style, checked by utils/subtitleStyles before it is saved
+  style: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Used for uploads that do not pick a preset; at most one per user or workspace
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+const SubtitleStyle = mongoose.model("SubtitleStyle", subtitleStyleSchema);
+module.exports = SubtitleStyle;
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+const uploadSessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Hex-encoded SHA-256 of the whole file, checked when the upload is finalized
+  checksum: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ""
+  },
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // "finalizing" while one complete request assembles the file
+  status: {
+    type: String,
+    enum: ["active", "finalizing", "completed", "failed", "expired"],
+    default: "active"
+  },
+  tempPath: {
+    type: String,
+    required: true
+  },
+  // Form fields that would normally arrive with a multipart upload
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video"
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
+module.exports = UploadSession;
@@ -29,6 +29,20 @@ const userSchema = new mongoose.Schema({
                 throw new Error("Your password is not strong");
             }
         }
+    },
+    emailVerified : {
+        type : Boolean,
+        default : false,
+    },
+    emailVerifiedAt : {
+        type : Date,
+        default : null,
+    },
+    // Sets the quotas in config/plans; null follows DEFAULT_PLAN
+    plan : {
+        type : String,
+        enum : ["free", "pro", "business"],
+        default : null,
     }
 },
 {
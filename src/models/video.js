@@ -1,31 +1,425 @@
 const mongoose = require("mongoose");
 
+const hlsRenditionSchema = new mongoose.Schema({
+  name: String,
+  width: Number,
+  height: Number,
+  bandwidth: Number,
+  codecs: String
+}, {
+  _id: false
+});
+
+// Silence taken out of the upload, in milliseconds on the uploaded timeline
+const silenceCutSchema = new mongoose.Schema({
+  start: Number,
+  end: Number
+}, {
+  _id: false
+});
+
+// Frame the poster can be picked from, time in milliseconds
+const thumbnailCandidateSchema = new mongoose.Schema({
+  time: Number,
+  key: String,
+  brightness: Number,
+  sharpness: Number,
+  score: Number
+}, {
+  _id: false
+});
+
+// Times are in milliseconds from the start of the video
+const cueSchema = new mongoose.Schema({
+  start: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  end: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    default: ""
+  }
+});
+
+const subtitleTrackSchema = new mongoose.Schema({
+  lang: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    default: ""
+  },
+  kind: {
+    type: String,
+    enum: ["captions", "subtitles"],
+    default: "captions"
+  },
+  cues: {
+    type: [cueSchema],
+    default: []
+  },
+  // SRT rendering of `cues`, kept in sync on every edit
+  srt: {
+    type: String,
+    default: ""
+  }
+}, {
+  _id: false
+});
+
+// A piece of a video's unedited timeline, times in milliseconds
+const editClipSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video"
+  },
+  start: Number,
+  end: Number
+}, {
+  _id: false
+});
+
+// A chapter runs from `start` (milliseconds) until the next one begins
+const chapterSchema = new mongoose.Schema({
+  start: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  title: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
+
 const videoSchema = new mongoose.Schema({
   title: {
     type: String,
     required: true,
     trim: true
   },
-  thumbnailUrl: {
+  description: {
     type: String,
-    required: true
+    trim: true,
+    default: ""
+  },
+  // Seconds, read from the file by ffprobe
+  duration: {
+    type: Number,
+    default: 0
+  },
+  // Technical details of the playable file, see utils/probeMedia
+  media: {
+    width: Number,
+    height: Number,
+    frameRate: Number,
+    videoCodec: String,
+    audioCodec: String,
+    bitrate: Number,
+    size: Number,
+    container: String,
+    hasAudio: Boolean,
+    probedAt: Date
   },
-  videoUrl: {
+  // Storage keys, see services/storage
+  thumbnailKey: {
+    type: String,
+    default: ""
+  },
+  // "upload" when the owner sent one, "auto" when picked by the pipeline,
+  // "candidate" or "timestamp" when chosen afterwards
+  thumbnailSource: {
+    type: String,
+    enum: ["none", "upload", "auto", "candidate", "timestamp"],
+    default: "none"
+  },
+  thumbnailCandidates: {
+    type: [thumbnailCandidateSchema],
+    default: []
+  },
+  // The playable video
+  videoKey: {
     type: String,
     required: true
   },
+  // Upload without burned-in captions, used to re-render after caption edits
+  sourceKey: {
+    type: String,
+    default: ""
+  },
+  // Bytes of every stored file of the video, counted against the owner's
+  // storage limit; null until measured, see utils/quotas
+  storageBytes: {
+    type: Number,
+    default: null
+  },
   subtitle : {
     type : String,
     default : "",
   },
+  // Spoken language of the video, "auto" until Whisper has detected it
+  language: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: "en"
+  },
+  languageDetected: {
+    type: Boolean,
+    default: false
+  },
+  // Requested on upload or filled in with the configured default once transcribed
+  transcriptionProvider: {
+    type: String,
+    default: ""
+  },
+  // Extra subtitle languages requested on upload
+  translationLanguages: {
+    type: [String],
+    default: []
+  },
+  // "burn" renders captions into the picture, "soft" keeps them as separate tracks
+  captionMode: {
+    type: String,
+    enum: ["burn", "soft"],
+    default: "burn"
+  },
+  // Look of burned-in captions, resolved from the preset and overrides given
+  // on upload (see utils/subtitleStyles); null burns with the built-in style
+  subtitleStyle: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Audio clean-up requested on upload: "loudness", "noise" and/or "silence"
+  audioCleanup: {
+    type: [{ type: String, enum: ["loudness", "noise", "silence"] }],
+    default: []
+  },
+  silenceCuts: {
+    type: [silenceCutSchema],
+    default: []
+  },
+  subtitleTracks: {
+    type: [subtitleTrackSchema],
+    default: []
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
     required: true
+  },
+  // Shared library the video belongs to; every member can watch it
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    default: null,
+    index: true
+  },
+  // Folder in the creator's own library, null at the top level
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Folder",
+    default: null,
+    index: true
+  },
+  // Lowercase free-form labels
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // Counted when a view starts, used to sort listings
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  // private: owner, share links and signed URLs only
+  // unlisted: anyone with the video ID, never listed publicly
+  // public: anyone
+  visibility: {
+    type: String,
+    enum: ["private", "unlisted", "public"],
+    default: "private"
+  },
+  // bcrypt hash; when set, viewers other than the owner must unlock the video first
+  passwordHash: {
+    type: String,
+    default: "",
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ["processing", "ready", "failed"],
+    default: "ready"
+  },
+  processingError: {
+    type: String,
+    default: ""
+  },
+  // Set while the video is in the trash; purged once the retention period is over
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // Problems that did not stop processing, e.g. "no-audio"
+  processingWarnings: {
+    type: [String],
+    default: []
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Job"
+  },
+  hls: {
+    status: {
+      type: String,
+      enum: ["none", "processing", "ready", "failed"],
+      default: "none"
+    },
+    // Storage key prefix holding master.m3u8 and one folder per rendition
+    prefix: {
+      type: String,
+      default: ""
+    },
+    renditions: {
+      type: [hlsRenditionSchema],
+      default: []
+    }
+  },
+  // Trim/cut/stitch edit currently applied. The unedited files, captions and
+  // chapters are kept in `original` so the edit can be reverted.
+  edit: {
+    status: {
+      type: String,
+      enum: ["none", "processing", "ready", "failed"],
+      default: "none"
+    },
+    error: {
+      type: String,
+      default: ""
+    },
+    clips: {
+      type: [editClipSchema],
+      default: []
+    },
+    editedAt: Date,
+    original: {
+      videoKey: {
+        type: String,
+        default: ""
+      },
+      sourceKey: {
+        type: String,
+        default: ""
+      },
+      duration: Number,
+      subtitle: {
+        type: String,
+        default: ""
+      },
+      subtitleTracks: {
+        type: [subtitleTrackSchema],
+        default: []
+      },
+      chapters: {
+        type: [chapterSchema],
+        default: []
+      }
+    }
+  },
+  // Chapter markers on the current timeline
+  chapters: {
+    type: [chapterSchema],
+    default: []
+  },
+  // Summary, title suggestion and chapters generated from the transcript
+  enrichment: {
+    status: {
+      type: String,
+      enum: ["none", "processing", "ready", "failed"],
+      default: "none"
+    },
+    error: {
+      type: String,
+      default: ""
+    },
+    provider: {
+      type: String,
+      default: ""
+    },
+    summary: {
+      type: String,
+      default: ""
+    },
+    suggestedTitle: {
+      type: String,
+      default: ""
+    },
+    generatedAt: Date,
+    // Set once chapters are edited by hand; regenerating leaves them alone
+    chaptersEditedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Sprite sheets for scrubbing previews, described by a WebVTT thumbnails track
+  storyboard: {
+    status: {
+      type: String,
+      enum: ["none", "processing", "ready", "failed"],
+      default: "none"
+    },
+    prefix: {
+      type: String,
+      default: ""
+    },
+    sheets: {
+      type: [String],
+      default: []
+    },
+    interval: Number,
+    frames: Number,
+    duration: Number,
+    tileWidth: Number,
+    tileHeight: Number,
+    columns: Number,
+    rows: Number
   }
 }, {
   timestamps: true
 });
 
+// Full-text search over titles and transcripts. `language` holds codes such as
+// "hi" that MongoDB text search does not support, so it must not be read as the
+// per-document language override.
+videoSchema.index(
+  {
+    title: "text",
+    description: "text",
+    subtitle: "text",
+    "subtitleTracks.cues.text": "text"
+  },
+  {
+    name: "video_text_search",
+    weights: { title: 10, description: 3, subtitle: 1, "subtitleTracks.cues.text": 1 },
+    default_language: "english",
+    language_override: "textSearchLanguage"
+  }
+);
+
+// Library listings: one owner's videos newest first, paged by _id on ties
+videoSchema.index({ owner: 1, deletedAt: 1, createdAt: -1, _id: -1 });
+
 const Video = mongoose.model("Video", videoSchema);
 module.exports = Video;
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// Views of one video on one UTC day, rebuilt from raw View events
+const videoDailyStatSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true
+  },
+  // "YYYY-MM-DD"
+  day: {
+    type: String,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  uniqueViewers: {
+    type: Number,
+    default: 0
+  },
+  watchTimeMs: {
+    type: Number,
+    default: 0
+  },
+  // Sum of per-view completion percentages, for averaging across days
+  completionSum: {
+    type: Number,
+    default: 0
+  },
+  // Views that reached the completion threshold
+  completions: {
+    type: Number,
+    default: 0
+  },
+  // retention[s] = views that played second s
+  retention: {
+    type: [Number],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+videoDailyStatSchema.index({ video: 1, day: 1 }, { unique: true });
+
+const VideoDailyStat = mongoose.model("VideoDailyStat", videoDailyStatSchema);
+module.exports = VideoDailyStat;
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// One playback of a video by one viewer. Raw events are rolled up into
+// VideoDailyStat and removed once they are older than the raw retention.
+const viewSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true
+  },
+  // "user:<id>" for signed-in viewers, "anon:<hash>" otherwise
+  viewerKey: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // How the viewer got access: share-link, public, unlisted or signature
+  via: {
+    type: String,
+    default: ""
+  },
+  // "player" when started by the player, "stream" when seen on the stream endpoint
+  source: {
+    type: String,
+    enum: ["player", "stream"],
+    default: "player"
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Time spent playing, from heartbeats
+  watchTimeMs: {
+    type: Number,
+    default: 0
+  },
+  // Parts of the video that were played, merged, in milliseconds
+  ranges: {
+    type: [{
+      _id: false,
+      start: Number,
+      end: Number
+    }],
+    default: []
+  },
+  // Share of the video played, 0-100
+  completion: {
+    type: Number,
+    default: 0
+  },
+  rolledUpAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+viewSchema.index({ video: 1, createdAt: -1 });
+viewSchema.index({ video: 1, viewerKey: 1, lastSeenAt: -1 });
+viewSchema.index({ rolledUpAt: 1, updatedAt: 1 });
+
+const View = mongoose.model("View", viewSchema);
+module.exports = View;
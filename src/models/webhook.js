@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// An endpoint that receives video events. Personal webhooks hear about the
+// creator's own videos; workspace webhooks about every video in the workspace.
+const webhookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    default: null,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: {
+    type: [String],
+    default: []
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+  // Signs every delivery; shown once when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    default: ""
+  }
+}, {
+  timestamps: true
+});
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+module.exports = Webhook;
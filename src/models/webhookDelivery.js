@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// One try at POSTing a delivery
+const deliveryAttemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: ""
+  },
+  durationMs: Number,
+  // Start of the response body, for debugging the receiver
+  responseBody: {
+    type: String,
+    default: ""
+  }
+}, {
+  _id: false
+});
+
+// An event queued for one webhook, with every attempt to deliver it
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    default: null
+  },
+  // The JSON body, sent as is on every attempt
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending: waiting for its next attempt, sending: an attempt is in flight
+  status: {
+    type: String,
+    enum: ["pending", "sending", "succeeded", "failed"],
+    default: "pending"
+  },
+  attempts: {
+    type: [deliveryAttemptSchema],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // Set on deliveries created by the redeliver endpoint
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WebhookDelivery",
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+module.exports = WebhookDelivery;
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // owner: everything, including deleting the workspace
+  // admin: manage members and every video in the workspace
+  // member: upload and manage their own videos
+  // viewer: watch only
+  role: {
+    type: String,
+    enum: ["owner", "admin", "member", "viewer"],
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A team sharing one video library
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ "members.user": 1 });
+
+const Workspace = mongoose.model("Workspace", workspaceSchema);
+module.exports = Workspace;
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// An emailed invitation to join a workspace. Only the hash of the token is
+// stored; the token itself is in the email link.
+const workspaceInviteSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ["admin", "member", "viewer"],
+    default: "member"
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const WorkspaceInvite = mongoose.model("WorkspaceInvite", workspaceInviteSchema);
+module.exports = WorkspaceInvite;
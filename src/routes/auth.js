@@ -1,13 +1,44 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const validator = require("validator");
 const User = require("../models/user");
+const Session = require("../models/session");
 const validateSignUp = require("../middleware/validateSignUp");
+const { authenticateUser } = require("../middleware/authenticateUser");
+const { authRateLimit } = require("../middleware/rateLimit");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require("../utils/authTokens");
+const { issueAccountToken, consumeAccountToken } = require("../utils/accountTokens");
+const { sendMail } = require("../services/mail");
+const { verificationEmail, passwordResetEmail } = require("../services/mail/templates");
 
 const authRouter = express.Router();
 
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+// Where the password reset form lives, usually the frontend
+const APP_URL = process.env.APP_URL || BASE_URL;
+const VERIFY_EMAIL_TTL_HOURS = parseInt(process.env.VERIFY_EMAIL_TTL_HOURS) || 48;
+const RESET_PASSWORD_TTL_MINUTES = parseInt(process.env.RESET_PASSWORD_TTL_MINUTES) || 30;
+
+async function sendVerificationEmail(user) {
+  const token = await issueAccountToken(user._id, "verify-email", VERIFY_EMAIL_TTL_HOURS * 60 * 60 * 1000);
+  const link = `${BASE_URL}/api/auth/verify-email?token=${token}`;
+  await sendMail(verificationEmail(user, link, VERIFY_EMAIL_TTL_HOURS));
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueAccountToken(user._id, "reset-password", RESET_PASSWORD_TTL_MINUTES * 60 * 1000);
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  await sendMail(passwordResetEmail(user, link, RESET_PASSWORD_TTL_MINUTES));
+}
+
 // Signup Route
-authRouter.post("/signup", async (req, res) => {
+authRouter.post("/signup", authRateLimit, async (req, res) => {
   try {
     const data = validateSignUp(req.body, true);
     const { name, emailId, password } = data;
@@ -26,18 +57,22 @@ authRouter.post("/signup", async (req, res) => {
 
     await user.save();
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
+    // The account exists either way; a failed email can be resent later
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Failed to send verification email:", mailError.message);
+    }
 
-    res.status(201).send({ message: "User created successfully", token });
+    const tokens = await createSession(user._id, req);
+    res.status(201).send({ message: "User created successfully", emailVerified: false, ...tokens });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
 // Login Route
-authRouter.post("/login", async (req, res) => {
+authRouter.post("/login", authRateLimit, async (req, res) => {
   try {
     const data = validateSignUp(req.body, false);
     const { emailId, password } = data;
@@ -52,11 +87,173 @@ authRouter.post("/login", async (req, res) => {
       return res.status(400).send({ error: "Invalid email or password" });
     }
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
+    const tokens = await createSession(user._id, req);
+    res.status(200).send({ message: "Login successful", emailVerified: user.emailVerified, ...tokens });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Confirm an email address. GET is what the emailed link opens.
+async function verifyEmail(req, res) {
+  try {
+    const token = req.method === "GET" ? req.query.token : req.body?.token;
+    const userId = await consumeAccountToken(token, "verify-email");
+    if (!userId) {
+      return res.status(400).send({ error: "Verification link is invalid or has expired" });
+    }
+
+    await User.updateOne(
+      { _id: userId, emailVerified: { $ne: true } },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    res.status(200).send({ message: "Email verified" });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+}
+
+authRouter.get("/verify-email", authRateLimit, verifyEmail);
+authRouter.post("/verify-email", authRateLimit, verifyEmail);
+
+// Send a new verification email to the signed-in user
+authRouter.post("/resend-verification", authenticateUser, authRateLimit, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).send({ error: "User not found" });
+    }
+    if (user.emailVerified) {
+      return res.status(400).send({ error: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(user);
+    res.status(200).send({ message: "Verification email sent" });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Email a password reset link. The answer is the same whether or not the
+// address has an account, so it cannot be used to look up users.
+authRouter.post("/forgot-password", authRateLimit, async (req, res) => {
+  try {
+    const emailId = typeof req.body?.emailId === "string" ? req.body.emailId.trim().toLowerCase() : "";
+    if (!validator.isEmail(emailId)) {
+      return res.status(400).send({ error: "The email Id is wrong" });
+    }
+
+    const user = await User.findOne({ emailId });
+    if (user) {
+      // A mail failure must not answer differently from an unknown address
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (mailError) {
+        console.error("Failed to send password reset email:", mailError.message);
+      }
+    }
+    res.status(200).send({ message: "If that address has an account, a reset link has been sent" });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).send({ error: "Failed to send the reset link" });
+  }
+});
+
+// Set a new password with a reset token and sign out every device
+authRouter.post("/reset-password", authRateLimit, async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!password || !validator.isStrongPassword(password)) {
+      return res.status(400).send({ error: "Enter a strong password" });
+    }
+
+    const userId = await consumeAccountToken(token, "reset-password");
+    if (!userId) {
+      return res.status(400).send({ error: "Reset link is invalid or has expired" });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    // Following the emailed link also proves the address
+    await User.updateOne(
+      { _id: userId },
+      { $set: { password: passwordHash, emailVerified: true } }
+    );
+    await revokeAllSessions(userId, "password-reset");
+
+    res.status(200).send({ message: "Password has been reset, please log in again" });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+authRouter.post("/refresh", authRateLimit, async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body?.refreshToken, req);
+    res.status(200).send({ message: "Token refreshed", ...tokens });
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message });
+  }
+});
+
+// End the current session
+authRouter.post("/logout", authenticateUser, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.userId, "logout");
+    res.status(200).send({ message: "Logged out" });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// End every session of the user, on all devices
+authRouter.post("/logout-all", authenticateUser, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.userId, "logout-all");
+    res.status(200).send({ message: "Logged out of all devices", revoked });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Active sessions, most recently used first
+authRouter.get("/sessions", authenticateUser, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).send({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
     });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
 
-    res.status(200).send({ message: "Login successful", token });
+// Revoke one session, e.g. a lost device
+authRouter.delete("/sessions/:sessionId", authenticateUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(404).send({ error: "Session not found" });
+    }
+    const revoked = await revokeSession(req.params.sessionId, req.userId, "revoked");
+    if (!revoked) {
+      return res.status(404).send({ error: "Session not found" });
+    }
+    res.status(200).send({ message: "Session revoked" });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
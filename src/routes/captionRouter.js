@@ -0,0 +1,302 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Video = require("../models/video");
+const { authenticateUser } = require("../middleware/authenticateUser");
+const { enqueueJob } = require("../jobs/jobQueue");
+const { RERENDER_CAPTIONS_JOB } = require("../jobs/rerenderCaptions");
+const { TRANSLATE_CAPTIONS_JOB } = require("../jobs/translateTracks");
+const { parseSrt, formatSrt, formatTimestamp } = require("../utils/subtitleFormats");
+const { sortCues, updateCue, splitCue, mergeCues, shiftCues } = require("../utils/cueEditing");
+const { languageLabel, parseLanguageList } = require("../utils/languages");
+const { canManageVideo } = require("../utils/workspaceAccess");
+const { formatQuotaError, checkProcessingQuota, recordProcessing } = require("../utils/quotas");
+
+// Mounted at /api/videos/:videoId/captions, for the creator and workspace admins
+const captionRouter = express.Router({ mergeParams: true });
+captionRouter.use(authenticateUser);
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+
+const formatCue = (cue, i) => ({
+  id: cue._id,
+  index: i + 1,
+  start: cue.start,
+  end: cue.end,
+  startTime: formatTimestamp(cue.start, "."),
+  endTime: formatTimestamp(cue.end, "."),
+  text: cue.text
+});
+
+// Load the owner's video and the requested track, turning legacy raw SRT into cues
+async function loadEditableTrack(req, res) {
+  if (!mongoose.isValidObjectId(req.params.videoId)) {
+    res.status(404).json({ error: "Video not found" });
+    return {};
+  }
+
+  const video = await Video.findOne({ _id: req.params.videoId, deletedAt: null });
+  if (!video) {
+    res.status(404).json({ error: "Video not found" });
+    return {};
+  }
+
+  if (!(await canManageVideo(video, req.userId))) {
+    res.status(403).json({ error: "Access denied" });
+    return {};
+  }
+
+  if (!video.subtitleTracks.length && video.subtitle) {
+    const lang = video.language || "en";
+    video.subtitleTracks.push({ lang, label: languageLabel(lang), kind: "captions", srt: video.subtitle });
+  }
+
+  const lang = req.params.lang.toLowerCase();
+  const track = video.subtitleTracks.find(entry => entry.lang === lang);
+  if (!track) {
+    res.status(404).json({ error: "Caption track not found" });
+    return {};
+  }
+
+  if (!track.cues.length && track.srt) {
+    track.cues = parseSrt(track.srt);
+  }
+
+  return { video, track };
+}
+
+// Replace the cues of a track and keep the SRT copies in step
+function setTrackCues(video, track, cues) {
+  track.cues = sortCues(cues);
+  track.srt = formatSrt(track.cues);
+  if (track.lang === (video.language || "en") || video.subtitleTracks[0] === track) {
+    video.subtitle = track.srt;
+  }
+}
+
+// Queue a re-burn when the video has burned captions and a clean source to burn onto.
+// Re-burning counts against the creator's processing minutes.
+async function queueRerender(video, track, ownerId) {
+  if (video.captionMode === "soft") {
+    return { skipped: "Soft captions are served as edited, no re-render needed" };
+  }
+  if (!video.sourceKey) {
+    return { skipped: "The original upload of this video is not available to re-render from" };
+  }
+  const quotaError = await checkProcessingQuota(video.owner, video.duration || 0);
+  if (quotaError) {
+    const { error, ...details } = formatQuotaError(quotaError);
+    return { skipped: error, ...details };
+  }
+
+  const job = await enqueueJob(
+    RERENDER_CAPTIONS_JOB,
+    { videoId: video._id.toString(), lang: track.lang },
+    { owner: ownerId, video: video._id }
+  );
+  await recordProcessing(video.owner, video.duration || 0, { newVideo: false });
+  return { jobId: job._id };
+}
+
+async function saveAndRespond(req, res, video, track, extra = {}) {
+  await video.save();
+
+  const response = {
+    success: true,
+    ...extra,
+    cues: track.cues.map(formatCue)
+  };
+  if (req.body?.rerender === true || req.query.rerender === "true") {
+    response.rerender = await queueRerender(video, track, req.userId);
+  }
+  res.json(response);
+}
+
+function handleEditError(res, err, message) {
+  if (err.status === 400) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === "development" ? err.message : undefined
+  });
+}
+
+const toPlainCues = (track) => track.cues.map(cue => cue.toObject());
+
+// Queue translated subtitle tracks for a processed video
+captionRouter.post("/translations", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.videoId)) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    const video = await Video.findOne({ _id: req.params.videoId, deletedAt: null });
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canManageVideo(video, req.userId))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (video.status !== "ready" || !video.subtitle) {
+      return res.status(409).json({ error: "Video has no finished transcript to translate yet" });
+    }
+
+    const languages = parseLanguageList(req.body?.languages);
+    if (!languages || !languages.length) {
+      return res.status(400).json({ error: "languages must list one or more language codes" });
+    }
+    const targets = languages.filter(lang => lang !== video.language);
+    if (!targets.length) {
+      return res.status(400).json({ error: "The transcript is already in that language" });
+    }
+    const quotaError = await checkProcessingQuota(video.owner, video.duration || 0);
+    if (quotaError) {
+      return res.status(quotaError.status).json(formatQuotaError(quotaError));
+    }
+
+    const job = await enqueueJob(
+      TRANSLATE_CAPTIONS_JOB,
+      { videoId: video._id.toString(), languages: targets },
+      { owner: req.userId, video: video._id }
+    );
+    await recordProcessing(video.owner, video.duration || 0, { newVideo: false });
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      languages: targets,
+      statusUrl: `${BASE_URL}/api/videos/jobs/${job._id}`
+    });
+  } catch (err) {
+    handleEditError(res, err, "Failed to queue translation");
+  }
+});
+
+// List cues in timeline order
+captionRouter.get("/:lang/cues", async (req, res) => {
+  try {
+    const { video, track } = await loadEditableTrack(req, res);
+    if (!video) return;
+
+    res.json({
+      success: true,
+      lang: track.lang,
+      label: track.label,
+      cues: sortCues(track.cues).map(formatCue)
+    });
+  } catch (err) {
+    handleEditError(res, err, "Failed to fetch cues");
+  }
+});
+
+// Shift a range of cues (or all of them) in time
+captionRouter.post("/:lang/cues/shift", async (req, res) => {
+  try {
+    const { video, track } = await loadEditableTrack(req, res);
+    if (!video) return;
+
+    const { offsetMs, fromMs, toMs } = req.body || {};
+    const { cues, shifted } = shiftCues(toPlainCues(track), offsetMs, fromMs, toMs);
+    setTrackCues(video, track, cues);
+    await saveAndRespond(req, res, video, track, { shifted });
+  } catch (err) {
+    handleEditError(res, err, "Failed to shift cues");
+  }
+});
+
+// Merge adjacent cues into one
+captionRouter.post("/:lang/cues/merge", async (req, res) => {
+  try {
+    const { video, track } = await loadEditableTrack(req, res);
+    if (!video) return;
+
+    const sorted = sortCues(toPlainCues(track));
+    const { first, count, merged } = mergeCues(sorted, req.body?.cueIds);
+    sorted.splice(first, count, merged);
+    setTrackCues(video, track, sorted);
+    await saveAndRespond(req, res, video, track);
+  } catch (err) {
+    handleEditError(res, err, "Failed to merge cues");
+  }
+});
+
+// Split one cue in two at a point in time
+captionRouter.post("/:lang/cues/:cueId/split", async (req, res) => {
+  try {
+    const { video, track } = await loadEditableTrack(req, res);
+    if (!video) return;
+
+    const cues = toPlainCues(track);
+    const position = cues.findIndex(cue => String(cue._id) === req.params.cueId);
+    if (position === -1) {
+      return res.status(404).json({ error: "Cue not found" });
+    }
+
+    cues.splice(position, 1, ...splitCue(cues[position], req.body?.at, req.body?.texts));
+    setTrackCues(video, track, cues);
+    await saveAndRespond(req, res, video, track);
+  } catch (err) {
+    handleEditError(res, err, "Failed to split cue");
+  }
+});
+
+// Edit the text or timing of one cue
+captionRouter.patch("/:lang/cues/:cueId", async (req, res) => {
+  try {
+    const { video, track } = await loadEditableTrack(req, res);
+    if (!video) return;
+
+    const cues = toPlainCues(track);
+    const position = cues.findIndex(cue => String(cue._id) === req.params.cueId);
+    if (position === -1) {
+      return res.status(404).json({ error: "Cue not found" });
+    }
+
+    cues[position] = { _id: cues[position]._id, ...updateCue(cues[position], req.body || {}) };
+    setTrackCues(video, track, cues);
+    await saveAndRespond(req, res, video, track);
+  } catch (err) {
+    handleEditError(res, err, "Failed to update cue");
+  }
+});
+
+// Delete one cue
+captionRouter.delete("/:lang/cues/:cueId", async (req, res) => {
+  try {
+    const { video, track } = await loadEditableTrack(req, res);
+    if (!video) return;
+
+    const cues = toPlainCues(track);
+    const remaining = cues.filter(cue => String(cue._id) !== req.params.cueId);
+    if (remaining.length === cues.length) {
+      return res.status(404).json({ error: "Cue not found" });
+    }
+
+    setTrackCues(video, track, remaining);
+    await saveAndRespond(req, res, video, track);
+  } catch (err) {
+    handleEditError(res, err, "Failed to delete cue");
+  }
+});
+
+// Re-burn a track without editing it, e.g. after a batch of edits
+captionRouter.post("/:lang/rerender", async (req, res) => {
+  try {
+    const { video, track } = await loadEditableTrack(req, res);
+    if (!video) return;
+
+    const result = await queueRerender(video, track, req.userId);
+    if (result.skipped) {
+      return res.status(409).json({ error: result.skipped });
+    }
+    res.status(202).json({
+      success: true,
+      jobId: result.jobId,
+      statusUrl: `${BASE_URL}/api/videos/jobs/${result.jobId}`
+    });
+  } catch (err) {
+    handleEditError(res, err, "Failed to queue re-render");
+  }
+});
+
+module.exports = captionRouter;
@@ -0,0 +1,232 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Comment = require("../models/comment");
+const { authenticateUser, identifyUser } = require("../middleware/authenticateUser");
+const requireVideoAccess = require("../middleware/requireVideoAccess");
+const { formatTimestamp } = require("../utils/subtitleFormats");
+const { parseVideoTime } = require("../utils/videoTime");
+const { canManageVideo } = require("../utils/workspaceAccess");
+
+// Mounted at /api/videos/:videoId/comments. Anyone who can watch the video can
+// read its comments; signed-in viewers can write them.
+const commentRouter = express.Router({ mergeParams: true });
+commentRouter.use(identifyUser, requireVideoAccess);
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const formatAuthor = (user) => (user && user._id ? { id: user._id, name: user.name } : null);
+
+function formatComment(comment, replies = []) {
+  const deleted = Boolean(comment.deletedAt);
+  return {
+    id: comment._id,
+    time: comment.time,
+    timeLabel: formatTimestamp(comment.time, "."),
+    text: deleted ? null : comment.text,
+    deleted,
+    author: deleted ? null : formatAuthor(comment.author),
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt,
+    ...(comment.parent
+      ? { parentId: comment.parent }
+      : {
+        resolved: Boolean(comment.resolvedAt),
+        resolvedAt: comment.resolvedAt,
+        resolvedBy: formatAuthor(comment.resolvedBy),
+        replies: replies.map(reply => formatComment(reply))
+      })
+  };
+}
+
+function parseCommentText(value) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text || text.length > MAX_COMMENT_LENGTH) {
+    const err = new Error(`text must be between 1 and ${MAX_COMMENT_LENGTH} characters`);
+    err.status = 400;
+    throw err;
+  }
+  return text;
+}
+
+async function findComment(req, res) {
+  if (!mongoose.isValidObjectId(req.params.commentId)) {
+    res.status(404).json({ error: "Comment not found" });
+    return null;
+  }
+  const comment = await Comment.findOne({ _id: req.params.commentId, video: req.video._id });
+  if (!comment || comment.deletedAt) {
+    res.status(404).json({ error: "Comment not found" });
+    return null;
+  }
+  return comment;
+}
+
+function handleCommentError(res, err, message) {
+  if (err.status === 400) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === "development" ? err.message : undefined
+  });
+}
+
+// Threads in timeline order, replies oldest first.
+// ?resolved=true|false filters threads, ?from and ?to (ms) limit the range.
+commentRouter.get("/", async (req, res) => {
+  try {
+    const filter = { video: req.video._id, parent: null };
+    if (req.query.resolved === "true") {
+      filter.resolvedAt = { $ne: null };
+    } else if (req.query.resolved === "false") {
+      filter.resolvedAt = null;
+    }
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+    if (Number.isFinite(from) || Number.isFinite(to)) {
+      filter.time = {};
+      if (Number.isFinite(from)) filter.time.$gte = from;
+      if (Number.isFinite(to)) filter.time.$lte = to;
+    }
+
+    const threads = await Comment.find(filter)
+      .sort({ time: 1, createdAt: 1 })
+      .populate("author", "name")
+      .populate("resolvedBy", "name")
+      .lean();
+    const replies = await Comment.find({ parent: { $in: threads.map(thread => thread._id) } })
+      .sort({ createdAt: 1 })
+      .populate("author", "name")
+      .lean();
+
+    const repliesByThread = new Map();
+    for (const reply of replies) {
+      const key = reply.parent.toString();
+      if (!repliesByThread.has(key)) repliesByThread.set(key, []);
+      repliesByThread.get(key).push(reply);
+    }
+
+    res.json({
+      success: true,
+      comments: threads.map(thread => formatComment(thread, repliesByThread.get(thread._id.toString())))
+    });
+  } catch (err) {
+    handleCommentError(res, err, "Failed to fetch comments");
+  }
+});
+
+// { time, text } starts a thread, { parentId, text } replies to one
+commentRouter.post("/", authenticateUser, async (req, res) => {
+  try {
+    const { parentId, time } = req.body || {};
+    const text = parseCommentText(req.body?.text);
+
+    let parent = null;
+    if (parentId !== undefined && parentId !== null) {
+      if (!mongoose.isValidObjectId(parentId)) {
+        return res.status(404).json({ error: "Parent comment not found" });
+      }
+      parent = await Comment.findOne({ _id: parentId, video: req.video._id });
+      if (!parent) {
+        return res.status(404).json({ error: "Parent comment not found" });
+      }
+      // Threads are one level deep, a reply to a reply joins the same thread
+      if (parent.parent) {
+        parent = await Comment.findById(parent.parent);
+      }
+      if (!parent || parent.deletedAt) {
+        return res.status(409).json({ error: "This thread has been deleted" });
+      }
+    }
+
+    const comment = await Comment.create({
+      video: req.video._id,
+      author: req.userId,
+      parent: parent ? parent._id : null,
+      time: parent ? parent.time : parseVideoTime(time, req.video),
+      text
+    });
+    await comment.populate("author", "name");
+
+    res.status(201).json({ success: true, comment: formatComment(comment) });
+  } catch (err) {
+    handleCommentError(res, err, "Failed to add comment");
+  }
+});
+
+// { text } edits, author only. { resolved } resolves or reopens a thread,
+// for the author of the thread and whoever manages the video.
+commentRouter.patch("/:commentId", authenticateUser, async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) return;
+
+    const { text, resolved } = req.body || {};
+    if (text === undefined && resolved === undefined) {
+      return res.status(400).json({ error: "Nothing to update, send text or resolved" });
+    }
+
+    const isAuthor = comment.author.toString() === req.userId;
+    if (text !== undefined) {
+      if (!isAuthor) {
+        return res.status(403).json({ error: "Only the author can edit a comment" });
+      }
+      comment.text = parseCommentText(text);
+      comment.editedAt = new Date();
+    }
+
+    if (resolved !== undefined) {
+      if (typeof resolved !== "boolean") {
+        return res.status(400).json({ error: "resolved must be true or false" });
+      }
+      if (comment.parent) {
+        return res.status(400).json({ error: "Replies cannot be resolved, resolve the thread instead" });
+      }
+      if (!isAuthor && !(await canManageVideo(req.video, req.userId))) {
+        return res.status(403).json({ error: "Only the thread author or a manager of the video can resolve it" });
+      }
+      if (resolved !== Boolean(comment.resolvedAt)) {
+        comment.resolvedAt = resolved ? new Date() : null;
+        comment.resolvedBy = resolved ? req.userId : null;
+      }
+    }
+
+    await comment.save();
+    await comment.populate([{ path: "author", select: "name" }, { path: "resolvedBy", select: "name" }]);
+    res.json({ success: true, comment: formatComment(comment) });
+  } catch (err) {
+    handleCommentError(res, err, "Failed to update comment");
+  }
+});
+
+// Delete a comment, for its author and whoever manages the video. A thread with replies
+// keeps a placeholder so the replies stay in context.
+commentRouter.delete("/:commentId", authenticateUser, async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) return;
+
+    if (comment.author.toString() !== req.userId && !(await canManageVideo(req.video, req.userId))) {
+      return res.status(403).json({ error: "Only the author or a manager of the video can delete a comment" });
+    }
+
+    if (!comment.parent && (await Comment.exists({ parent: comment._id }))) {
+      comment.deletedAt = new Date();
+      comment.text = "";
+      await comment.save();
+      return res.json({ success: true, id: comment._id, placeholder: true });
+    }
+
+    await Comment.deleteOne({ _id: comment._id });
+    // The last reply under a deleted thread takes the placeholder with it
+    if (comment.parent && !(await Comment.exists({ parent: comment.parent }))) {
+      await Comment.deleteOne({ _id: comment.parent, deletedAt: { $ne: null } });
+    }
+    res.json({ success: true, id: comment._id, placeholder: false });
+  } catch (err) {
+    handleCommentError(res, err, "Failed to delete comment");
+  }
+});
+
+module.exports = commentRouter;
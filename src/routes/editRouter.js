@@ -0,0 +1,174 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Video = require("../models/video");
+const { authenticateUser } = require("../middleware/authenticateUser");
+const { enqueueJob } = require("../jobs/jobQueue");
+const { EDIT_VIDEO_JOB, editSourceOf, isEdited } = require("../jobs/editVideo");
+const { normalizeKeepRanges, normalizeClips, checkClipBounds, totalDuration } = require("../utils/timelineEdits");
+const { canManageVideo } = require("../utils/workspaceAccess");
+const { formatQuotaError, checkProcessingQuota, recordProcessing } = require("../utils/quotas");
+
+// Mounted at /api/videos/:videoId/edits, for the creator and workspace admins
+const editRouter = express.Router({ mergeParams: true });
+editRouter.use(authenticateUser);
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+
+const formatEdit = (video) => ({
+  status: video.edit?.status || "none",
+  error: video.edit?.error || undefined,
+  applied: isEdited(video),
+  clips: (video.edit?.clips || []).map(clip => ({ videoId: clip.video, start: clip.start, end: clip.end })),
+  editedAt: video.edit?.editedAt || null,
+  duration: Math.round((video.duration || 0) * 1000),
+  originalDuration: editSourceOf(video).duration
+});
+
+async function findOwnedVideo(req, res) {
+  if (!mongoose.isValidObjectId(req.params.videoId)) {
+    res.status(404).json({ error: "Video not found" });
+    return null;
+  }
+  const video = await Video.findOne({ _id: req.params.videoId, deletedAt: null });
+  if (!video) {
+    res.status(404).json({ error: "Video not found" });
+    return null;
+  }
+  if (!(await canManageVideo(video, req.userId))) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+  return video;
+}
+
+function handleEditError(res, err, message) {
+  if (err.status === 400) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === "development" ? err.message : undefined
+  });
+}
+
+// Mark the video as being edited and queue the job; false when an edit is already running
+async function queueEdit(video, payload, ownerId) {
+  const claimed = await Video.updateOne(
+    { _id: video._id, "edit.status": { $ne: "processing" } },
+    { $set: { "edit.status": "processing", "edit.error": "" } }
+  );
+  if (!claimed.modifiedCount) {
+    return null;
+  }
+
+  try {
+    return await enqueueJob(EDIT_VIDEO_JOB, { videoId: video._id.toString(), ...payload }, { owner: ownerId, video: video._id });
+  } catch (err) {
+    await Video.updateOne({ _id: video._id }, { $set: { "edit.status": video.edit?.status || "none" } });
+    throw err;
+  }
+}
+
+// The edit currently applied, with times on the unedited timeline
+editRouter.get("/", async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    res.json({ success: true, edit: formatEdit(video) });
+  } catch (err) {
+    handleEditError(res, err, "Failed to fetch edit");
+  }
+});
+
+// Render a new version from { keep: [{ start, end }] } ranges of this video or
+// { clips: [{ videoId?, start, end }] } from any of the owner's videos. Times
+// are ms on each video's unedited timeline; the unedited version is kept.
+editRouter.post("/", async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    if (video.status !== "ready") {
+      return res.status(409).json({ error: "Video must finish processing before it can be edited" });
+    }
+    if (video.edit?.status === "processing") {
+      return res.status(409).json({ error: "An edit of this video is already rendering" });
+    }
+
+    const { keep, clips: requestedClips } = req.body || {};
+    if ((keep === undefined) === (requestedClips === undefined)) {
+      return res.status(400).json({ error: "Send either keep ranges or clips" });
+    }
+
+    const videoId = video._id.toString();
+    const clips = keep !== undefined
+      ? normalizeKeepRanges(keep).map(range => ({ video: videoId, ...range }))
+      : normalizeClips(requestedClips, videoId);
+
+    const clipVideoIds = [...new Set(clips.map(clip => clip.video))];
+    if (clipVideoIds.some(id => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: "clips contain an invalid videoId" });
+    }
+    // Clips come from the library of the video's creator
+    const clipVideos = await Video.find({ _id: { $in: clipVideoIds }, owner: video.owner, deletedAt: null });
+    if (clipVideos.length !== clipVideoIds.length) {
+      return res.status(404).json({ error: "A video used in clips was not found" });
+    }
+    if (clipVideos.some(clipVideo => clipVideo.status !== "ready")) {
+      return res.status(409).json({ error: "Every video used in clips must have finished processing" });
+    }
+    checkClipBounds(clips, new Map(clipVideos.map(clipVideo => [clipVideo._id.toString(), editSourceOf(clipVideo).duration])));
+
+    // Rendering counts against the creator's processing minutes by the length of the result
+    const renderSeconds = totalDuration(clips) / 1000;
+    const quotaError = await checkProcessingQuota(video.owner, renderSeconds);
+    if (quotaError) {
+      return res.status(quotaError.status).json(formatQuotaError(quotaError));
+    }
+
+    const job = await queueEdit(video, { clips }, req.userId);
+    if (!job) {
+      return res.status(409).json({ error: "An edit of this video is already rendering" });
+    }
+    await recordProcessing(video.owner, renderSeconds, { newVideo: false });
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      duration: totalDuration(clips),
+      clips: clips.map(clip => ({ videoId: clip.video, start: clip.start, end: clip.end })),
+      statusUrl: `${BASE_URL}/api/videos/jobs/${job._id}`
+    });
+  } catch (err) {
+    handleEditError(res, err, "Failed to queue edit");
+  }
+});
+
+// Go back to the unedited version
+editRouter.post("/revert", async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    if (!isEdited(video)) {
+      return res.status(409).json({ error: "Video has no edit to revert" });
+    }
+
+    const job = await queueEdit(video, { revert: true }, req.userId);
+    if (!job) {
+      return res.status(409).json({ error: "An edit of this video is already rendering" });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      statusUrl: `${BASE_URL}/api/videos/jobs/${job._id}`
+    });
+  } catch (err) {
+    handleEditError(res, err, "Failed to queue revert");
+  }
+});
+
+module.exports = editRouter;
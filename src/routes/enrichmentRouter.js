@@ -0,0 +1,124 @@
+const express = require("express");
+const Video = require("../models/video");
+const { authenticateUser, identifyUser } = require("../middleware/authenticateUser");
+const requireVideoAccess = require("../middleware/requireVideoAccess");
+const { enqueueJob } = require("../jobs/jobQueue");
+const { ENRICH_VIDEO_JOB } = require("../jobs/enrichVideo");
+const { isLlmConfigured } = require("../services/llm");
+const { normalizeChapters } = require("../utils/chapters");
+const { canManageVideo } = require("../utils/workspaceAccess");
+const { formatQuotaError, checkProcessingQuota, recordProcessing } = require("../utils/quotas");
+
+// Mounted at /api/videos/:videoId/enrichment. Anyone who can watch the video
+// can read its summary and chapters; whoever manages it can change them.
+const enrichmentRouter = express.Router({ mergeParams: true });
+enrichmentRouter.use(identifyUser, requireVideoAccess);
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+
+const formatChapters = (chapters) => chapters.map(chapter => ({ start: chapter.start, title: chapter.title }));
+
+const formatEnrichment = (video, canManage) => ({
+  status: video.enrichment?.status || "none",
+  error: canManage ? video.enrichment?.error || undefined : undefined,
+  summary: video.enrichment?.summary || "",
+  suggestedTitle: canManage ? video.enrichment?.suggestedTitle || "" : undefined,
+  chapters: formatChapters(video.chapters),
+  chaptersEdited: Boolean(video.enrichment?.chaptersEditedAt),
+  generatedAt: video.enrichment?.generatedAt || null
+});
+
+async function requireManager(req, res, next) {
+  try {
+    if (!(await canManageVideo(req.video, req.userId))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    next();
+  } catch (err) {
+    console.error("Video access check error:", err);
+    res.status(500).json({ error: "Failed to check video access" });
+  }
+}
+
+// Summary, chapters and, for managers, the suggested title
+enrichmentRouter.get("/", async (req, res) => {
+  try {
+    const canManage = Boolean(req.userId) && (await canManageVideo(req.video, req.userId));
+    res.json({ success: true, enrichment: formatEnrichment(req.video, canManage) });
+  } catch (err) {
+    console.error("Enrichment error:", err);
+    res.status(500).json({ error: "Failed to fetch summary" });
+  }
+});
+
+// Generate again from the current transcript. Chapters edited by hand are
+// kept unless { overwriteChapters: true }.
+enrichmentRouter.post("/", authenticateUser, requireManager, async (req, res) => {
+  try {
+    if (!isLlmConfigured()) {
+      return res.status(503).json({ error: "Summaries are not configured on this server" });
+    }
+    if (req.video.status !== "ready" || !req.video.subtitleTracks.length) {
+      return res.status(409).json({ error: "Video needs a finished transcript first" });
+    }
+    const quotaError = await checkProcessingQuota(req.video.owner, req.video.duration || 0);
+    if (quotaError) {
+      return res.status(quotaError.status).json(formatQuotaError(quotaError));
+    }
+
+    const claimed = await Video.updateOne(
+      { _id: req.video._id, "enrichment.status": { $ne: "processing" } },
+      { $set: { "enrichment.status": "processing", "enrichment.error": "" } }
+    );
+    if (!claimed.modifiedCount) {
+      return res.status(409).json({ error: "A summary is already being generated" });
+    }
+
+    let job;
+    try {
+      job = await enqueueJob(
+        ENRICH_VIDEO_JOB,
+        { videoId: req.video._id.toString(), overwriteChapters: req.body?.overwriteChapters === true },
+        { owner: req.userId, video: req.video._id }
+      );
+    } catch (err) {
+      await Video.updateOne({ _id: req.video._id }, { $set: { "enrichment.status": req.video.enrichment?.status || "none" } });
+      throw err;
+    }
+
+    await recordProcessing(req.video.owner, req.video.duration || 0, { newVideo: false });
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      statusUrl: `${BASE_URL}/api/videos/jobs/${job._id}`
+    });
+  } catch (err) {
+    console.error("Enrichment error:", err);
+    res.status(500).json({
+      error: "Failed to queue summary",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Replace the chapters with { chapters: [{ start, title }] }, start in ms.
+// An empty list removes them.
+enrichmentRouter.put("/chapters", authenticateUser, requireManager, async (req, res) => {
+  try {
+    const chapters = normalizeChapters(req.body?.chapters, Math.round((req.video.duration || 0) * 1000));
+
+    req.video.chapters = chapters;
+    req.video.enrichment.chaptersEditedAt = new Date();
+    await req.video.save();
+    res.json({ success: true, chapters: formatChapters(req.video.chapters) });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Chapters error:", err);
+    res.status(500).json({ error: "Failed to update chapters" });
+  }
+});
+
+module.exports = enrichmentRouter;
@@ -0,0 +1,198 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Folder = require("../models/folder");
+const Video = require("../models/video");
+const { authenticateUser } = require("../middleware/authenticateUser");
+const { MAX_FOLDER_DEPTH, folderDepth, folderTreeIds } = require("../utils/videoLibrary");
+
+// Folders of the signed-in user's own library
+const folderRouter = express.Router();
+folderRouter.use(authenticateUser);
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+const formatFolder = (folder, videoCount = 0) => ({
+  id: folder._id,
+  name: folder.name,
+  parentId: folder.parent,
+  videoCount,
+  createdAt: folder.createdAt,
+  updatedAt: folder.updatedAt
+});
+
+function parseFolderName(value) {
+  const name = typeof value === "string" ? value.trim() : "";
+  return name && name.length <= MAX_FOLDER_NAME_LENGTH ? name : null;
+}
+
+async function findFolder(req, res) {
+  if (!mongoose.isValidObjectId(req.params.folderId)) {
+    res.status(404).json({ error: "Folder not found" });
+    return null;
+  }
+  const folder = await Folder.findOne({ _id: req.params.folderId, owner: req.userId });
+  if (!folder) {
+    res.status(404).json({ error: "Folder not found" });
+    return null;
+  }
+  return folder;
+}
+
+// The parent a folder goes under: null for the top level, otherwise one of
+// the user's folders. Resolves with { parent } or { status, error }.
+async function resolveParent(userId, parentId) {
+  if (parentId === undefined || parentId === null) {
+    return { parent: null };
+  }
+  if (!mongoose.isValidObjectId(parentId)) {
+    return { status: 404, error: "Parent folder not found" };
+  }
+  const parent = await Folder.findOne({ _id: parentId, owner: userId });
+  if (!parent) {
+    return { status: 404, error: "Parent folder not found" };
+  }
+  return { parent };
+}
+
+const nameTaken = (userId, parent, name, exceptId = null) => Folder.exists({
+  owner: userId,
+  parent: parent ? parent._id : null,
+  name,
+  ...(exceptId ? { _id: { $ne: exceptId } } : {})
+});
+
+function handleFolderError(res, err, message) {
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === "development" ? err.message : undefined
+  });
+}
+
+// Every folder with its parent and number of videos; clients build the tree
+folderRouter.get("/", async (req, res) => {
+  try {
+    const [folders, counts] = await Promise.all([
+      Folder.find({ owner: req.userId }).sort({ name: 1 }).lean(),
+      Video.aggregate([
+        { $match: { owner: new mongoose.Types.ObjectId(req.userId), deletedAt: null, folder: { $ne: null } } },
+        { $group: { _id: "$folder", count: { $sum: 1 } } }
+      ])
+    ]);
+    const countsByFolder = new Map(counts.map(count => [count._id.toString(), count.count]));
+
+    res.json({
+      success: true,
+      folders: folders.map(folder => formatFolder(folder, countsByFolder.get(folder._id.toString())))
+    });
+  } catch (err) {
+    handleFolderError(res, err, "Failed to fetch folders");
+  }
+});
+
+// { name, parentId? }
+folderRouter.post("/", async (req, res) => {
+  try {
+    const name = parseFolderName(req.body?.name);
+    if (!name) {
+      return res.status(400).json({ error: `name must be between 1 and ${MAX_FOLDER_NAME_LENGTH} characters` });
+    }
+    const { parent, status, error } = await resolveParent(req.userId, req.body?.parentId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (parent && (await folderDepth(parent)) + 1 >= MAX_FOLDER_DEPTH) {
+      return res.status(400).json({ error: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep` });
+    }
+    if (await nameTaken(req.userId, parent, name)) {
+      return res.status(409).json({ error: "A folder with that name already exists here" });
+    }
+
+    const folder = await Folder.create({ name, owner: req.userId, parent: parent ? parent._id : null });
+    res.status(201).json({ success: true, folder: formatFolder(folder) });
+  } catch (err) {
+    handleFolderError(res, err, "Failed to create folder");
+  }
+});
+
+// Rename with { name } and/or move with { parentId }, null for the top level
+folderRouter.patch("/:folderId", async (req, res) => {
+  try {
+    const folder = await findFolder(req, res);
+    if (!folder) return;
+
+    const { name: requestedName, parentId } = req.body || {};
+    if (requestedName === undefined && parentId === undefined) {
+      return res.status(400).json({ error: "Nothing to update, send name and/or parentId" });
+    }
+
+    let name = folder.name;
+    if (requestedName !== undefined) {
+      name = parseFolderName(requestedName);
+      if (!name) {
+        return res.status(400).json({ error: `name must be between 1 and ${MAX_FOLDER_NAME_LENGTH} characters` });
+      }
+    }
+
+    let parent = folder.parent ? { _id: folder.parent } : null;
+    if (parentId !== undefined) {
+      const resolved = await resolveParent(req.userId, parentId);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+      parent = resolved.parent;
+
+      if (parent) {
+        const subtree = await folderTreeIds(folder._id, req.userId);
+        if (subtree.some(id => id.equals(parent._id))) {
+          return res.status(400).json({ error: "A folder cannot be moved into itself or one of its subfolders" });
+        }
+        // Depth of the deepest folder being moved, counted from this one
+        let subtreeDepth = 0;
+        for (let level = [folder._id]; level.length; subtreeDepth++) {
+          level = (await Folder.find({ owner: req.userId, parent: { $in: level } }).select("_id").lean()).map(child => child._id);
+        }
+        if ((await folderDepth(parent)) + 1 + subtreeDepth > MAX_FOLDER_DEPTH) {
+          return res.status(400).json({ error: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep` });
+        }
+      }
+    }
+
+    if (await nameTaken(req.userId, parent, name, folder._id)) {
+      return res.status(409).json({ error: "A folder with that name already exists here" });
+    }
+
+    folder.name = name;
+    folder.parent = parent ? parent._id : null;
+    await folder.save();
+    res.json({ success: true, folder: formatFolder(folder, await Video.countDocuments({ folder: folder._id, deletedAt: null })) });
+  } catch (err) {
+    handleFolderError(res, err, "Failed to update folder");
+  }
+});
+
+// Delete a folder. Its videos and subfolders move up to its parent.
+folderRouter.delete("/:folderId", async (req, res) => {
+  try {
+    const folder = await findFolder(req, res);
+    if (!folder) return;
+
+    const [videos, folders] = await Promise.all([
+      Video.updateMany({ folder: folder._id }, { $set: { folder: folder.parent } }),
+      Folder.updateMany({ owner: req.userId, parent: folder._id }, { $set: { parent: folder.parent } })
+    ]);
+    await Folder.deleteOne({ _id: folder._id });
+
+    res.json({
+      success: true,
+      id: folder._id,
+      movedTo: folder.parent,
+      videosMoved: videos.modifiedCount,
+      foldersMoved: folders.modifiedCount
+    });
+  } catch (err) {
+    handleFolderError(res, err, "Failed to delete folder");
+  }
+});
+
+module.exports = folderRouter;
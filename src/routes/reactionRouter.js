@@ -0,0 +1,99 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Reaction = require("../models/reaction");
+const { authenticateUser, identifyUser } = require("../middleware/authenticateUser");
+const requireVideoAccess = require("../middleware/requireVideoAccess");
+const { parseVideoTime } = require("../utils/videoTime");
+const { canManageVideo } = require("../utils/workspaceAccess");
+
+// Mounted at /api/videos/:videoId/reactions, same access rules as comments
+const reactionRouter = express.Router({ mergeParams: true });
+reactionRouter.use(identifyUser, requireVideoAccess);
+
+const MAX_EMOJI_LENGTH = 16;
+// One emoji, including skin tones, ZWJ sequences and flags
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const PICTOGRAPH_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+const isEmoji = (value) => typeof value === "string"
+  && value.length <= MAX_EMOJI_LENGTH
+  && EMOJI_PATTERN.test(value)
+  && PICTOGRAPH_PATTERN.test(value);
+
+const formatReaction = (reaction, userId) => ({
+  id: reaction._id,
+  emoji: reaction.emoji,
+  time: reaction.time,
+  user: reaction.user && reaction.user._id ? { id: reaction.user._id, name: reaction.user.name } : null,
+  mine: Boolean(userId) && String(reaction.user?._id || reaction.user) === userId,
+  createdAt: reaction.createdAt
+});
+
+// Reactions in timeline order with a count per emoji
+reactionRouter.get("/", async (req, res) => {
+  try {
+    const reactions = await Reaction.find({ video: req.video._id })
+      .sort({ time: 1, createdAt: 1 })
+      .populate("user", "name")
+      .lean();
+
+    const totals = {};
+    for (const reaction of reactions) {
+      totals[reaction.emoji] = (totals[reaction.emoji] || 0) + 1;
+    }
+
+    res.json({
+      success: true,
+      totals,
+      reactions: reactions.map(reaction => formatReaction(reaction, req.userId))
+    });
+  } catch (err) {
+    console.error("Reactions error:", err);
+    res.status(500).json({ error: "Failed to fetch reactions" });
+  }
+});
+
+// { emoji, time }
+reactionRouter.post("/", authenticateUser, async (req, res) => {
+  try {
+    const { emoji } = req.body || {};
+    if (!isEmoji(emoji)) {
+      return res.status(400).json({ error: "emoji must be a single emoji" });
+    }
+    const time = parseVideoTime(req.body?.time, req.video);
+
+    const reaction = await Reaction.create({ video: req.video._id, user: req.userId, emoji, time });
+    await reaction.populate("user", "name");
+    res.status(201).json({ success: true, reaction: formatReaction(reaction, req.userId) });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Reaction error:", err);
+    res.status(500).json({ error: "Failed to add reaction" });
+  }
+});
+
+// Remove a reaction, for whoever left it and whoever manages the video
+reactionRouter.delete("/:reactionId", authenticateUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.reactionId)) {
+      return res.status(404).json({ error: "Reaction not found" });
+    }
+    const reaction = await Reaction.findOne({ _id: req.params.reactionId, video: req.video._id });
+    if (!reaction) {
+      return res.status(404).json({ error: "Reaction not found" });
+    }
+    if (reaction.user.toString() !== req.userId && !(await canManageVideo(req.video, req.userId))) {
+      return res.status(403).json({ error: "Only the person who reacted or a manager of the video can remove a reaction" });
+    }
+
+    await Reaction.deleteOne({ _id: reaction._id });
+    res.json({ success: true, id: reaction._id });
+  } catch (err) {
+    console.error("Reaction error:", err);
+    res.status(500).json({ error: "Failed to remove reaction" });
+  }
+});
+
+module.exports = reactionRouter;
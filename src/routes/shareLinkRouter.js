@@ -0,0 +1,124 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Video = require("../models/video");
+const { authenticateUser } = require("../middleware/authenticateUser");
+const ShareLink = require("../models/shareLink");
+const { hashToken, generateShareToken } = require("../utils/videoAccess");
+const { canManageVideo } = require("../utils/workspaceAccess");
+
+// Mounted at /api/videos/:videoId/share-links, for the creator and workspace admins
+const shareLinkRouter = express.Router({ mergeParams: true });
+shareLinkRouter.use(authenticateUser);
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+const MAX_SHARE_LINK_HOURS = 365 * 24;
+
+const formatShareLink = (link) => ({
+  id: link._id,
+  label: link.label,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  lastUsedAt: link.lastUsedAt,
+  active: !link.revokedAt && (!link.expiresAt || link.expiresAt > new Date()),
+  createdAt: link.createdAt
+});
+
+async function findOwnedVideo(req, res) {
+  if (!mongoose.isValidObjectId(req.params.videoId)) {
+    res.status(404).json({ error: "Video not found" });
+    return null;
+  }
+  const video = await Video.findOne({ _id: req.params.videoId, deletedAt: null });
+  if (!video) {
+    res.status(404).json({ error: "Video not found" });
+    return null;
+  }
+  if (!(await canManageVideo(video, req.userId))) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+  return video;
+}
+
+// Create a share link. The token is only returned here.
+shareLinkRouter.post("/", async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    const { label, expiresInHours } = req.body || {};
+    let expiresAt = null;
+    if (expiresInHours !== undefined && expiresInHours !== null) {
+      const hours = Number(expiresInHours);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_SHARE_LINK_HOURS) {
+        return res.status(400).json({ error: `expiresInHours must be between 0 and ${MAX_SHARE_LINK_HOURS}` });
+      }
+      expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+
+    const token = generateShareToken();
+    const link = await ShareLink.create({
+      video: video._id,
+      createdBy: req.userId,
+      tokenHash: hashToken(token),
+      label: typeof label === "string" ? label : "",
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      shareLink: {
+        ...formatShareLink(link),
+        token,
+        url: `${BASE_URL}/api/videos/${video._id}?share=${token}`
+      }
+    });
+  } catch (err) {
+    console.error("Share link error:", err);
+    res.status(500).json({
+      error: "Failed to create share link",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// List share links, newest first
+shareLinkRouter.get("/", async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    const links = await ShareLink.find({ video: video._id }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, shareLinks: links.map(formatShareLink) });
+  } catch (err) {
+    console.error("Share link error:", err);
+    res.status(500).json({ error: "Failed to fetch share links" });
+  }
+});
+
+// Revoke a share link; signed URLs already handed out run until they expire
+shareLinkRouter.delete("/:linkId", async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    if (!mongoose.isValidObjectId(req.params.linkId)) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+    const link = await ShareLink.findOne({ _id: req.params.linkId, video: video._id });
+    if (!link) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+    res.json({ success: true, shareLink: formatShareLink(link) });
+  } catch (err) {
+    console.error("Share link error:", err);
+    res.status(500).json({ error: "Failed to revoke share link" });
+  }
+});
+
+module.exports = shareLinkRouter;
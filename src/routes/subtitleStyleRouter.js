@@ -0,0 +1,233 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const SubtitleStyle = require("../models/subtitleStyle");
+const { authenticateUser } = require("../middleware/authenticateUser");
+const { getWorkspaceRole, hasRole } = require("../utils/workspaceAccess");
+const { DEFAULT_SUBTITLE_STYLE, SUBTITLE_STYLE_FIELDS, normalizeSubtitleStyle } = require("../utils/subtitleStyles");
+
+// Caption style presets of the signed-in user and of their workspaces.
+// Members can use a workspace's presets, admins manage them.
+const subtitleStyleRouter = express.Router();
+subtitleStyleRouter.use(authenticateUser);
+
+const MAX_NAME_LENGTH = 60;
+const MAX_PRESETS_PER_SCOPE = 50;
+
+const formatPreset = (preset) => ({
+  id: preset._id,
+  name: preset.name,
+  workspace: preset.workspace,
+  isDefault: preset.isDefault,
+  style: preset.style,
+  createdAt: preset.createdAt,
+  updatedAt: preset.updatedAt
+});
+
+const scopeOf = (preset) => (preset.workspace ? { workspace: preset.workspace } : { owner: preset.owner, workspace: null });
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Personal presets, or a workspace's when `workspaceId` is given and the user
+// has at least `minimumRole` there. Resolves with { scope } or { status, error }.
+async function resolveScope(userId, workspaceId, minimumRole) {
+  if (workspaceId === undefined || workspaceId === null || workspaceId === "") {
+    return { scope: { owner: userId, workspace: null } };
+  }
+  if (!mongoose.isValidObjectId(workspaceId)) {
+    return { status: 404, error: "Workspace not found" };
+  }
+  const role = await getWorkspaceRole(workspaceId, userId);
+  if (!role) {
+    return { status: 404, error: "Workspace not found" };
+  }
+  if (!hasRole(role, minimumRole)) {
+    return { status: 403, error: "Only workspace admins can manage its subtitle styles" };
+  }
+  return { scope: { workspace: workspaceId } };
+}
+
+// Personal presets are their creator's; workspace presets can be read by its
+// members and changed by its admins
+async function findPreset(req, res, minimumRole) {
+  if (!mongoose.isValidObjectId(req.params.styleId)) {
+    res.status(404).json({ error: "Subtitle style not found" });
+    return null;
+  }
+  const preset = await SubtitleStyle.findById(req.params.styleId);
+  if (!preset) {
+    res.status(404).json({ error: "Subtitle style not found" });
+    return null;
+  }
+  if (!preset.workspace) {
+    if (preset.owner.toString() !== req.userId) {
+      res.status(404).json({ error: "Subtitle style not found" });
+      return null;
+    }
+    return preset;
+  }
+  const role = await getWorkspaceRole(preset.workspace, req.userId);
+  if (!role) {
+    res.status(404).json({ error: "Subtitle style not found" });
+    return null;
+  }
+  if (!hasRole(role, minimumRole)) {
+    res.status(403).json({ error: "Only workspace admins can manage its subtitle styles" });
+    return null;
+  }
+  return preset;
+}
+
+// { name, style, isDefault } from a request body; style fields are laid over
+// `baseStyle`. Resolves with { changes } or { status, error }.
+async function parsePresetChanges(body, scope, { creating, baseStyle, excludeId }) {
+  const changes = {};
+  if (creating || body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { status: 400, error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+    const taken = await SubtitleStyle.exists({
+      ...scope,
+      name: new RegExp(`^${escapeRegex(name)}$`, "i"),
+      ...(excludeId ? { _id: { $ne: excludeId } } : {})
+    });
+    if (taken) {
+      return { status: 409, error: "A subtitle style with this name already exists here" };
+    }
+    changes.name = name;
+  }
+  if (creating || body.style !== undefined) {
+    try {
+      changes.style = normalizeSubtitleStyle(body.style === undefined ? {} : body.style, baseStyle);
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      return { status: 400, error: err.message };
+    }
+  }
+  if (body.isDefault !== undefined) {
+    if (typeof body.isDefault !== "boolean") {
+      return { status: 400, error: "isDefault must be true or false" };
+    }
+    changes.isDefault = body.isDefault;
+  }
+  return { changes };
+}
+
+// Only one default per user or workspace
+async function clearOtherDefaults(preset) {
+  await SubtitleStyle.updateMany(
+    { ...scopeOf(preset), _id: { $ne: preset._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+}
+
+function handleStyleError(res, err, message) {
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === "development" ? err.message : undefined
+  });
+}
+
+// Personal presets, or a workspace's with ?workspaceId, plus the built-in
+// style that applies when none is chosen
+subtitleStyleRouter.get("/", async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveScope(req.userId, req.query.workspaceId, "viewer");
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const presets = await SubtitleStyle.find(scope).collation({ locale: "en", strength: 2 }).sort({ name: 1 }).lean();
+    res.json({
+      success: true,
+      fields: SUBTITLE_STYLE_FIELDS,
+      defaultStyle: DEFAULT_SUBTITLE_STYLE,
+      presets: presets.map(formatPreset)
+    });
+  } catch (err) {
+    handleStyleError(res, err, "Failed to fetch subtitle styles");
+  }
+});
+
+// { name, style, isDefault?, workspaceId? }. Style fields left out take the built-in defaults.
+subtitleStyleRouter.post("/", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { scope, status: scopeStatus, error: scopeError } = await resolveScope(req.userId, body.workspaceId, "admin");
+    if (scopeError) {
+      return res.status(scopeStatus).json({ error: scopeError });
+    }
+
+    const { changes, status, error } = await parsePresetChanges(body, scope, { creating: true });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if ((await SubtitleStyle.countDocuments(scope)) >= MAX_PRESETS_PER_SCOPE) {
+      return res.status(409).json({ error: `At most ${MAX_PRESETS_PER_SCOPE} subtitle styles can be saved here` });
+    }
+
+    const preset = await SubtitleStyle.create({ ...changes, owner: req.userId, workspace: scope.workspace });
+    if (preset.isDefault) {
+      await clearOtherDefaults(preset);
+    }
+    res.status(201).json({ success: true, preset: formatPreset(preset) });
+  } catch (err) {
+    handleStyleError(res, err, "Failed to create subtitle style");
+  }
+});
+
+subtitleStyleRouter.get("/:styleId", async (req, res) => {
+  try {
+    const preset = await findPreset(req, res, "viewer");
+    if (!preset) return;
+
+    res.json({ success: true, preset: formatPreset(preset) });
+  } catch (err) {
+    handleStyleError(res, err, "Failed to fetch subtitle style");
+  }
+});
+
+// Rename, change some style fields, or make it the default. Videos already
+// burned keep the style they were rendered with.
+subtitleStyleRouter.patch("/:styleId", async (req, res) => {
+  try {
+    const preset = await findPreset(req, res, "admin");
+    if (!preset) return;
+
+    const { changes, status, error } = await parsePresetChanges(req.body || {}, scopeOf(preset), {
+      creating: false,
+      baseStyle: preset.style,
+      excludeId: preset._id
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ error: "Nothing to update, send name, style or isDefault" });
+    }
+
+    Object.assign(preset, changes);
+    await preset.save();
+    if (changes.isDefault) {
+      await clearOtherDefaults(preset);
+    }
+    res.json({ success: true, preset: formatPreset(preset) });
+  } catch (err) {
+    handleStyleError(res, err, "Failed to update subtitle style");
+  }
+});
+
+subtitleStyleRouter.delete("/:styleId", async (req, res) => {
+  try {
+    const preset = await findPreset(req, res, "admin");
+    if (!preset) return;
+
+    await SubtitleStyle.deleteOne({ _id: preset._id });
+    res.json({ success: true, id: preset._id });
+  } catch (err) {
+    handleStyleError(res, err, "Failed to delete subtitle style");
+  }
+});
+
+module.exports = subtitleStyleRouter;
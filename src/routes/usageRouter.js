@@ -0,0 +1,50 @@
+const express = require("express");
+const { authenticateUser } = require("../middleware/authenticateUser");
+const { monthOf, nextMonthStart, getPlan, getUsage } = require("../utils/quotas");
+
+const usageRouter = express.Router();
+
+const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+// Usage of the signed-in user against the limits of their plan. null limits
+// are unlimited.
+usageRouter.get("/", authenticateUser, async (req, res) => {
+  try {
+    const [plan, usage] = await Promise.all([getPlan(req.userId), getUsage(req.userId)]);
+    const now = new Date();
+
+    res.json({
+      success: true,
+      plan: plan.name,
+      planLabel: plan.label,
+      month: monthOf(now),
+      processingResetsAt: nextMonthStart(now),
+      limits: {
+        storageBytes: plan.storageBytes,
+        videos: plan.videos,
+        processingMinutesPerMonth: plan.processingMinutesPerMonth,
+        maxVideoSeconds: plan.maxVideoSeconds
+      },
+      usage: {
+        storageBytes: usage.storageBytes,
+        reservedBytes: usage.reservedBytes,
+        videos: usage.videos,
+        pendingUploads: usage.pendingUploads,
+        processingMinutes: usage.processingMinutes
+      },
+      remaining: {
+        storageBytes: remaining(plan.storageBytes, usage.storageBytes + usage.reservedBytes),
+        videos: remaining(plan.videos, usage.videos + usage.pendingUploads),
+        processingMinutes: remaining(plan.processingMinutesPerMonth, usage.processingMinutes)
+      }
+    });
+  } catch (err) {
+    console.error("Usage error:", err);
+    res.status(500).json({
+      error: "Failed to fetch usage",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+module.exports = usageRouter;
@@ -2,21 +2,66 @@ const express = require("express");
 const fs = require("fs");
 const path = require("path");
 const multer = require("multer");
-const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
 const Video = require("../models/video");
+const Job = require("../models/job");
+const captionRouter = require("./captionRouter");
+const shareLinkRouter = require("./shareLinkRouter");
+const editRouter = require("./editRouter");
+const commentRouter = require("./commentRouter");
+const reactionRouter = require("./reactionRouter");
+const viewRouter = require("./viewRouter");
+const enrichmentRouter = require("./enrichmentRouter");
+const UploadSession = require("../models/uploadSession");
+const Workspace = require("../models/workspace");
+const Folder = require("../models/folder");
+const SubtitleStyle = require("../models/subtitleStyle");
+const { authenticateUser, identifyUser } = require("../middleware/authenticateUser");
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail");
+const { uploadRateLimit } = require("../middleware/rateLimit");
 const { promisify } = require("util");
-const readFile = promisify(fs.readFile);
 const unlink = promisify(fs.unlink);
 
-const { extractAudioFromVideo } = require('../utils/extractAudio');
-const { transcribeWithWhisper } = require("../utils/transcribeWithWhisper");
-const { burnSubtitlesIntoVideo } = require("../utils/burnSubtitles");
+const { enqueueJob } = require("../jobs/jobQueue");
+const { PROCESS_VIDEO_JOB } = require("../jobs/processVideo");
+const { THUMBNAILS_JOB } = require("../jobs/generateThumbnails");
+const { DEFAULT_VIDEO_TITLE } = require("../jobs/enrichVideo");
+const { INCOMING_DIR } = require("../utils/uploadPaths");
+const { getStorage, contentTypeFor, putLocalFile } = require("../services/storage");
+const { MASTER_PLAYLIST, VARIANT_PLAYLIST } = require("../utils/packageHls");
+const { srtToVtt, formatTimestamp } = require("../utils/subtitleFormats");
+const { buildStoryboardVtt } = require("../utils/thumbnails");
+const { buildChaptersVtt } = require("../utils/chapters");
+const { probeMedia, toMediaInfo } = require("../utils/probeMedia");
+const { languageLabel, normalizeLanguageCode, parseLanguageList } = require("../utils/languages");
+const { isTranscriptionProvider, listTranscriptionProviders } = require("../services/transcription");
+const { parseSearchTerms, buildTermPattern, highlight, findMatchingCues } = require("../utils/transcriptSearch");
+const { checkVideoAccess, createSignedParams } = require("../utils/videoAccess");
+const { canManageVideo, getWorkspaceRole, hasRole } = require("../utils/workspaceAccess");
+const { TRASH_RETENTION_DAYS, isBusy, purgeAfter, purgeVideo } = require("../utils/videoTrash");
+const { dayOf, recordView, buildVideoAnalytics } = require("../utils/viewAnalytics");
+const { normalizeTags, folderTreeIds, listVideos } = require("../utils/videoLibrary");
+const { notifyVideoEvent } = require("../utils/webhooks");
+const { formatQuotaError, checkUploadQuota, recordProcessing } = require("../utils/quotas");
+const { AUDIO_CLEANUP_STEPS, DEFAULT_AUDIO_CLEANUP, parseAudioCleanup } = require("../utils/audioCleanup");
+const { normalizeSubtitleStyle } = require("../utils/subtitleStyles");
+const {
+  CHUNKS_DIR,
+  appendChunk,
+  getFileSize,
+  computeFileChecksum,
+  normalizeChecksum
+} = require("../utils/chunkedUpload");
 
 const videoRouter = express.Router();
 
 // Configuration
 const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
 const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+const MAX_CHUNK_SIZE = 10 * 1024 * 1024; // 10MB per PATCH
+const MAX_CHUNKED_UPLOAD_SIZE = parseInt(process.env.MAX_CHUNKED_UPLOAD_SIZE) || 5 * 1024 * 1024 * 1024; // 5GB
+const UPLOAD_SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
 const ALLOWED_VIDEO_TYPES = [
   'video/mp4',
   'video/quicktime',
@@ -26,46 +71,38 @@ const ALLOWED_VIDEO_TYPES = [
 ];
 
 const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const HLS_SEGMENT_PATTERN = /^seg_\d+\.ts$/;
+const STORYBOARD_SHEET_PATTERN = /^storyboard_\d{3}\.jpg$/;
+const MAX_SEARCH_RESULTS = 50;
+const MAX_MATCHES_PER_VIDEO = 5;
+const VISIBILITIES = ["private", "unlisted", "public"];
+const MIN_VIDEO_PASSWORD_LENGTH = 4;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_BULK_IDS = 100;
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 366;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const isDay = (value) => typeof value === "string" && DAY_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+const BULK_ACTIONS = ["update", "delete", "restore", "purge"];
+const CAPTION_MODES = ["burn", "soft"];
+const DEFAULT_CAPTION_MODE = CAPTION_MODES.includes(process.env.DEFAULT_CAPTION_MODE)
+  ? process.env.DEFAULT_CAPTION_MODE
+  : "burn";
 
-// Enhanced JWT Authentication Middleware
-const authenticateUser = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: "Authorization header missing" });
-    }
-
-    const token = authHeader.split(" ")[1];
-    if (!token) {
-      return res.status(401).json({ error: "Token not provided" });
-    }
-
-    const decoded = await jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    next();
-  } catch (err) {
-    console.error("Authentication error:", err);
-    res.status(403).json({ 
-      error: "Authentication failed",
-      details: err.message 
-    });
-  }
-};
+// Upload sessions that currently have a PATCH streaming into them
+const activeChunkWrites = new Set();
 
 // Secure File Upload Configuration
-const storage = multer.diskStorage({
+// Files land on local disk first and are moved into storage once validated
+const diskStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    let uploadPath;
-    if (file.fieldname === "video") {
-      uploadPath = path.join(__dirname, "..", "uploads", "videos");
-    } else if (file.fieldname === "thumbnail") {
-      uploadPath = path.join(__dirname, "..", "uploads", "thumbnails");
-    } else {
+    if (file.fieldname !== "video" && file.fieldname !== "thumbnail") {
       return cb(new Error("Invalid fieldname"));
     }
 
-    fs.mkdirSync(uploadPath, { recursive: true });
-    cb(null, uploadPath);
+    fs.mkdirSync(INCOMING_DIR, { recursive: true });
+    cb(null, INCOMING_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
@@ -87,7 +124,7 @@ const fileFilter = (req, file, cb) => {
 
 
 const upload = multer({
-  storage,
+  storage: diskStorage,
   fileFilter,
   limits: {
     fileSize: MAX_FILE_SIZE,
@@ -107,10 +144,190 @@ async function cleanupFiles(files = []) {
   }
 }
 
-// Upload video with processing pipeline
+// "burn" or "soft", falling back to DEFAULT_CAPTION_MODE. Returns null for anything else.
+function resolveCaptionMode(value) {
+  const mode = value || DEFAULT_CAPTION_MODE;
+  return CAPTION_MODES.includes(mode) ? mode : null;
+}
+
+// Audio clean-up steps, falling back to DEFAULT_AUDIO_CLEANUP when not given.
+// Returns null when a step is unknown.
+function resolveAudioCleanup(value) {
+  return value === undefined ? DEFAULT_AUDIO_CLEANUP : parseAudioCleanup(value);
+}
+
+const AUDIO_CLEANUP_ERROR = `audioCleanup must list any of: ${AUDIO_CLEANUP_STEPS.join(", ")}, or "none"`;
+
+// Spoken language ("auto" to detect) plus any extra subtitle languages.
+// Returns null when either value is malformed.
+function resolveLanguageOptions(fields = {}) {
+  const language = fields.language === undefined || fields.language === "" || fields.language === "auto"
+    ? "auto"
+    : normalizeLanguageCode(fields.language);
+  const translationLanguages = parseLanguageList(fields.translations);
+  if (!language || !translationLanguages) {
+    return null;
+  }
+  return { language, translationLanguages };
+}
+
+// Probe a received file before it is stored. Files without a picture are refused
+// before any processing is queued; a missing audio track is only flagged.
+async function probeUpload(filePath) {
+  try {
+    const probe = await probeMedia(filePath);
+    if (!probe.hasVideo) {
+      return { error: "The file has no video stream" };
+    }
+    return { probe };
+  } catch (err) {
+    if (err.unreadable) {
+      return { error: "The file is not a readable video" };
+    }
+    throw err;
+  }
+}
+
+function sendQuotaError(res, quotaError) {
+  return res.status(quotaError.status).json(formatQuotaError(quotaError));
+}
+
+// Move a received file into storage under `folder` and drop the local copy
+async function storeIncomingFile(folder, filePath, filename = path.basename(filePath)) {
+  const key = await putLocalFile(`${folder}/${filename}`, filePath);
+  await cleanupFiles([filePath]);
+  return key;
+}
+
+// Uploads into a workspace need at least the member role there.
+// Resolves with { workspace } (an id or null) or { status, error }.
+async function resolveUploadWorkspace(userId, workspaceId) {
+  if (workspaceId === undefined || workspaceId === null || workspaceId === "") {
+    return { workspace: null };
+  }
+  if (!mongoose.isValidObjectId(workspaceId)) {
+    return { status: 404, error: "Workspace not found" };
+  }
+  const role = await getWorkspaceRole(workspaceId, userId);
+  if (!role) {
+    return { status: 404, error: "Workspace not found" };
+  }
+  if (!hasRole(role, "member")) {
+    return { status: 403, error: "Viewers cannot add videos to this workspace" };
+  }
+  return { workspace: workspaceId };
+}
+
+// Caption style of an upload: the preset picked with subtitleStyleId, else the
+// workspace's or the uploader's default preset, else the built-in style, with
+// any subtitleStyle fields laid over it (a JSON string in multipart forms).
+// Resolves with { style } or { status, error }.
+async function resolveUploadSubtitleStyle(userId, workspace, { subtitleStyleId, subtitleStyle } = {}) {
+  let preset = null;
+  if (subtitleStyleId) {
+    preset = mongoose.isValidObjectId(subtitleStyleId) ? await SubtitleStyle.findById(subtitleStyleId).lean() : null;
+    const usable = preset && (preset.workspace
+      ? Boolean(await getWorkspaceRole(preset.workspace, userId))
+      : preset.owner.toString() === String(userId));
+    if (!usable) {
+      return { status: 404, error: "Subtitle style not found" };
+    }
+  } else {
+    preset = (workspace && await SubtitleStyle.findOne({ workspace, isDefault: true }).lean())
+      || await SubtitleStyle.findOne({ owner: userId, workspace: null, isDefault: true }).lean();
+  }
+
+  let overrides = subtitleStyle === undefined || subtitleStyle === null || subtitleStyle === "" ? {} : subtitleStyle;
+  if (typeof overrides === "string") {
+    try {
+      overrides = JSON.parse(overrides);
+    } catch (err) {
+      return { status: 400, error: "subtitleStyle must be a JSON object" };
+    }
+  }
+  try {
+    return { style: normalizeSubtitleStyle(overrides, preset ? preset.style : undefined) };
+  } catch (err) {
+    if (err.status !== 400) throw err;
+    return { status: 400, error: err.message };
+  }
+}
+
+// Create the video record and queue the processing pipeline for it.
+// The video is listed as "processing" until the job finishes.
+async function queueVideoProcessing(ownerId, { sourceKey, thumbnailKey = "", probe }, fields = {}) {
+  const video = new Video({
+    title: fields.title || DEFAULT_VIDEO_TITLE,
+    description: fields.description || "",
+    duration: probe.duration,
+    media: toMediaInfo(probe),
+    processingWarnings: probe.hasAudio ? [] : ["no-audio"],
+    owner: ownerId,
+    workspace: fields.workspaceId || null,
+    videoKey: sourceKey,
+    sourceKey,
+    thumbnailKey,
+    thumbnailSource: thumbnailKey ? "upload" : "none",
+    ...resolveLanguageOptions(fields),
+    captionMode: resolveCaptionMode(fields.captionMode),
+    audioCleanup: resolveAudioCleanup(fields.audioCleanup),
+    subtitleStyle: fields.subtitleStyle || null,
+    transcriptionProvider: fields.transcriptionProvider || "",
+    status: "processing"
+  });
+  await video.save();
+
+  const job = await enqueueJob(
+    PROCESS_VIDEO_JOB,
+    { videoId: video._id.toString(), sourceKey },
+    { owner: ownerId, video: video._id }
+  );
+  video.job = job._id;
+  await video.save();
+  await recordProcessing(ownerId, probe.duration);
+  notifyVideoEvent("video.created", video);
+
+  return { video, job };
+}
+
+function formatQueuedUpload(video, job) {
+  return {
+    success: true,
+    message: "Video uploaded, processing has started",
+    jobId: job._id,
+    statusUrl: `${BASE_URL}/api/videos/jobs/${job._id}`,
+    video: {
+      id: video._id,
+      title: video.title,
+      status: video.status,
+      duration: video.duration,
+      warnings: video.processingWarnings,
+      streamUrl: `${BASE_URL}/api/videos/stream/${video._id}`,
+      thumbnailUrl: thumbnailUrlFor(video),
+      createdAt: video.createdAt
+    }
+  };
+}
+
+// Upload video and queue the processing pipeline
 videoRouter.post(
   "/upload",
   authenticateUser,
+  requireVerifiedEmail,
+  uploadRateLimit,
+  // Turn away uploads that cannot fit before the file is received
+  async (req, res, next) => {
+    try {
+      const quotaError = await checkUploadQuota(req.userId, { size: parseInt(req.get("Content-Length")) || 0 });
+      if (quotaError) {
+        return sendQuotaError(res, quotaError);
+      }
+      next();
+    } catch (err) {
+      console.error("Quota check error:", err);
+      res.status(500).json({ error: "Failed to check upload quota" });
+    }
+  },
   (req, res, next) => {
     upload(req, res, (err) => {
       if (err instanceof multer.MulterError) {
@@ -122,7 +339,8 @@ videoRouter.post(
     });
   },
   async (req, res) => {
-    const tempFiles = [];
+    const uploadedFiles = [];
+    const storedKeys = [];
     try {
       // Validate required files
       if (!req.files?.video) {
@@ -131,170 +349,652 @@ videoRouter.post(
 
       const videoFile = req.files.video[0];
       const videoPath = videoFile.path;
-      tempFiles.push(videoPath);
-
-      // Create necessary directories
-      const audioDir = path.join(__dirname, "..", "uploads", "audios");
-      const subtitleDir = path.join(__dirname, "..", "uploads", "subtitles");
-      fs.mkdirSync(audioDir, { recursive: true });
-      fs.mkdirSync(subtitleDir, { recursive: true });
-
-      // Processing pipeline
-      console.log("\n=== Starting Video Processing Pipeline ===");
-      console.log("Video path:", videoPath);
-      console.log("Audio directory:", audioDir);
-      console.log("Subtitle directory:", subtitleDir);
-
-      console.log("\n1. Extracting audio...");
-      const audioPath = await extractAudioFromVideo(videoPath, audioDir);
-      console.log("Audio extracted to:", audioPath);
-      tempFiles.push(audioPath);
-
-      console.log("\n2. Transcribing audio...");
-      let srtPath;
-      try {
-        srtPath = await transcribeWithWhisper(audioPath, subtitleDir);
-        console.log("Transcription completed. SRT file at:", srtPath);
-        if (!fs.existsSync(srtPath)) {
-          throw new Error(`Generated SRT file not found at: ${srtPath}`);
-        }
-        
-        // Verify SRT file is not empty
-        const stats = fs.statSync(srtPath);
-        if (stats.size === 0) {
-          throw new Error("Generated SRT file is empty");
-        }
-        
-        tempFiles.push(srtPath);
-      } catch (transcriptionError) {
-        console.error("Transcription error details:", {
-          error: transcriptionError.message,
-          stack: transcriptionError.stack,
-          stdout: transcriptionError.stdout,
-          stderr: transcriptionError.stderr
-        });
-        throw new Error(`Transcription failed: ${transcriptionError.message}`);
-      }
-
-      console.log("\n3. Burning subtitles...");
-      try {
-        console.log("Starting subtitle burning process...");
-        const finalVideoPath = await burnSubtitlesIntoVideo(videoPath, srtPath, path.dirname(videoPath));
-        console.log("Final video created at:", finalVideoPath);
-
-        // Verify the final video exists and has size
-        const finalVideoStats = fs.statSync(finalVideoPath);
-        if (finalVideoStats.size === 0) {
-          throw new Error("Generated video file is empty");
-        }
-
-        console.log("\n4. Reading subtitles...");
-        const subtitleText = await readFile(srtPath, "utf8");
-
-        // Prepare thumbnail URL
-        const thumbnailFile = req.files?.thumbnail?.[0];
-        const thumbnailUrl = thumbnailFile 
-          ? thumbnailFile.path.replace(path.join(__dirname, ".."), "").replace(/\\/g, "/")
-          : "/uploads/thumbnails/default.jpg";
-
-        // Save video to database with MP4 extension
-        const newVideo = new Video({
-          title: req.body.title || "Untitled Video",
-          description: req.body.description || "",
-          owner: req.userId,
-          videoUrl: finalVideoPath.replace(path.join(__dirname, ".."), "").replace(/\\/g, "/"),
-          thumbnailUrl,
-          subtitle: subtitleText,
-          duration: req.body.duration || 0,
-          language: req.body.language || "en"
-        });
-
-        await newVideo.save();
-
-        // Clean up temporary files (keep final video)
-        await cleanupFiles(tempFiles);
-
-        // Prepare response with correct API paths
-        const downloadUrl = `${BASE_URL}/api/videos/download/${path.basename(finalVideoPath)}`;
-        const streamUrl = `${BASE_URL}/api/videos/stream/${newVideo._id}`;
-
-        res.status(201).json({
-          success: true,
-          message: "Video processed successfully",
-          video: {
-            id: newVideo._id,
-            title: newVideo.title,
-            videoUrl: downloadUrl,
-            streamUrl,
-            thumbnailUrl: `${BASE_URL}${thumbnailUrl}`,
-            createdAt: newVideo.createdAt
-          }
-        });
-      } catch (burnError) {
-        console.error("Burning subtitles error:", burnError);
-        throw new Error(`Burning subtitles failed: ${burnError.message}`);
+      uploadedFiles.push(videoPath);
+      if (req.files?.thumbnail?.[0]) {
+        uploadedFiles.push(req.files.thumbnail[0].path);
+      }
+
+      if (!resolveCaptionMode(req.body.captionMode)) {
+        await cleanupFiles(uploadedFiles);
+        return res.status(400).json({ error: "captionMode must be \"burn\" or \"soft\"" });
+      }
+      if (!resolveAudioCleanup(req.body.audioCleanup)) {
+        await cleanupFiles(uploadedFiles);
+        return res.status(400).json({ error: AUDIO_CLEANUP_ERROR });
+      }
+      if (!resolveLanguageOptions(req.body)) {
+        await cleanupFiles(uploadedFiles);
+        return res.status(400).json({ error: "language and translations must be language codes such as \"en\" or \"hi\"" });
+      }
+      if (req.body.transcriptionProvider && !isTranscriptionProvider(req.body.transcriptionProvider)) {
+        await cleanupFiles(uploadedFiles);
+        return res.status(400).json({ error: `transcriptionProvider must be one of: ${listTranscriptionProviders().join(", ")}` });
+      }
+
+      const { workspace, status: workspaceStatus, error: workspaceError } = await resolveUploadWorkspace(req.userId, req.body.workspaceId);
+      if (workspaceError) {
+        await cleanupFiles(uploadedFiles);
+        return res.status(workspaceStatus).json({ error: workspaceError });
       }
+      const { style: subtitleStyle, status: styleStatus, error: styleError } = await resolveUploadSubtitleStyle(req.userId, workspace, req.body);
+      if (styleError) {
+        await cleanupFiles(uploadedFiles);
+        return res.status(styleStatus).json({ error: styleError });
+      }
+
+      const { probe, error: probeError } = await probeUpload(videoPath);
+      if (probeError) {
+        await cleanupFiles(uploadedFiles);
+        return res.status(422).json({ error: probeError });
+      }
+      const quotaError = await checkUploadQuota(req.userId, { size: videoFile.size, durationSeconds: probe.duration });
+      if (quotaError) {
+        await cleanupFiles(uploadedFiles);
+        return sendQuotaError(res, quotaError);
+      }
+
+      const sourceKey = await storeIncomingFile("videos", videoPath);
+      storedKeys.push(sourceKey);
+      const thumbnailFile = req.files?.thumbnail?.[0];
+      const thumbnailKey = thumbnailFile ? await storeIncomingFile("thumbnails", thumbnailFile.path) : "";
+      storedKeys.push(thumbnailKey);
+
+      const { video, job } = await queueVideoProcessing(req.userId, { sourceKey, thumbnailKey, probe }, { ...req.body, subtitleStyle });
+      res.status(202).json(formatQueuedUpload(video, job));
     } catch (err) {
       console.error("Upload error:", err);
-      await cleanupFiles(tempFiles);
+      await cleanupFiles(uploadedFiles);
+      await Promise.all(storedKeys.filter(Boolean).map(key => getStorage().delete(key).catch(() => {})));
       res.status(500).json({ 
-        error: "Video processing failed",
+        error: "Video upload failed",
         details: process.env.NODE_ENV === "development" ? err.message : undefined
       });
     }
   }
 );
 
+// Resumable chunked uploads: create a session, PATCH chunks at the current
+// offset, check the offset after a dropped connection, then finalize.
+const uploadSessionPath = (session) => `${BASE_URL}/api/videos/uploads/${session._id}`;
+
+const formatUploadSession = (session) => ({
+  id: session._id,
+  filename: session.filename,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  expiresAt: session.expiresAt,
+  uploadUrl: uploadSessionPath(session),
+  maxChunkSize: MAX_CHUNK_SIZE
+});
+
+async function findUploadSession(req, res) {
+  if (!mongoose.isValidObjectId(req.params.uploadId)) {
+    res.status(404).json({ error: "Upload session not found" });
+    return null;
+  }
+  const session = await UploadSession.findById(req.params.uploadId);
+  if (!session) {
+    res.status(404).json({ error: "Upload session not found" });
+    return null;
+  }
+  if (session.owner.toString() !== req.userId) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+  if (session.status === "active" && session.expiresAt <= new Date()) {
+    res.status(410).json({ error: "Upload session has expired" });
+    return null;
+  }
+  return session;
+}
+
+// After a finalize fails: a session whose file is still in the part file
+// can be finished again; once the file was moved into storage it cannot, so
+// the stored copy is removed and the session fails for good.
+async function releaseFailedFinalize(session, { sourceKey, video }) {
+  if (!session || session.status !== "finalizing") {
+    return;
+  }
+  if (video) {
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: "completed", video: video._id } });
+    return;
+  }
+  if (sourceKey) {
+    await getStorage().delete(sourceKey).catch(() => {});
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: "failed" } });
+    return;
+  }
+  await UploadSession.updateOne({ _id: session._id, status: "finalizing" }, { $set: { status: "active" } });
+}
+
+// Start an upload session
+videoRouter.post("/uploads", authenticateUser, requireVerifiedEmail, uploadRateLimit, async (req, res) => {
+  try {
+    const {
+      filename,
+      mimeType,
+      title,
+      description,
+      language,
+      translations,
+      captionMode,
+      audioCleanup,
+      transcriptionProvider,
+      workspaceId
+    } = req.body || {};
+    const size = parseInt(req.body?.size);
+
+    if (!filename || typeof filename !== "string") {
+      return res.status(400).json({ error: "filename is required" });
+    }
+    if (!ALLOWED_VIDEO_TYPES.includes(mimeType)) {
+      return res.status(400).json({ error: "Invalid video file type" });
+    }
+    if (!size || size < 1) {
+      return res.status(400).json({ error: "size must be a positive number of bytes" });
+    }
+    if (size > MAX_CHUNKED_UPLOAD_SIZE) {
+      return res.status(413).json({ error: `File is larger than ${MAX_CHUNKED_UPLOAD_SIZE} bytes` });
+    }
+
+    if (!resolveCaptionMode(captionMode)) {
+      return res.status(400).json({ error: "captionMode must be \"burn\" or \"soft\"" });
+    }
+    if (!resolveAudioCleanup(audioCleanup)) {
+      return res.status(400).json({ error: AUDIO_CLEANUP_ERROR });
+    }
+    if (!resolveLanguageOptions({ language, translations })) {
+      return res.status(400).json({ error: "language and translations must be language codes such as \"en\" or \"hi\"" });
+    }
+    if (transcriptionProvider && !isTranscriptionProvider(transcriptionProvider)) {
+      return res.status(400).json({ error: `transcriptionProvider must be one of: ${listTranscriptionProviders().join(", ")}` });
+    }
+
+    const checksum = normalizeChecksum(req.body?.checksum);
+    if (checksum === null) {
+      return res.status(400).json({ error: "checksum must be a hex-encoded SHA-256 digest" });
+    }
+
+    const { workspace, status: workspaceStatus, error: workspaceError } = await resolveUploadWorkspace(req.userId, workspaceId);
+    if (workspaceError) {
+      return res.status(workspaceStatus).json({ error: workspaceError });
+    }
+    // Resolved now so later changes to the preset do not affect an upload in flight
+    const { style: subtitleStyle, status: styleStatus, error: styleError } = await resolveUploadSubtitleStyle(req.userId, workspace, req.body);
+    if (styleError) {
+      return res.status(styleStatus).json({ error: styleError });
+    }
+
+    const quotaError = await checkUploadQuota(req.userId, { size });
+    if (quotaError) {
+      return sendQuotaError(res, quotaError);
+    }
+
+    const sessionId = new mongoose.Types.ObjectId();
+    const session = new UploadSession({
+      _id: sessionId,
+      owner: req.userId,
+      filename: path.basename(filename),
+      mimeType,
+      size,
+      checksum,
+      tempPath: path.join(CHUNKS_DIR, `${sessionId}.part`),
+      metadata: {
+        title,
+        description,
+        language,
+        translations,
+        captionMode,
+        audioCleanup,
+        subtitleStyle,
+        transcriptionProvider,
+        workspaceId
+      },
+      expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+    });
+    await session.save();
+
+    res.status(201)
+      .set("Location", uploadSessionPath(session))
+      .json({ success: true, upload: formatUploadSession(session) });
+  } catch (err) {
+    console.error("Upload session error:", err);
+    res.status(500).json({ 
+      error: "Failed to create upload session",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Current offset of an upload session (also answers HEAD requests)
+videoRouter.get("/uploads/:uploadId", authenticateUser, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    res.set({
+      "Upload-Offset": String(session.offset),
+      "Upload-Length": String(session.size),
+      "Cache-Control": "no-store"
+    });
+    res.json({ success: true, upload: formatUploadSession(session) });
+  } catch (err) {
+    console.error("Upload session error:", err);
+    res.status(500).json({ error: "Failed to fetch upload session" });
+  }
+});
+
+// Append a chunk at the given offset
+videoRouter.patch("/uploads/:uploadId", authenticateUser, async (req, res) => {
+  let session;
+  try {
+    session = await findUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status !== "active") {
+      return res.status(409).json({ error: `Upload session is ${session.status}` });
+    }
+    if (!req.is("application/offset+octet-stream") && !req.is("application/octet-stream")) {
+      return res.status(415).json({ error: "Chunks must be sent as application/octet-stream" });
+    }
+
+    const offset = parseInt(req.get("Upload-Offset") ?? req.query.offset);
+    if (Number.isNaN(offset) || offset !== session.offset) {
+      return res.status(409)
+        .set("Upload-Offset", String(session.offset))
+        .json({ error: "Offset does not match the upload session", offset: session.offset });
+    }
+
+    if (activeChunkWrites.has(session.id)) {
+      return res.status(409).json({ error: "Another chunk is being written to this upload" });
+    }
+    activeChunkWrites.add(session.id);
+
+    let chunkError = null;
+    try {
+      const remaining = session.size - session.offset;
+      await appendChunk(req, session.tempPath, Math.min(remaining, MAX_CHUNK_SIZE));
+    } catch (err) {
+      chunkError = err;
+    } finally {
+      activeChunkWrites.delete(session.id);
+    }
+
+    // Whatever made it to disk is kept, so a dropped connection resumes from there
+    session.offset = Math.min(getFileSize(session.tempPath), session.size);
+    session.expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
+    await session.save();
+
+    res.set("Upload-Offset", String(session.offset));
+    if (chunkError) {
+      if (chunkError.status === 413) {
+        return res.status(413).json({ error: chunkError.message, offset: session.offset });
+      }
+      throw chunkError;
+    }
+
+    res.json({ success: true, upload: formatUploadSession(session) });
+  } catch (err) {
+    console.error("Chunk upload error:", err);
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        error: "Chunk upload failed",
+        offset: session?.offset,
+        details: process.env.NODE_ENV === "development" ? err.message : undefined
+      });
+    }
+  }
+});
+
+// Verify the assembled file and hand it to the processing pipeline
+videoRouter.post("/uploads/:uploadId/complete", authenticateUser, requireVerifiedEmail, async (req, res) => {
+  let session = null;
+  let sourceKey = "";
+  let queued = null;
+  try {
+    session = await findUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status !== "active") {
+      return res.status(409).json({ error: `Upload session is ${session.status}` });
+    }
+    if (activeChunkWrites.has(session.id)) {
+      return res.status(409).json({ error: "A chunk is still being written to this upload" });
+    }
+
+    const receivedSize = getFileSize(session.tempPath);
+    if (session.offset !== session.size || receivedSize !== session.size) {
+      return res.status(409).json({
+        error: "Upload is incomplete",
+        offset: receivedSize,
+        size: session.size
+      });
+    }
+
+    const expectedChecksum = session.checksum || normalizeChecksum(req.body?.checksum);
+    if (!expectedChecksum) {
+      return res.status(400).json({ error: "A SHA-256 checksum is required to finalize the upload" });
+    }
+
+    // Only one request may finalize a session; a second one racing this one
+    // would otherwise create a second video from the same file
+    session = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: "active" },
+      { $set: { status: "finalizing" } },
+      { new: true }
+    );
+    if (!session) {
+      return res.status(409).json({ error: "Upload session is already being finalized" });
+    }
+
+    const actualChecksum = await computeFileChecksum(session.tempPath);
+    if (actualChecksum !== expectedChecksum) {
+      session.status = "failed";
+      await session.save();
+      await cleanupFiles([session.tempPath]);
+      return res.status(422).json({ error: "Checksum mismatch, the upload must be restarted" });
+    }
+
+    // Membership may have changed while the chunks were arriving
+    const { status: workspaceStatus, error: workspaceError } = await resolveUploadWorkspace(req.userId, session.metadata?.workspaceId);
+    if (workspaceError) {
+      session.status = "active";
+      await session.save();
+      return res.status(workspaceStatus).json({ error: workspaceError });
+    }
+
+    const { probe, error: probeError } = await probeUpload(session.tempPath);
+    if (probeError) {
+      session.status = "failed";
+      await session.save();
+      await cleanupFiles([session.tempPath]);
+      return res.status(422).json({ error: probeError });
+    }
+    // The length is only known now; the session's own reservation is not counted twice
+    const quotaError = await checkUploadQuota(req.userId, {
+      size: session.size,
+      durationSeconds: probe.duration,
+      excludeSession: session._id
+    });
+    if (quotaError) {
+      session.status = "failed";
+      await session.save();
+      await cleanupFiles([session.tempPath]);
+      return sendQuotaError(res, quotaError);
+    }
+
+    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    sourceKey = await storeIncomingFile(
+      "videos",
+      session.tempPath,
+      `video-${uniqueSuffix}${path.extname(session.filename)}`
+    );
+
+    queued = await queueVideoProcessing(req.userId, { sourceKey, probe }, session.metadata);
+
+    session.status = "completed";
+    session.video = queued.video._id;
+    await session.save();
+
+    res.status(202).json(formatQueuedUpload(queued.video, queued.job));
+  } catch (err) {
+    console.error("Finalize upload error:", err);
+    await releaseFailedFinalize(session, { sourceKey, video: queued?.video }).catch((releaseError) => {
+      console.error("Failed to release upload session:", releaseError.message);
+    });
+    res.status(500).json({ 
+      error: "Failed to finalize upload",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Abandon an upload session
+videoRouter.delete("/uploads/:uploadId", authenticateUser, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status === "active") {
+      session.status = "expired";
+      await session.save();
+      await cleanupFiles([session.tempPath]);
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error("Delete upload session error:", err);
+    res.status(500).json({ error: "Failed to delete upload session" });
+  }
+});
+
+// Processing job status
+videoRouter.get("/jobs/:id", authenticateUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    if (!job.owner || job.owner.toString() !== req.userId) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    res.json({
+      success: true,
+      job: {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === "queued" ? job.runAt : null,
+        errors: job.errorLog.map(entry => ({
+          message: entry.message,
+          stage: entry.stage,
+          attempt: entry.attempt,
+          at: entry.at
+        })),
+        videoId: job.video,
+        streamUrl: job.status === "completed" && job.video
+          ? `${BASE_URL}/api/videos/stream/${job.video}`
+          : null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+      }
+    });
+  } catch (err) {
+    console.error("Error fetching job:", err);
+    res.status(500).json({ 
+      error: "Failed to fetch job",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
 // Secure Video Download Endpoint
-videoRouter.get("/download/:filename", async (req, res) => {
+videoRouter.get("/download/:filename", identifyUser, async (req, res) => {
   try {
     const filename = path.basename(req.params.filename);
     if (!filename) {
       return res.status(400).json({ error: "Invalid filename" });
     }
 
-    const videoPath = path.join(__dirname, "..", "uploads", "videos", filename);
-    if (!fs.existsSync(videoPath)) {
+    const video = await Video.findOne({ videoKey: `videos/${filename}`, deletedAt: null }).select("+passwordHash");
+    if (!video) {
       return res.status(404).json({ error: "Video not found" });
     }
+    if (!(await authorizeVideo(req, res, video, "download"))) return;
 
-    // Verify user has access to this video
-    const video = await Video.findOne({ 
-      videoUrl: { $regex: filename }
-    });
+    const storage = getStorage();
+    const stat = await storage.stat(video.videoKey);
+    if (!stat) {
+      return res.status(404).json({ error: "Video file not found" });
+    }
 
-    if (!video) {
-      return res.status(403).json({ error: "Access denied" });
+    // Object storage serves the file itself when it can
+    const downloadName = `${video.title}${path.extname(filename)}`;
+    const signedUrl = await storage.getSignedUrl(video.videoKey, { expiresIn: 300, filename: downloadName });
+    if (signedUrl) {
+      return res.redirect(302, signedUrl);
     }
 
-    res.download(videoPath, `${video.title}${path.extname(filename)}`);
+    res.attachment(downloadName);
+    res.set({ "Content-Length": stat.size, "Content-Type": contentTypeFor(video.videoKey) });
+    storage.createReadStream(video.videoKey).on("error", (err) => res.destroy(err)).pipe(res);
   } catch (err) {
     console.error("Download error:", err);
     res.status(500).json({ error: "Download failed" });
   }
 });
 
+// Videos processed before subtitle tracks existed only have the raw SRT
+function getSubtitleTracks(video) {
+  if (video.subtitleTracks?.length) {
+    return video.subtitleTracks;
+  }
+  if (!video.subtitle) {
+    return [];
+  }
+  const lang = video.language || "en";
+  return [{ lang, label: languageLabel(lang), kind: "captions", srt: video.subtitle }];
+}
+
+// Apply visibility, share links, passwords and signed URLs to one request.
+// Sets req.videoAccess when the request may see the video.
+async function authorizeVideo(req, res, video, scope = "stream") {
+  const access = await checkVideoAccess(video, {
+    scope,
+    userId: req.userId,
+    query: req.query,
+    shareToken: req.get("X-Share-Token") || req.body?.share,
+    password: req.get("X-Video-Password") || req.body?.password
+  });
+  if (!access.allowed) {
+    res.status(access.status).json({ error: access.error, passwordRequired: access.passwordRequired });
+    return false;
+  }
+  req.videoAccess = access;
+  return true;
+}
+
+// Shared lookup for the MP4, HLS, caption and detail endpoints.
+// Videos in the trash are gone for everyone, the owner included.
+async function findStreamableVideo(req, res, scope = "stream") {
+  if (!mongoose.isValidObjectId(req.params.videoId)) {
+    res.status(404).json({ error: "Video not found" });
+    return null;
+  }
+
+  const video = await Video.findOne({ _id: req.params.videoId, deletedAt: null }).select("+passwordHash");
+  if (!video) {
+    res.status(404).json({ error: "Video not found" });
+    return null;
+  }
+
+  if (!(await authorizeVideo(req, res, video, scope))) {
+    return null;
+  }
+
+  return video;
+}
+
+// Probed file details; videos processed before probing only have a duration
+const formatMedia = (video) => ({
+  duration: video.duration || 0,
+  width: video.media?.width ?? null,
+  height: video.media?.height ?? null,
+  frameRate: video.media?.frameRate ?? null,
+  videoCodec: video.media?.videoCodec ?? null,
+  audioCodec: video.media?.audioCodec ?? null,
+  bitrate: video.media?.bitrate ?? null,
+  size: video.media?.size ?? null,
+  hasAudio: video.media?.hasAudio ?? null
+});
+
+const withQuery = (url, params) => `${url}?${new URLSearchParams(params)}`;
+
+// Thumbnails follow the access rules of their video, so <img> tags get a signed URL
+function thumbnailUrlFor(video, params = createSignedParams(video._id, "stream")) {
+  return video.thumbnailKey ? withQuery(`${BASE_URL}/api/videos/${video._id}/thumbnail`, params) : null;
+}
+
+// Time-limited URLs that work without any other credentials, e.g. in a
+// <video> element or an HLS player that cannot send headers. A request that
+// came in through a signed URL gets back URLs no wider or longer-lived than it.
+function signedVideoUrls(req, video, ttlSeconds) {
+  const viaSignature = req.videoAccess.via === "signature";
+  const stream = viaSignature ? forwardedSignedParams(req, video) : createSignedParams(video._id, "stream", ttlSeconds);
+  const download = viaSignature ? null : createSignedParams(video._id, "download", ttlSeconds);
+  return {
+    expiresAt: new Date(stream.expires * 1000),
+    streamUrl: withQuery(`${BASE_URL}/api/videos/stream/${video._id}`, stream),
+    hlsUrl: video.hls?.status === "ready"
+      ? withQuery(`${BASE_URL}/api/videos/stream/${video._id}/hls/master.m3u8`, stream)
+      : null,
+    downloadUrl: download
+      ? withQuery(`${BASE_URL}/api/videos/download/${path.basename(video.videoKey)}`, download)
+      : null,
+    captions: getSubtitleTracks(video).map(track => ({
+      lang: track.lang,
+      label: track.label,
+      kind: track.kind,
+      url: withQuery(`${BASE_URL}/api/videos/${video._id}/captions/${track.lang}.vtt`, stream)
+    })),
+    thumbnailUrl: thumbnailUrlFor(video, stream),
+    storyboardUrl: video.storyboard?.status === "ready"
+      ? withQuery(`${BASE_URL}/api/videos/${video._id}/storyboard.vtt`, stream)
+      : null,
+    chaptersUrl: video.chapters?.length
+      ? withQuery(`${BASE_URL}/api/videos/${video._id}/chapters.vtt`, stream)
+      : null
+  };
+}
+
+// Signature for URLs inside a playlist or track: the request's own when it came
+// in through a signed URL, a fresh one otherwise
+function forwardedSignedParams(req, video) {
+  return req.videoAccess.via === "signature"
+    ? { expires: req.query.expires, sig: req.query.sig }
+    : createSignedParams(video._id, "stream");
+}
+
+// Players resolve playlist entries relative to the playlist and drop its query
+// string, so every entry carries the signature itself
+function signPlaylist(req, video, playlist) {
+  const query = new URLSearchParams(forwardedSignedParams(req, video)).toString();
+  return playlist
+    .split("\n")
+    .map(line => (line.trim() && !line.startsWith("#") ? `${line.trim()}?${query}` : line))
+    .join("\n");
+}
+
 // Video Streaming Endpoint
-videoRouter.get("/stream/:videoId", async (req, res) => {
+videoRouter.get("/stream/:videoId", identifyUser, async (req, res) => {
   try {
-    const video = await Video.findById(req.params.videoId);
-    if (!video) {
-      return res.status(404).json({ error: "Video not found" });
-    }
-
-    // Verify ownership or implement other access control
-    // if (video.owner.toString() !== req.userId) {
-    //   return res.status(403).json({ error: "Access denied" });
-    // }
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
 
-    const videoPath = path.join(__dirname, "..", video.videoUrl);
-    if (!fs.existsSync(videoPath)) {
+    const storage = getStorage();
+    const stat = await storage.stat(video.videoKey);
+    if (!stat) {
       return res.status(404).json({ error: "Video file not found" });
     }
 
-    const stat = fs.statSync(videoPath);
     const fileSize = stat.size;
     const range = req.headers.range;
+    const contentType = contentTypeFor(video.videoKey);
+
+    // Players fetch many ranges per playback, only the first one counts as a view
+    if (!range || /^bytes=0-/.test(range)) {
+      recordView(video, req, "stream").catch((err) => console.error("Failed to record view:", err.message));
+    }
 
     if (range) {
       // Handle partial content (streaming)
@@ -302,23 +1002,23 @@ videoRouter.get("/stream/:videoId", async (req, res) => {
       const start = parseInt(parts[0], 10);
       const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
       const chunkSize = (end - start) + 1;
-      const file = fs.createReadStream(videoPath, { start, end });
+      const file = storage.createReadStream(video.videoKey, { start, end });
       const head = {
         "Content-Range": `bytes ${start}-${end}/${fileSize}`,
         "Accept-Ranges": "bytes",
         "Content-Length": chunkSize,
-        "Content-Type": "video/mp4",
+        "Content-Type": contentType,
       };
       res.writeHead(206, head);
-      file.pipe(res);
+      file.on("error", (err) => res.destroy(err)).pipe(res);
     } else {
       // Full video download
       const head = {
         "Content-Length": fileSize,
-        "Content-Type": "video/mp4",
+        "Content-Type": contentType,
       };
       res.writeHead(200, head);
-      fs.createReadStream(videoPath).pipe(res);
+      storage.createReadStream(video.videoKey).on("error", (err) => res.destroy(err)).pipe(res);
     }
   } catch (err) {
     console.error("Stream error:", err);
@@ -326,36 +1026,226 @@ videoRouter.get("/stream/:videoId", async (req, res) => {
   }
 });
 
-// Get user videos with pagination
-videoRouter.get("/my-videos", authenticateUser, async (req, res) => {
+// HLS master playlist
+videoRouter.get("/stream/:videoId/hls/master.m3u8", identifyUser, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
 
-    const [videos, total] = await Promise.all([
-      Video.find({ owner: req.userId })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
-      Video.countDocuments({ owner: req.userId })
-    ]);
+    if (video.hls?.status !== "ready") {
+      return res.status(404).json({ error: "HLS renditions are not available for this video" });
+    }
 
-    const formattedVideos = videos.map(video => ({
-      id: video._id,
-      title: video.title,
-      thumbnailUrl: video.thumbnailUrl.startsWith("http")
-        ? video.thumbnailUrl
-        : `${BASE_URL}${video.thumbnailUrl}`,
-      videoUrl: `${BASE_URL}/api/videos/stream/${video._id}`,
-      createdAt: video.createdAt,
-      duration: video.duration
-    }));
+    const playlist = (await getStorage().get(`${video.hls.prefix}/${MASTER_PLAYLIST}`)).toString("utf8");
+    recordView(video, req, "stream").catch((err) => console.error("Failed to record view:", err.message));
+    res.type("application/vnd.apple.mpegurl");
+    res.set("Cache-Control", "no-store");
+    res.send(signPlaylist(req, video, playlist));
+  } catch (err) {
+    console.error("HLS playlist error:", err);
+    res.status(500).json({ error: "Streaming failed" });
+  }
+});
+
+// HLS variant playlists and segments
+videoRouter.get("/stream/:videoId/hls/:rendition/:file", identifyUser, async (req, res) => {
+  try {
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
+
+    const { rendition, file } = req.params;
+    const knownRendition = video.hls?.status === "ready"
+      && video.hls.renditions.some(entry => entry.name === rendition);
+    if (!knownRendition) {
+      return res.status(404).json({ error: "Rendition not found" });
+    }
+
+    if (file !== VARIANT_PLAYLIST && !HLS_SEGMENT_PATTERN.test(file)) {
+      return res.status(404).json({ error: "Segment not found" });
+    }
+
+    const storage = getStorage();
+    const key = `${video.hls.prefix}/${rendition}/${file}`;
+    const stat = await storage.stat(key);
+    if (!stat) {
+      return res.status(404).json({ error: "Segment not found" });
+    }
+
+    if (file === VARIANT_PLAYLIST) {
+      const playlist = (await storage.get(key)).toString("utf8");
+      res.type("application/vnd.apple.mpegurl");
+      res.set("Cache-Control", "no-store");
+      return res.send(signPlaylist(req, video, playlist));
+    }
+
+    // Segments never change once written
+    res.set({
+      "Content-Type": "video/mp2t",
+      "Content-Length": stat.size,
+      "Cache-Control": "private, max-age=86400, immutable"
+    });
+    storage.createReadStream(key).on("error", (err) => res.destroy(err)).pipe(res);
+  } catch (err) {
+    console.error("HLS segment error:", err);
+    res.status(500).json({ error: "Streaming failed" });
+  }
+});
+
+// Library entry for listings
+const formatLibraryVideo = (video) => ({
+  id: video._id,
+  title: video.title,
+  thumbnailUrl: thumbnailUrlFor(video),
+  videoUrl: withQuery(`${BASE_URL}/api/videos/stream/${video._id}`, createSignedParams(video._id, "stream")),
+  createdAt: video.createdAt,
+  duration: video.duration || 0,
+  media: formatMedia(video),
+  visibility: video.visibility,
+  status: video.status,
+  warnings: video.processingWarnings || [],
+  views: video.viewCount || 0,
+  tags: video.tags || [],
+  folder: video.folder || null,
+  owner: video.owner && video.owner._id ? { id: video.owner._id, name: video.owner.name } : video.owner,
+  workspace: video.workspace || null
+});
+
+// Listing errors: bad query parameters are 400s
+function handleListingError(res, err, message) {
+  if (err.status === 400) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === "development" ? err.message : undefined
+  });
+}
+
+// The user's own videos. ?folderId limits it to one folder ("root" for videos
+// outside any folder), with ?includeSubfolders=true for everything below it.
+// Filters, sorting and cursor paging are described at listVideos.
+videoRouter.get("/my-videos", authenticateUser, async (req, res) => {
+  try {
+    const filter = { owner: req.userId, deletedAt: null };
+    const { folderId } = req.query;
+    if (folderId === "root") {
+      filter.folder = null;
+    } else if (folderId !== undefined) {
+      if (!mongoose.isValidObjectId(folderId) || !(await Folder.exists({ _id: folderId, owner: req.userId }))) {
+        return res.status(404).json({ error: "Folder not found" });
+      }
+      filter.folder = req.query.includeSubfolders === "true"
+        ? { $in: await folderTreeIds(folderId, req.userId) }
+        : folderId;
+    }
+
+    const { videos, pagination } = await listVideos(filter, req.query);
+    res.json({ success: true, videos: videos.map(formatLibraryVideo), pagination });
+  } catch (err) {
+    handleListingError(res, err, "Failed to fetch videos");
+  }
+});
+
+// Tags used across the user's videos, most used first
+videoRouter.get("/tags", authenticateUser, async (req, res) => {
+  try {
+    const tags = await Video.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(req.userId), deletedAt: null } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+    res.json({ success: true, tags: tags.map(tag => ({ tag: tag._id, count: tag.count })) });
+  } catch (err) {
+    console.error("Error fetching tags:", err);
+    res.status(500).json({ error: "Failed to fetch tags" });
+  }
+});
+
+// Shared library of a workspace (?workspaceId) or of every workspace the user
+// belongs to. ?creator narrows it to one member's videos; the other filters,
+// sorting and paging are the same as /my-videos.
+videoRouter.get("/library", authenticateUser, async (req, res) => {
+  try {
+    const filter = { deletedAt: null };
+    if (req.query.workspaceId) {
+      if (!mongoose.isValidObjectId(req.query.workspaceId) || !(await getWorkspaceRole(req.query.workspaceId, req.userId))) {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+      filter.workspace = req.query.workspaceId;
+    } else {
+      const workspaces = await Workspace.find({ "members.user": req.userId }).select("_id").lean();
+      filter.workspace = { $in: workspaces.map(workspace => workspace._id) };
+    }
+    if (req.query.creator) {
+      if (!mongoose.isValidObjectId(req.query.creator)) {
+        return res.status(400).json({ error: "creator must be a user id" });
+      }
+      filter.owner = req.query.creator;
+    }
+
+    const { videos, pagination } = await listVideos(filter, req.query, { populate: { path: "owner", select: "name" } });
+    res.json({ success: true, videos: videos.map(formatLibraryVideo), pagination });
+  } catch (err) {
+    handleListingError(res, err, "Failed to fetch library");
+  }
+});
+
+// Search titles and transcripts across the user's library
+videoRouter.get("/search", authenticateUser, async (req, res) => {
+  try {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!query) {
+      return res.status(400).json({ error: "Search query \"q\" is required" });
+    }
+    if (query.length > 200) {
+      return res.status(400).json({ error: "Search query is too long" });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_SEARCH_RESULTS, Math.max(1, parseInt(req.query.limit) || 10));
+    const skip = (page - 1) * limit;
+    const filter = { owner: req.userId, deletedAt: null, $text: { $search: query } };
+
+    const [videos, total] = await Promise.all([
+      Video.find(filter, { score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Video.countDocuments(filter)
+    ]);
+
+    const terms = parseSearchTerms(query);
+    const titlePattern = buildTermPattern(terms);
+
+    const results = videos.map(video => {
+      const streamUrl = withQuery(`${BASE_URL}/api/videos/stream/${video._id}`, createSignedParams(video._id, "stream"));
+      return {
+        id: video._id,
+        title: video.title,
+        titleHighlight: titlePattern ? highlight(video.title, titlePattern) : video.title,
+        thumbnailUrl: thumbnailUrlFor(video),
+        createdAt: video.createdAt,
+        score: video.score,
+        streamUrl,
+        matches: findMatchingCues(video, terms, MAX_MATCHES_PER_VIDEO).map(match => ({
+          cueId: match.cueId,
+          lang: match.lang,
+          start: match.start,
+          startSeconds: Math.floor(match.start / 1000),
+          startTime: match.startTime,
+          snippet: match.snippet,
+          streamUrl: `${streamUrl}&t=${Math.floor(match.start / 1000)}`
+        }))
+      };
+    });
 
     res.json({
       success: true,
-      videos: formattedVideos,
+      query,
+      results,
       pagination: {
         page,
         limit,
@@ -364,50 +1254,792 @@ videoRouter.get("/my-videos", authenticateUser, async (req, res) => {
       }
     });
   } catch (err) {
-    console.error("Error fetching videos:", err);
+    console.error("Search error:", err);
     res.status(500).json({ 
-      error: "Failed to fetch videos",
+      error: "Search failed",
       details: process.env.NODE_ENV === "development" ? err.message : undefined
     });
   }
 });
 
-// Get single video with detailed information
-videoRouter.get("/:videoId", authenticateUser, async (req, res) => {
+// Title, description, tags and folder changes from a PATCH body; { changes } or { error }
+function parseMetadataChanges(body = {}) {
+  const changes = {};
+  if (body.title !== undefined) {
+    const title = typeof body.title === "string" ? body.title.trim() : "";
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      return { error: `title must be between 1 and ${MAX_TITLE_LENGTH} characters` };
+    }
+    changes.title = title;
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      return { error: "description must be a string" };
+    }
+    const description = (body.description || "").trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    changes.description = description;
+  }
+  if (body.tags !== undefined) {
+    try {
+      changes.tags = normalizeTags(body.tags);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+  // Folder ownership is checked by the caller
+  if (body.folderId !== undefined) {
+    if (body.folderId !== null && !mongoose.isValidObjectId(body.folderId)) {
+      return { error: "folderId must be a folder id or null" };
+    }
+    changes.folder = body.folderId;
+  }
+  if (!Object.keys(changes).length) {
+    return { error: "Nothing to update, send title, description, tags or folderId" };
+  }
+  return { changes };
+}
+
+const formatTrashedVideo = (video) => ({
+  id: video._id,
+  title: video.title,
+  thumbnailUrl: thumbnailUrlFor(video),
+  duration: video.duration || 0,
+  status: video.status,
+  deletedAt: video.deletedAt,
+  purgeAfter: purgeAfter(video)
+});
+
+const isPastRetention = (video) => purgeAfter(video) <= new Date();
+
+// Apply one bulk action to one of the owner's videos. Resolves with the
+// per-video result; failures are reported, not thrown.
+async function applyBulkAction(action, video, changes) {
+  const trashed = Boolean(video.deletedAt);
+  switch (action) {
+    case "update":
+      if (trashed) return { success: false, error: "Video is in the trash" };
+      Object.assign(video, changes);
+      await video.save();
+      return { success: true, title: video.title, description: video.description, tags: video.tags, folder: video.folder };
+    case "delete":
+      if (!trashed) {
+        video.deletedAt = new Date();
+        await video.save();
+        notifyVideoEvent("video.deleted", video, { permanent: false, purgeAfter: purgeAfter(video) });
+      }
+      return { success: true, deletedAt: video.deletedAt, purgeAfter: purgeAfter(video) };
+    case "restore":
+      if (!trashed) return { success: false, error: "Video is not in the trash" };
+      if (isPastRetention(video)) return { success: false, error: "Retention period has ended" };
+      video.deletedAt = null;
+      await video.save();
+      return { success: true };
+    case "purge":
+      if (isBusy(video)) return { success: false, error: "Video is still processing" };
+      await purgeVideo(video);
+      return { success: true };
+  }
+}
+
+// Videos in the trash, most recently deleted first
+videoRouter.get("/trash", authenticateUser, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { owner: req.userId, deletedAt: { $ne: null } };
+
+    const [videos, total] = await Promise.all([
+      Video.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Video.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      retentionDays: TRASH_RETENTION_DAYS,
+      videos: videos.map(formatTrashedVideo),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error("Error fetching trash:", err);
+    res.status(500).json({ error: "Failed to fetch trash" });
+  }
+});
+
+// Empty the trash. Videos still processing stay until their job is done.
+videoRouter.delete("/trash", authenticateUser, async (req, res) => {
+  try {
+    const videos = await Video.find({ owner: req.userId, deletedAt: { $ne: null } });
+
+    let purged = 0;
+    const skipped = [];
+    for (const video of videos) {
+      if (isBusy(video)) {
+        skipped.push(video._id);
+        continue;
+      }
+      await purgeVideo(video);
+      purged++;
+    }
+
+    res.json({ success: true, purged, skipped });
+  } catch (err) {
+    console.error("Empty trash error:", err);
+    res.status(500).json({
+      error: "Failed to empty trash",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// { action: "update" | "delete" | "restore" | "purge", ids: [...], changes? }
+// Every id gets its own result so one bad id does not fail the batch.
+videoRouter.post("/bulk", authenticateUser, async (req, res) => {
+  try {
+    const { action, ids, changes: requestedChanges } = req.body || {};
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${BULK_ACTIONS.join(", ")}` });
+    }
+    if (!Array.isArray(ids) || !ids.length || ids.length > MAX_BULK_IDS) {
+      return res.status(400).json({ error: `ids must be a list of 1 to ${MAX_BULK_IDS} video ids` });
+    }
+
+    let changes;
+    if (action === "update") {
+      const parsed = parseMetadataChanges(requestedChanges || {});
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      changes = parsed.changes;
+      if (changes.folder && !(await Folder.exists({ _id: changes.folder, owner: req.userId }))) {
+        return res.status(404).json({ error: "Folder not found" });
+      }
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    const validIds = uniqueIds.filter(id => mongoose.isValidObjectId(id));
+    const videos = await Video.find({ _id: { $in: validIds }, owner: req.userId });
+    const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+
+    const results = [];
+    for (const id of uniqueIds) {
+      const video = videosById.get(id);
+      if (!video) {
+        results.push({ id, success: false, error: "Video not found" });
+        continue;
+      }
+      try {
+        results.push({ id, ...(await applyBulkAction(action, video, changes)) });
+      } catch (err) {
+        console.error(`Bulk ${action} failed for video ${id}:`, err);
+        results.push({ id, success: false, error: `Failed to ${action} video` });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    res.json({
+      success: succeeded === results.length,
+      action,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (err) {
+    console.error("Bulk action error:", err);
+    res.status(500).json({
+      error: "Bulk action failed",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Thumbnail image
+videoRouter.get("/:videoId/thumbnail", identifyUser, async (req, res) => {
+  try {
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
+
+    // ?candidate=N shows one of the frames the poster can be picked from
+    const key = req.query.candidate !== undefined
+      ? video.thumbnailCandidates[parseInt(req.query.candidate)]?.key
+      : video.thumbnailKey;
+
+    const storage = getStorage();
+    const stat = key ? await storage.stat(key) : null;
+    if (!stat) {
+      return res.status(404).json({ error: "Thumbnail not found" });
+    }
+
+    res.set({
+      "Content-Type": contentTypeFor(key),
+      "Content-Length": stat.size,
+      "Cache-Control": "private, max-age=3600"
+    });
+    storage.createReadStream(key).on("error", (err) => res.destroy(err)).pipe(res);
+  } catch (err) {
+    console.error("Thumbnail error:", err);
+    res.status(500).json({ error: "Failed to load thumbnail" });
+  }
+});
+
+// Lookup for the poster and management endpoints, for the creator and
+// workspace admins. Trashed videos are only found when `includeDeleted` is set
+async function findOwnedVideo(req, res, { includeDeleted = false } = {}) {
+  if (!mongoose.isValidObjectId(req.params.videoId)) {
+    res.status(404).json({ error: "Video not found" });
+    return null;
+  }
+  const filter = { _id: req.params.videoId };
+  if (!includeDeleted) {
+    filter.deletedAt = null;
+  }
+  const video = await Video.findOne(filter);
+  if (!video) {
+    res.status(404).json({ error: "Video not found" });
+    return null;
+  }
+  if (!(await canManageVideo(video, req.userId))) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+  return video;
+}
+
+// Poster candidates and the current poster
+videoRouter.get("/:videoId/thumbnails", authenticateUser, async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    const params = createSignedParams(video._id, "stream");
+    res.json({
+      success: true,
+      thumbnailUrl: thumbnailUrlFor(video, params),
+      thumbnailSource: video.thumbnailSource,
+      candidates: video.thumbnailCandidates.map((candidate, index) => ({
+        index,
+        time: candidate.time,
+        startTime: formatTimestamp(candidate.time, "."),
+        score: candidate.score,
+        selected: candidate.key === video.thumbnailKey,
+        url: withQuery(`${BASE_URL}/api/videos/${video._id}/thumbnail`, { candidate: index, ...params })
+      }))
+    });
+  } catch (err) {
+    console.error("Thumbnail candidates error:", err);
+    res.status(500).json({ error: "Failed to fetch thumbnails" });
+  }
+});
+
+// Choose the poster: { candidate: index } applies at once, { at: ms } grabs
+// that frame in the background
+videoRouter.put("/:videoId/thumbnail", authenticateUser, async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    const { candidate, at } = req.body || {};
+    if (candidate !== undefined) {
+      const chosen = video.thumbnailCandidates[candidate];
+      if (!Number.isInteger(candidate) || !chosen) {
+        return res.status(400).json({ error: "candidate must be the index of a thumbnail candidate" });
+      }
+
+      const previousKey = video.thumbnailKey;
+      const previousSource = video.thumbnailSource;
+      video.thumbnailKey = chosen.key;
+      video.thumbnailSource = "candidate";
+      await video.save();
+      // Frames grabbed at a timestamp belong to no one else once replaced
+      if (previousSource === "timestamp" && previousKey !== chosen.key) {
+        await getStorage().delete(previousKey).catch(() => {});
+      }
+      return res.json({ success: true, thumbnailUrl: thumbnailUrlFor(video), thumbnailSource: video.thumbnailSource });
+    }
+
+    const atMs = Number(at);
+    if (at === undefined || !Number.isFinite(atMs) || atMs < 0) {
+      return res.status(400).json({ error: "Provide candidate or at (milliseconds into the video)" });
+    }
+    if (video.duration && atMs >= video.duration * 1000) {
+      return res.status(400).json({ error: "at is past the end of the video" });
+    }
+    if (video.status !== "ready") {
+      return res.status(409).json({ error: "Video is still processing" });
+    }
+
+    const job = await enqueueJob(
+      THUMBNAILS_JOB,
+      { videoId: video._id.toString(), at: Math.round(atMs) },
+      { owner: req.userId, video: video._id }
+    );
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      statusUrl: `${BASE_URL}/api/videos/jobs/${job._id}`
+    });
+  } catch (err) {
+    console.error("Poster update error:", err);
+    res.status(500).json({ 
+      error: "Failed to update thumbnail",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Rebuild candidates and storyboard, e.g. for videos processed before they existed
+videoRouter.post("/:videoId/thumbnails/regenerate", authenticateUser, async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+    if (video.status !== "ready") {
+      return res.status(409).json({ error: "Video is still processing" });
+    }
+
+    const job = await enqueueJob(
+      THUMBNAILS_JOB,
+      { videoId: video._id.toString() },
+      { owner: req.userId, video: video._id }
+    );
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      statusUrl: `${BASE_URL}/api/videos/jobs/${job._id}`
+    });
+  } catch (err) {
+    console.error("Thumbnail regenerate error:", err);
+    res.status(500).json({ error: "Failed to queue thumbnail generation" });
+  }
+});
+
+// WebVTT thumbnails track for scrubbing previews
+videoRouter.get("/:videoId/storyboard.vtt", identifyUser, async (req, res) => {
+  try {
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
+
+    if (video.storyboard?.status !== "ready") {
+      return res.status(404).json({ error: "Storyboard is not available for this video" });
+    }
+
+    const params = forwardedSignedParams(req, video);
+    const vtt = buildStoryboardVtt(video.storyboard, (sheet) =>
+      withQuery(`${BASE_URL}/api/videos/${video._id}/storyboard/${sheet}`, params)
+    );
+
+    res.type("text/vtt; charset=utf-8");
+    res.set("Cache-Control", "no-store");
+    res.send(vtt);
+  } catch (err) {
+    console.error("Storyboard error:", err);
+    res.status(500).json({ error: "Failed to load storyboard" });
+  }
+});
+
+// Storyboard sprite sheets
+videoRouter.get("/:videoId/storyboard/:sheet", identifyUser, async (req, res) => {
   try {
-    const video = await Video.findById(req.params.videoId)
-      .populate("owner", "username email")
-      .lean();
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
+
+    const { sheet } = req.params;
+    if (video.storyboard?.status !== "ready" || !STORYBOARD_SHEET_PATTERN.test(sheet) || !video.storyboard.sheets.includes(sheet)) {
+      return res.status(404).json({ error: "Storyboard sheet not found" });
+    }
+
+    const storage = getStorage();
+    const key = `${video.storyboard.prefix}/${sheet}`;
+    const stat = await storage.stat(key);
+    if (!stat) {
+      return res.status(404).json({ error: "Storyboard sheet not found" });
+    }
+
+    res.set({
+      "Content-Type": "image/jpeg",
+      "Content-Length": stat.size,
+      "Cache-Control": "private, max-age=86400"
+    });
+    storage.createReadStream(key).on("error", (err) => res.destroy(err)).pipe(res);
+  } catch (err) {
+    console.error("Storyboard sheet error:", err);
+    res.status(500).json({ error: "Failed to load storyboard" });
+  }
+});
 
+// Subtitle track as WebVTT, for <track> elements and HLS players
+videoRouter.get("/:videoId/captions/:lang.vtt", identifyUser, async (req, res) => {
+  try {
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
+
+    const lang = req.params.lang.toLowerCase();
+    const track = getSubtitleTracks(video).find(entry => entry.lang === lang);
+    if (!track) {
+      return res.status(404).json({ error: "Caption track not found" });
+    }
+
+    res.type("text/vtt; charset=utf-8");
+    res.send(srtToVtt(track.srt));
+  } catch (err) {
+    console.error("Captions error:", err);
+    res.status(500).json({ error: "Failed to load captions" });
+  }
+});
+
+// Cue listing and editing for the owner
+videoRouter.use("/:videoId/captions", captionRouter);
+
+// WebVTT chapters track for players
+videoRouter.get("/:videoId/chapters.vtt", identifyUser, async (req, res) => {
+  try {
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
+
+    if (!video.chapters.length) {
+      return res.status(404).json({ error: "Video has no chapters" });
+    }
+
+    res.type("text/vtt; charset=utf-8");
+    res.send(buildChaptersVtt(video.chapters, Math.round((video.duration || 0) * 1000)));
+  } catch (err) {
+    console.error("Chapters error:", err);
+    res.status(500).json({ error: "Failed to load chapters" });
+  }
+});
+
+// Generated summary and chapter editing
+videoRouter.use("/:videoId/enrichment", enrichmentRouter);
+
+// Change who can see a video and optionally protect it with a password
+videoRouter.patch("/:videoId/visibility", authenticateUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.videoId)) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    const video = await Video.findOne({ _id: req.params.videoId, deletedAt: null }).select("+passwordHash");
     if (!video) {
       return res.status(404).json({ error: "Video not found" });
     }
-
-    // Verify ownership or implement other access control
-    if (video.owner._id.toString() !== req.userId) {
+    if (!(await canManageVideo(video, req.userId))) {
       return res.status(403).json({ error: "Access denied" });
     }
 
+    const { visibility, password } = req.body || {};
+    if (visibility !== undefined) {
+      if (!VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ error: `visibility must be one of: ${VISIBILITIES.join(", ")}` });
+      }
+      video.visibility = visibility;
+    }
+
+    // A string sets the password, null removes it
+    if (password === null || password === "") {
+      video.passwordHash = "";
+    } else if (password !== undefined) {
+      if (typeof password !== "string" || password.length < MIN_VIDEO_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `password must be at least ${MIN_VIDEO_PASSWORD_LENGTH} characters` });
+      }
+      video.passwordHash = await bcrypt.hash(password, 10);
+    }
+
+    await video.save();
+    res.json({
+      success: true,
+      visibility: video.visibility,
+      passwordProtected: Boolean(video.passwordHash)
+    });
+  } catch (err) {
+    console.error("Visibility update error:", err);
+    res.status(500).json({ 
+      error: "Failed to update visibility",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Share links for the owner
+videoRouter.use("/:videoId/share-links", shareLinkRouter);
+
+// Trim, cut and stitch edits for the owner
+videoRouter.use("/:videoId/edits", editRouter);
+
+// Timestamped comments and reactions for everyone who can watch the video
+videoRouter.use("/:videoId/comments", commentRouter);
+videoRouter.use("/:videoId/reactions", reactionRouter);
+
+// View events and playback heartbeats from the player
+videoRouter.use("/:videoId/views", viewRouter);
+
+// Views, watch time, retention and viewers for the owner.
+// ?from and ?to are UTC days (YYYY-MM-DD), the last 30 days by default.
+videoRouter.get("/:videoId/analytics", authenticateUser, async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    const to = req.query.to || dayOf(new Date());
+    // The default range counts back from `to`, so it has to be a date first
+    if (!isDay(to)) {
+      return res.status(400).json({ error: "from and to must be dates formatted YYYY-MM-DD" });
+    }
+    const from = req.query.from || dayOf(new Date(Date.parse(`${to}T00:00:00.000Z`) - (DEFAULT_ANALYTICS_DAYS - 1) * 24 * 60 * 60 * 1000));
+    if (!isDay(from)) {
+      return res.status(400).json({ error: "from and to must be dates formatted YYYY-MM-DD" });
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (days < 1 || days > MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({ error: `from must be before to and the range at most ${MAX_ANALYTICS_DAYS} days` });
+    }
+
+    res.json({ success: true, videoId: video._id, ...(await buildVideoAnalytics(video, from, to)) });
+  } catch (err) {
+    console.error("Analytics error:", err);
+    res.status(500).json({
+      error: "Failed to load analytics",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Signed URLs cannot be traded in for fresh ones, or they would never expire
+// and would outlive revoked share links, passwords and a switch to private
+function rejectSignatureAccess(req, res) {
+  if (req.videoAccess.via !== "signature") {
+    return false;
+  }
+  res.status(403).json({ error: "Signed URLs cannot be used to create new ones" });
+  return true;
+}
+
+// Signed, expiring stream and download URLs for anyone who can see the video
+videoRouter.post("/:videoId/signed-urls", identifyUser, async (req, res) => {
+  try {
+    const video = await findStreamableVideo(req, res);
+    if (!video || rejectSignatureAccess(req, res)) return;
+
+    res.json({ success: true, ...signedVideoUrls(req, video, req.body?.expiresInSeconds) });
+  } catch (err) {
+    console.error("Signed URL error:", err);
+    res.status(500).json({ error: "Failed to create signed URLs" });
+  }
+});
+
+// Unlock a password-protected video: { password, share? } in, signed URLs out
+videoRouter.post("/:videoId/unlock", identifyUser, async (req, res) => {
+  try {
+    if (typeof req.body?.password !== "string" || !req.body.password) {
+      return res.status(400).json({ error: "password is required" });
+    }
+    const video = await findStreamableVideo(req, res);
+    if (!video || rejectSignatureAccess(req, res)) return;
+
+    res.json({ success: true, ...signedVideoUrls(req, video) });
+  } catch (err) {
+    console.error("Unlock error:", err);
+    res.status(500).json({ error: "Failed to unlock video" });
+  }
+});
+
+// Update title, description and tags, or move the video with { folderId }
+videoRouter.patch("/:videoId", authenticateUser, async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    const { changes, error } = parseMetadataChanges(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // Folders belong to the creator's library, whoever edits the video
+    if (changes.folder && !(await Folder.exists({ _id: changes.folder, owner: video.owner }))) {
+      return res.status(404).json({ error: "Folder not found" });
+    }
+
+    Object.assign(video, changes);
+    await video.save();
+    res.json({
+      success: true,
+      video: {
+        id: video._id,
+        title: video.title,
+        description: video.description,
+        tags: video.tags,
+        folder: video.folder,
+        updatedAt: video.updatedAt
+      }
+    });
+  } catch (err) {
+    console.error("Video update error:", err);
+    res.status(500).json({
+      error: "Failed to update video",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Move a video into a workspace library with { workspaceId }, or out of it with null
+videoRouter.put("/:videoId/workspace", authenticateUser, async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res);
+    if (!video) return;
+
+    const { workspaceId } = req.body || {};
+    if (workspaceId === undefined) {
+      return res.status(400).json({ error: "workspaceId is required, use null to remove the video from its workspace" });
+    }
+    const { workspace, status, error } = await resolveUploadWorkspace(req.userId, workspaceId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    video.workspace = workspace;
+    await video.save();
+    res.json({ success: true, id: video._id, workspace: video.workspace });
+  } catch (err) {
+    console.error("Workspace move error:", err);
+    res.status(500).json({
+      error: "Failed to move video",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Move a video to the trash, or with ?permanent=true remove it and every
+// file derived from it right away
+videoRouter.delete("/:videoId", authenticateUser, async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res, { includeDeleted: true });
+    if (!video) return;
+
+    if (req.query.permanent === "true") {
+      if (isBusy(video)) {
+        return res.status(409).json({ error: "Video is still processing, try again when it has finished" });
+      }
+      await purgeVideo(video);
+      return res.json({ success: true, id: video._id, permanent: true });
+    }
+
+    if (!video.deletedAt) {
+      video.deletedAt = new Date();
+      await video.save();
+      notifyVideoEvent("video.deleted", video, { permanent: false, purgeAfter: purgeAfter(video) });
+    }
+    res.json({
+      success: true,
+      id: video._id,
+      permanent: false,
+      deletedAt: video.deletedAt,
+      purgeAfter: purgeAfter(video)
+    });
+  } catch (err) {
+    console.error("Video delete error:", err);
+    res.status(500).json({
+      error: "Failed to delete video",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
+// Bring a video back from the trash
+videoRouter.post("/:videoId/restore", authenticateUser, async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req, res, { includeDeleted: true });
+    if (!video) return;
+
+    if (!video.deletedAt) {
+      return res.status(409).json({ error: "Video is not in the trash" });
+    }
+    if (isPastRetention(video)) {
+      return res.status(410).json({ error: "Video can no longer be restored, its retention period has ended" });
+    }
+
+    video.deletedAt = null;
+    await video.save();
+    res.json({ success: true, id: video._id, title: video.title });
+  } catch (err) {
+    console.error("Video restore error:", err);
+    res.status(500).json({ error: "Failed to restore video" });
+  }
+});
+
+// Get single video with detailed information
+videoRouter.get("/:videoId", identifyUser, async (req, res) => {
+  try {
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
+    await video.populate("owner", "name emailId");
+
+    const isOwner = req.videoAccess.via === "owner";
+    // Workspace admins manage the video too and see the same details
+    const canManage = isOwner || hasRole(req.videoAccess.role, "admin");
+    const urls = signedVideoUrls(req, video);
     const response = {
       id: video._id,
       title: video.title,
       description: video.description,
       createdAt: video.createdAt,
-      duration: video.duration,
+      duration: video.duration || 0,
+      media: formatMedia(video),
       language: video.language,
-      videoUrl: `${BASE_URL}/api/videos/stream/${video._id}`,
-      downloadUrl: `${BASE_URL}/api/videos/download/${path.basename(video.videoUrl)}`,
-      thumbnailUrl: video.thumbnailUrl.startsWith("http")
-        ? video.thumbnailUrl
-        : `${BASE_URL}${video.thumbnailUrl}`,
+      translationLanguages: video.translationLanguages,
+      status: video.status,
+      visibility: video.visibility,
+      passwordProtected: Boolean(video.passwordHash),
+      videoUrl: urls.streamUrl,
+      hlsUrl: urls.hlsUrl,
+      downloadUrl: urls.downloadUrl,
+      urlsExpireAt: urls.expiresAt,
+      thumbnailUrl: urls.thumbnailUrl,
+      storyboardUrl: urls.storyboardUrl,
+      chaptersUrl: urls.chaptersUrl,
+      summary: video.enrichment?.summary || "",
+      chapters: video.chapters.map(chapter => ({ start: chapter.start, title: chapter.title })),
       subtitle: video.subtitle,
+      captionMode: video.captionMode,
+      subtitleStyle: video.subtitleStyle,
+      captions: urls.captions,
+      tags: video.tags,
+      workspace: video.workspace,
+      workspaceRole: req.videoAccess.role,
       owner: {
         id: video.owner._id,
-        username: video.owner.username,
-        email: video.owner.email
+        name: video.owner.name
       }
     };
 
+    if (canManage) {
+      Object.assign(response, {
+        languageDetected: video.languageDetected,
+        thumbnailSource: video.thumbnailSource,
+        transcriptionProvider: video.transcriptionProvider,
+        processingError: video.processingError || undefined,
+        processingWarnings: video.processingWarnings,
+        audioCleanup: video.audioCleanup,
+        silenceCuts: video.silenceCuts.map(cut => ({ start: cut.start, end: cut.end })),
+        editStatus: video.edit?.status || "none",
+        edited: Boolean(video.edit?.original?.videoKey),
+        enrichmentStatus: video.enrichment?.status || "none",
+        suggestedTitle: video.enrichment?.suggestedTitle || "",
+        folder: video.folder,
+        views: video.viewCount || 0,
+        jobId: video.job
+      });
+    }
+    if (isOwner) {
+      response.owner.email = video.owner.emailId;
+    }
+
     res.json({ success: true, video: response });
   } catch (err) {
     console.error("Error fetching video:", err);
@@ -0,0 +1,51 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const View = require("../models/view");
+const { identifyUser } = require("../middleware/authenticateUser");
+const requireVideoAccess = require("../middleware/requireVideoAccess");
+const { HEARTBEAT_INTERVAL_MS, recordView, recordHeartbeat, viewerKeyFor } = require("../utils/viewAnalytics");
+
+// Mounted at /api/videos/:videoId/views for the player of anyone who can watch
+const viewRouter = express.Router({ mergeParams: true });
+viewRouter.use(identifyUser, requireVideoAccess);
+
+// Start (or continue) a view when playback begins
+viewRouter.post("/", async (req, res) => {
+  try {
+    const view = await recordView(req.video, req, "player");
+    res.status(view ? 201 : 200).json({
+      success: true,
+      tracked: Boolean(view),
+      viewId: view ? view._id : null,
+      heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS
+    });
+  } catch (err) {
+    console.error("View error:", err);
+    res.status(500).json({ error: "Failed to record view" });
+  }
+});
+
+// { from, to }: what was played since the previous heartbeat, in ms
+viewRouter.post("/:viewId/heartbeat", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.viewId)) {
+      return res.status(404).json({ error: "View not found" });
+    }
+    // Only the viewer who started a view can extend it
+    const view = await View.findOne({ _id: req.params.viewId, video: req.video._id, viewerKey: viewerKeyFor(req) });
+    if (!view) {
+      return res.status(404).json({ error: "View not found" });
+    }
+
+    await recordHeartbeat(view, req.body || {}, Math.round((req.video.duration || 0) * 1000));
+    res.json({ success: true, watchTimeMs: view.watchTimeMs, completion: view.completion });
+  } catch (err) {
+    if (err.status === 400 || err.status === 409) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Heartbeat error:", err);
+    res.status(500).json({ error: "Failed to record heartbeat" });
+  }
+});
+
+module.exports = viewRouter;
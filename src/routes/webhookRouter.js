@@ -0,0 +1,343 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const validator = require("validator");
+const Webhook = require("../models/webhook");
+const WebhookDelivery = require("../models/webhookDelivery");
+const { authenticateUser } = require("../middleware/authenticateUser");
+const { getWorkspaceRole, hasRole } = require("../utils/workspaceAccess");
+const { WEBHOOK_EVENTS, MAX_ATTEMPTS, generateWebhookSecret, deliverSoon } = require("../utils/webhooks");
+const { checkPublicUrl } = require("../utils/publicAddress");
+
+// Webhooks of the signed-in user and of the workspaces they administer
+const webhookRouter = express.Router();
+webhookRouter.use(authenticateUser);
+
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_WEBHOOKS_PER_SCOPE = 20;
+const DELIVERY_STATUSES = WebhookDelivery.schema.path("status").enumValues;
+
+const formatWebhook = (webhook) => ({
+  id: webhook._id,
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  workspace: webhook.workspace,
+  active: webhook.active,
+  lastDeliveryAt: webhook.lastDeliveryAt,
+  lastDeliveryStatus: webhook.lastDeliveryStatus || null,
+  createdAt: webhook.createdAt
+});
+
+const formatDelivery = (delivery, withAttempts = false) => ({
+  id: delivery._id,
+  event: delivery.event,
+  status: delivery.status,
+  attemptCount: delivery.attempts.length,
+  maxAttempts: MAX_ATTEMPTS,
+  lastStatusCode: delivery.attempts.length ? delivery.attempts[delivery.attempts.length - 1].statusCode : null,
+  nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  redeliveryOf: delivery.redeliveryOf,
+  createdAt: delivery.createdAt,
+  ...(withAttempts ? { payload: delivery.payload, attempts: delivery.attempts } : {})
+});
+
+// { url, events, description, active } from a request body; resolves with
+// { changes } or { error }. The url must reach public addresses only; it is
+// checked again before every delivery since DNS answers can change.
+async function parseWebhookChanges(body, creating) {
+  const changes = {};
+  if (creating || body.url !== undefined) {
+    const url = typeof body.url === "string" ? body.url.trim() : "";
+    const isUrl = validator.isURL(url, {
+      protocols: ["http", "https"],
+      require_protocol: true,
+      // Local receivers are handy in development, never in production
+      require_tld: process.env.NODE_ENV === "production"
+    });
+    if (!isUrl) {
+      return { error: "url must be an http or https URL" };
+    }
+    const targetError = await checkPublicUrl(url);
+    if (targetError) {
+      return { error: targetError };
+    }
+    changes.url = url;
+  }
+  if (creating || body.events !== undefined) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    if (!events.length || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(", ")}` };
+    }
+    changes.events = events;
+  }
+  if (body.description !== undefined) {
+    const description = typeof body.description === "string" ? body.description.trim() : "";
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    changes.description = description;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") {
+      return { error: "active must be true or false" };
+    }
+    changes.active = body.active;
+  }
+  return { changes };
+}
+
+// Personal webhooks are their creator's; workspace webhooks belong to the
+// workspace's admins
+async function canManageWebhook(webhook, userId) {
+  if (!webhook.workspace) {
+    return webhook.owner.toString() === userId;
+  }
+  return hasRole(await getWorkspaceRole(webhook.workspace, userId), "admin");
+}
+
+async function findWebhook(req, res) {
+  if (!mongoose.isValidObjectId(req.params.webhookId)) {
+    res.status(404).json({ error: "Webhook not found" });
+    return null;
+  }
+  const webhook = await Webhook.findById(req.params.webhookId);
+  if (!webhook || !(await canManageWebhook(webhook, req.userId))) {
+    res.status(404).json({ error: "Webhook not found" });
+    return null;
+  }
+  return webhook;
+}
+
+async function findDelivery(req, res, webhook) {
+  if (!mongoose.isValidObjectId(req.params.deliveryId)) {
+    res.status(404).json({ error: "Delivery not found" });
+    return null;
+  }
+  const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+  if (!delivery) {
+    res.status(404).json({ error: "Delivery not found" });
+    return null;
+  }
+  return delivery;
+}
+
+function handleWebhookError(res, err, message) {
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === "development" ? err.message : undefined
+  });
+}
+
+// Events a webhook can subscribe to
+webhookRouter.get("/events", (req, res) => {
+  res.json({ success: true, events: WEBHOOK_EVENTS });
+});
+
+// Personal webhooks, or those of one workspace with ?workspaceId
+webhookRouter.get("/", async (req, res) => {
+  try {
+    const filter = { owner: req.userId, workspace: null };
+    if (req.query.workspaceId) {
+      if (!mongoose.isValidObjectId(req.query.workspaceId)) {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+      const role = await getWorkspaceRole(req.query.workspaceId, req.userId);
+      if (!role) {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+      if (!hasRole(role, "admin")) {
+        return res.status(403).json({ error: "Only workspace admins can see its webhooks" });
+      }
+      delete filter.owner;
+      filter.workspace = req.query.workspaceId;
+    }
+
+    const webhooks = await Webhook.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, webhooks: webhooks.map(formatWebhook) });
+  } catch (err) {
+    handleWebhookError(res, err, "Failed to fetch webhooks");
+  }
+});
+
+// { url, events, description?, workspaceId? }. The signing secret is only
+// returned here and when it is rotated.
+webhookRouter.post("/", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { changes, error } = await parseWebhookChanges(body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let workspace = null;
+    if (body.workspaceId !== undefined && body.workspaceId !== null) {
+      if (!mongoose.isValidObjectId(body.workspaceId)) {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+      const role = await getWorkspaceRole(body.workspaceId, req.userId);
+      if (!role) {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+      if (!hasRole(role, "admin")) {
+        return res.status(403).json({ error: "Only workspace admins can add webhooks to it" });
+      }
+      workspace = body.workspaceId;
+    }
+
+    const scope = workspace ? { workspace } : { owner: req.userId, workspace: null };
+    if ((await Webhook.countDocuments(scope)) >= MAX_WEBHOOKS_PER_SCOPE) {
+      return res.status(409).json({ error: `At most ${MAX_WEBHOOKS_PER_SCOPE} webhooks can be registered here` });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({ ...changes, owner: req.userId, workspace, secret });
+    res.status(201).json({ success: true, webhook: formatWebhook(webhook), secret });
+  } catch (err) {
+    handleWebhookError(res, err, "Failed to create webhook");
+  }
+});
+
+webhookRouter.get("/:webhookId", async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({ success: true, webhook: formatWebhook(webhook) });
+  } catch (err) {
+    handleWebhookError(res, err, "Failed to fetch webhook");
+  }
+});
+
+// Change url, events, description, or pause with { active: false }
+webhookRouter.patch("/:webhookId", async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const { changes, error } = await parseWebhookChanges(req.body || {}, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ error: "Nothing to update, send url, events, description or active" });
+    }
+
+    Object.assign(webhook, changes);
+    await webhook.save();
+    res.json({ success: true, webhook: formatWebhook(webhook) });
+  } catch (err) {
+    handleWebhookError(res, err, "Failed to update webhook");
+  }
+});
+
+// New signing secret; the old one stops working straight away
+webhookRouter.post("/:webhookId/rotate-secret", async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = generateWebhookSecret();
+    webhook.secret = secret;
+    await webhook.save();
+    res.json({ success: true, secret });
+  } catch (err) {
+    handleWebhookError(res, err, "Failed to rotate secret");
+  }
+});
+
+webhookRouter.delete("/:webhookId", async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await Webhook.deleteOne({ _id: webhook._id });
+    res.json({ success: true, id: webhook._id });
+  } catch (err) {
+    handleWebhookError(res, err, "Failed to delete webhook");
+  }
+});
+
+// Delivery log, newest first. ?status=failed etc. narrows it.
+webhookRouter.get("/:webhookId/deliveries", async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { webhook: webhook._id };
+    if (req.query.status) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}` });
+      }
+      filter.status = req.query.status;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      deliveries: deliveries.map(delivery => formatDelivery(delivery)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    handleWebhookError(res, err, "Failed to fetch deliveries");
+  }
+});
+
+// One delivery with its payload and every attempt
+webhookRouter.get("/:webhookId/deliveries/:deliveryId", async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    const delivery = await findDelivery(req, res, webhook);
+    if (!delivery) return;
+
+    res.json({ success: true, delivery: formatDelivery(delivery, true) });
+  } catch (err) {
+    handleWebhookError(res, err, "Failed to fetch delivery");
+  }
+});
+
+// Send a delivery again as a new delivery with the same payload
+webhookRouter.post("/:webhookId/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    const delivery = await findDelivery(req, res, webhook);
+    if (!delivery) return;
+
+    if (!webhook.active) {
+      return res.status(409).json({ error: "Webhook is paused, turn it back on first" });
+    }
+
+    const redelivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: delivery.event,
+      video: delivery.video,
+      payload: delivery.payload,
+      redeliveryOf: delivery._id
+    });
+    deliverSoon();
+    res.status(202).json({ success: true, delivery: formatDelivery(redelivery) });
+  } catch (err) {
+    handleWebhookError(res, err, "Failed to redeliver");
+  }
+});
+
+module.exports = webhookRouter;
@@ -0,0 +1,368 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const validator = require("validator");
+const User = require("../models/user");
+const Video = require("../models/video");
+const Workspace = require("../models/workspace");
+const WorkspaceInvite = require("../models/workspaceInvite");
+const Webhook = require("../models/webhook");
+const WebhookDelivery = require("../models/webhookDelivery");
+const SubtitleStyle = require("../models/subtitleStyle");
+const { authenticateUser } = require("../middleware/authenticateUser");
+const { hashToken, generateShareToken } = require("../utils/videoAccess");
+const { WORKSPACE_ROLES, hasRole, roleIn } = require("../utils/workspaceAccess");
+const { sendMail } = require("../services/mail");
+const { workspaceInviteEmail } = require("../services/mail/templates");
+
+const workspaceRouter = express.Router();
+workspaceRouter.use(authenticateUser);
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+// Where the invitation page lives, usually the frontend
+const APP_URL = process.env.APP_URL || BASE_URL;
+const INVITE_TTL_DAYS = parseInt(process.env.WORKSPACE_INVITE_TTL_DAYS) || 7;
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+const INVITABLE_ROLES = ["admin", "member", "viewer"];
+
+const formatMember = (member) => ({
+  user: member.user && member.user._id
+    ? { id: member.user._id, name: member.user.name, email: member.user.emailId }
+    : { id: member.user },
+  role: member.role,
+  joinedAt: member.joinedAt
+});
+
+const formatInvite = (invite) => ({
+  id: invite._id,
+  email: invite.email,
+  role: invite.role,
+  expiresAt: invite.expiresAt,
+  acceptedAt: invite.acceptedAt,
+  revokedAt: invite.revokedAt,
+  pending: !invite.acceptedAt && !invite.revokedAt && invite.expiresAt > new Date(),
+  createdAt: invite.createdAt
+});
+
+function parseWorkspaceName(value) {
+  const name = typeof value === "string" ? value.trim() : "";
+  return name && name.length <= MAX_WORKSPACE_NAME_LENGTH ? name : null;
+}
+
+// Load a workspace the user belongs to with at least `minimumRole`.
+// Non-members get a 404 so workspace ids cannot be probed.
+async function findWorkspace(req, res, minimumRole = "viewer") {
+  if (!mongoose.isValidObjectId(req.params.workspaceId)) {
+    res.status(404).json({ error: "Workspace not found" });
+    return null;
+  }
+  const workspace = await Workspace.findById(req.params.workspaceId);
+  const role = roleIn(workspace, req.userId);
+  if (!role) {
+    res.status(404).json({ error: "Workspace not found" });
+    return null;
+  }
+  if (!hasRole(role, minimumRole)) {
+    res.status(403).json({ error: `This needs the ${minimumRole} role or higher` });
+    return null;
+  }
+  req.workspaceRole = role;
+  return workspace;
+}
+
+async function formatWorkspace(workspace, userId) {
+  await workspace.populate("members.user", "name emailId");
+  return {
+    id: workspace._id,
+    name: workspace.name,
+    role: roleIn(workspace, userId),
+    members: workspace.members.map(formatMember),
+    createdAt: workspace.createdAt
+  };
+}
+
+function handleWorkspaceError(res, err, message) {
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === "development" ? err.message : undefined
+  });
+}
+
+// Create a workspace, the creator becomes its owner
+workspaceRouter.post("/", async (req, res) => {
+  try {
+    const name = parseWorkspaceName(req.body?.name);
+    if (!name) {
+      return res.status(400).json({ error: `name must be between 1 and ${MAX_WORKSPACE_NAME_LENGTH} characters` });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      createdBy: req.userId,
+      members: [{ user: req.userId, role: "owner" }]
+    });
+    res.status(201).json({ success: true, workspace: await formatWorkspace(workspace, req.userId) });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to create workspace");
+  }
+});
+
+// Workspaces the user belongs to, with their role in each
+workspaceRouter.get("/", async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ "members.user": req.userId }).sort({ name: 1 }).lean();
+    res.json({
+      success: true,
+      workspaces: workspaces.map(workspace => ({
+        id: workspace._id,
+        name: workspace.name,
+        role: roleIn(workspace, req.userId),
+        memberCount: workspace.members.length,
+        createdAt: workspace.createdAt
+      }))
+    });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to fetch workspaces");
+  }
+});
+
+// Accept an invitation with the token from the email. The signed-in account
+// must use the invited email address.
+workspaceRouter.post("/invites/accept", async (req, res) => {
+  try {
+    const token = req.body?.token;
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "token is required" });
+    }
+
+    const invite = await WorkspaceInvite.findOne({ tokenHash: hashToken(token) });
+    if (!invite || invite.acceptedAt || invite.revokedAt || invite.expiresAt <= new Date()) {
+      return res.status(400).json({ error: "Invitation is invalid, expired or already used" });
+    }
+
+    const user = await User.findById(req.userId).select("emailId").lean();
+    if (!user || user.emailId !== invite.email) {
+      return res.status(403).json({ error: "This invitation was sent to a different email address" });
+    }
+
+    const workspace = await Workspace.findById(invite.workspace);
+    if (!workspace) {
+      return res.status(404).json({ error: "Workspace not found" });
+    }
+    // Joining only adds; an existing member keeps their current role
+    if (!roleIn(workspace, req.userId)) {
+      await Workspace.updateOne(
+        { _id: workspace._id, "members.user": { $ne: req.userId } },
+        { $push: { members: { user: req.userId, role: invite.role } } }
+      );
+    }
+    invite.acceptedAt = new Date();
+    await invite.save();
+
+    const updated = await Workspace.findById(workspace._id);
+    res.json({ success: true, workspace: await formatWorkspace(updated, req.userId) });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to accept invitation");
+  }
+});
+
+// Workspace details and members
+workspaceRouter.get("/:workspaceId", async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res);
+    if (!workspace) return;
+
+    res.json({ success: true, workspace: await formatWorkspace(workspace, req.userId) });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to fetch workspace");
+  }
+});
+
+// Rename, admins and up
+workspaceRouter.patch("/:workspaceId", async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res, "admin");
+    if (!workspace) return;
+
+    const name = parseWorkspaceName(req.body?.name);
+    if (!name) {
+      return res.status(400).json({ error: `name must be between 1 and ${MAX_WORKSPACE_NAME_LENGTH} characters` });
+    }
+    workspace.name = name;
+    await workspace.save();
+    res.json({ success: true, workspace: await formatWorkspace(workspace, req.userId) });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to update workspace");
+  }
+});
+
+// Delete a workspace, owner only. Its videos stay with their creators.
+workspaceRouter.delete("/:workspaceId", async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res, "owner");
+    if (!workspace) return;
+
+    const { modifiedCount } = await Video.updateMany({ workspace: workspace._id }, { $set: { workspace: null } });
+    await WorkspaceInvite.deleteMany({ workspace: workspace._id });
+    const webhooks = await Webhook.find({ workspace: workspace._id }).select("_id").lean();
+    await WebhookDelivery.deleteMany({ webhook: { $in: webhooks.map(webhook => webhook._id) } });
+    await Webhook.deleteMany({ workspace: workspace._id });
+    await SubtitleStyle.deleteMany({ workspace: workspace._id });
+    await Workspace.deleteOne({ _id: workspace._id });
+    res.json({ success: true, id: workspace._id, videosReleased: modifiedCount });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to delete workspace");
+  }
+});
+
+// Invite someone by email, admins and up. Only owners can invite admins.
+workspaceRouter.post("/:workspaceId/invites", async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res, "admin");
+    if (!workspace) return;
+
+    const email = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "";
+    const role = req.body?.role || "member";
+    if (!validator.isEmail(email)) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${INVITABLE_ROLES.join(", ")}` });
+    }
+    if (role === "admin" && req.workspaceRole !== "owner") {
+      return res.status(403).json({ error: "Only owners can invite admins" });
+    }
+
+    const existingUser = await User.findOne({ emailId: email }).select("_id").lean();
+    if (existingUser && roleIn(workspace, existingUser._id)) {
+      return res.status(409).json({ error: "That person is already a member" });
+    }
+
+    // A new invitation replaces any earlier one for the same address
+    await WorkspaceInvite.updateMany(
+      { workspace: workspace._id, email, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const token = generateShareToken();
+    const invite = await WorkspaceInvite.create({
+      workspace: workspace._id,
+      email,
+      role,
+      invitedBy: req.userId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    const inviter = await User.findById(req.userId).select("name").lean();
+    const link = `${APP_URL}/workspaces/invite?token=${token}`;
+    let emailSent = true;
+    try {
+      await sendMail(workspaceInviteEmail(email, { inviterName: inviter?.name || "A teammate", workspaceName: workspace.name, role }, link, INVITE_TTL_DAYS));
+    } catch (mailError) {
+      console.error("Failed to send workspace invitation:", mailError.message);
+      emailSent = false;
+    }
+
+    res.status(201).json({ success: true, emailSent, invite: formatInvite(invite) });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to invite member");
+  }
+});
+
+// Invitations of a workspace, newest first
+workspaceRouter.get("/:workspaceId/invites", async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res, "admin");
+    if (!workspace) return;
+
+    const invites = await WorkspaceInvite.find({ workspace: workspace._id }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, invites: invites.map(formatInvite) });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to fetch invitations");
+  }
+});
+
+// Revoke a pending invitation
+workspaceRouter.delete("/:workspaceId/invites/:inviteId", async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res, "admin");
+    if (!workspace) return;
+
+    if (!mongoose.isValidObjectId(req.params.inviteId)) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+    const invite = await WorkspaceInvite.findOne({ _id: req.params.inviteId, workspace: workspace._id });
+    if (!invite) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+    if (!invite.acceptedAt && !invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+    res.json({ success: true, invite: formatInvite(invite) });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to revoke invitation");
+  }
+});
+
+// Change a member's role, admins and up. Admins manage members and viewers;
+// owners can also promote, demote and hand over ownership.
+workspaceRouter.patch("/:workspaceId/members/:userId", async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res, "admin");
+    if (!workspace) return;
+
+    const member = workspace.members.find(entry => entry.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    const { role } = req.body || {};
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${WORKSPACE_ROLES.join(", ")}` });
+    }
+
+    const isOwner = req.workspaceRole === "owner";
+    if (!isOwner && (hasRole(member.role, "admin") || hasRole(role, "admin"))) {
+      return res.status(403).json({ error: "Only owners can change admins or make someone an admin" });
+    }
+    if (member.role === "owner" && role !== "owner" && workspace.members.filter(entry => entry.role === "owner").length === 1) {
+      return res.status(409).json({ error: "A workspace needs an owner, make someone else owner first" });
+    }
+
+    member.role = role;
+    await workspace.save();
+    res.json({ success: true, workspace: await formatWorkspace(workspace, req.userId) });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to change role");
+  }
+});
+
+// Remove a member, or leave the workspace when it is yourself.
+// Their videos stay in the workspace.
+workspaceRouter.delete("/:workspaceId/members/:userId", async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.userId;
+    const workspace = await findWorkspace(req, res, leaving ? "viewer" : "admin");
+    if (!workspace) return;
+
+    const member = workspace.members.find(entry => entry.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    if (!leaving && req.workspaceRole !== "owner" && hasRole(member.role, "admin")) {
+      return res.status(403).json({ error: "Only owners can remove admins" });
+    }
+    if (member.role === "owner" && workspace.members.filter(entry => entry.role === "owner").length === 1) {
+      return res.status(409).json({ error: "The last owner cannot leave, hand over ownership or delete the workspace" });
+    }
+
+    workspace.members = workspace.members.filter(entry => entry !== member);
+    await workspace.save();
+    res.json({ success: true, removed: req.params.userId });
+  } catch (err) {
+    handleWorkspaceError(res, err, "Failed to remove member");
+  }
+});
+
+module.exports = workspaceRouter;
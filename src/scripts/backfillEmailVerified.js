@@ -0,0 +1,35 @@
+// Mark accounts created before email verification existed as verified.
+// They have no emailVerified field at all, so uploads would refuse them.
+//
+//   npm run backfill:email-verified
+//   npm run backfill:email-verified -- --dry-run   only count them
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const connectDB = require("../config/database");
+const User = require("../models/user");
+
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+async function backfillEmailVerified() {
+  await connectDB();
+
+  // Accounts signed up since then always carry the field, true or false
+  const filter = { emailVerified: { $exists: false } };
+  if (dryRun) {
+    console.log(`${await User.countDocuments(filter)} account(s) would be marked verified`);
+    return;
+  }
+
+  const { modifiedCount } = await User.updateMany(filter, { $set: { emailVerified: true, emailVerifiedAt: null } });
+  console.log(`Marked ${modifiedCount} existing account(s) verified`);
+}
+
+backfillEmailVerified()
+  .catch((err) => {
+    console.error("Backfill failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
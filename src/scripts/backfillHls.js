@@ -0,0 +1,67 @@
+// Package HLS renditions for videos processed before HLS existed.
+//
+//   npm run backfill:hls             only videos without ready renditions
+//   npm run backfill:hls -- --force  re-package every ready video
+//   npm run backfill:hls -- --limit 20
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const connectDB = require("../config/database");
+const Video = require("../models/video");
+const { packageVideoHls } = require("../jobs/packageVideoHls");
+const { WORK_ROOT } = require("../utils/uploadPaths");
+const { fetchToLocal } = require("../services/storage");
+const { refreshVideoStorage } = require("../utils/quotas");
+
+const args = process.argv.slice(2);
+const force = args.includes("--force");
+const limitIndex = args.indexOf("--limit");
+const limit = limitIndex !== -1 ? parseInt(args[limitIndex + 1]) || 0 : 0;
+
+async function backfillHls() {
+  await connectDB();
+
+  const query = { status: "ready" };
+  if (!force) {
+    query["hls.status"] = { $ne: "ready" };
+  }
+
+  const videos = await Video.find(query).sort({ createdAt: -1 }).limit(limit);
+  console.log(`Found ${videos.length} video(s) to package`);
+
+  let packaged = 0;
+  let failed = 0;
+  for (const video of videos) {
+    const workDir = path.join(WORK_ROOT, `backfill-hls-${video._id}`);
+    try {
+      console.log(`\nPackaging ${video._id} (${video.title})`);
+      const { path: videoPath } = await fetchToLocal(video.videoKey, workDir);
+      const hls = await packageVideoHls(video, videoPath, workDir);
+      await refreshVideoStorage(video._id);
+      console.log(`Done: ${hls.renditions.map(rendition => rendition.name).join(", ")}`);
+      packaged++;
+    } catch (err) {
+      console.error(`Failed to package ${video._id}:`, err.message);
+      failed++;
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  console.log(`\nBackfill finished: ${packaged} packaged, ${failed} failed`);
+  return failed;
+}
+
+backfillHls()
+  .then((failed) => {
+    process.exitCode = failed ? 1 : 0;
+  })
+  .catch((err) => {
+    console.error("Backfill failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,194 @@
+// Move media into the configured storage backend (STORAGE_BACKEND).
+//
+//   npm run migrate:storage                       videos still stored as "/uploads/..." paths
+//   npm run migrate:storage -- --from local       also copy keyed files from local disk, e.g. when switching to S3
+//   npm run migrate:storage -- --dry-run          only report what would move
+//   npm run migrate:storage -- --keep-local       leave the original files in place
+//   npm run migrate:storage -- --limit 20
+const fs = require("fs");
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const connectDB = require("../config/database");
+const Video = require("../models/video");
+const { fromUploadsUrl } = require("../utils/uploadPaths");
+const { getStorage, putLocalFile, putDirectory } = require("../services/storage");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const keepLocal = args.includes("--keep-local");
+const fromIndex = args.indexOf("--from");
+const fromBackend = fromIndex !== -1 ? args[fromIndex + 1] : null;
+const limitIndex = args.indexOf("--limit");
+const limit = limitIndex !== -1 ? parseInt(args[limitIndex + 1]) || 0 : 0;
+
+// "/uploads/videos/a.mp4" -> "videos/a.mp4", "/uploads/.hls/<id>" -> "hls/<id>"
+function keyFromLegacyUrl(url) {
+  return url.replace(/^\/?uploads\//, "").replace(/^\.hls\//, "hls/");
+}
+
+const removeLocal = (filePath) => {
+  if (!keepLocal && !dryRun) {
+    fs.rmSync(filePath, { recursive: true, force: true });
+  }
+};
+
+async function uploadFile(key, filePath) {
+  console.log(`  ${filePath} -> ${key}`);
+  if (!dryRun) {
+    await putLocalFile(key, filePath);
+  }
+}
+
+async function uploadDirectory(prefix, dir) {
+  console.log(`  ${dir}/ -> ${prefix}/`);
+  if (!dryRun) {
+    await putDirectory(prefix, dir);
+  }
+}
+
+// Documents written before storage keys still carry videoUrl, sourceUrl,
+// thumbnailUrl and hls.path, which the schema no longer knows about
+async function migrateLegacyVideo(doc) {
+  const videoPath = fromUploadsUrl(doc.videoUrl);
+  if (!fs.existsSync(videoPath)) {
+    throw new Error(`file missing at ${videoPath}`);
+  }
+
+  const $set = { videoKey: keyFromLegacyUrl(doc.videoUrl), sourceKey: "", thumbnailKey: "" };
+  const moved = [videoPath];
+  await uploadFile($set.videoKey, videoPath);
+
+  if (doc.sourceUrl) {
+    const sourcePath = fromUploadsUrl(doc.sourceUrl);
+    if (doc.sourceUrl === doc.videoUrl) {
+      $set.sourceKey = $set.videoKey;
+    } else if (fs.existsSync(sourcePath)) {
+      $set.sourceKey = keyFromLegacyUrl(doc.sourceUrl);
+      await uploadFile($set.sourceKey, sourcePath);
+      moved.push(sourcePath);
+    }
+  }
+
+  // The shared default thumbnail is dropped, there is no file behind it per video
+  if (doc.thumbnailUrl && !doc.thumbnailUrl.startsWith("http") && !doc.thumbnailUrl.endsWith("/default.jpg")) {
+    const thumbnailPath = fromUploadsUrl(doc.thumbnailUrl);
+    if (fs.existsSync(thumbnailPath)) {
+      $set.thumbnailKey = keyFromLegacyUrl(doc.thumbnailUrl);
+      await uploadFile($set.thumbnailKey, thumbnailPath);
+      moved.push(thumbnailPath);
+    }
+  }
+
+  const hlsDir = doc.hls?.status === "ready" && doc.hls.path ? fromUploadsUrl(doc.hls.path) : null;
+  if (hlsDir && fs.existsSync(hlsDir)) {
+    $set["hls.prefix"] = `hls/${doc._id}`;
+    await uploadDirectory($set["hls.prefix"], hlsDir);
+    moved.push(hlsDir);
+  } else if (doc.hls?.status) {
+    $set["hls.status"] = "none";
+    $set["hls.renditions"] = [];
+  }
+
+  if (!dryRun) {
+    await Video.collection.updateOne(
+      { _id: doc._id },
+      { $set, $unset: { videoUrl: "", sourceUrl: "", thumbnailUrl: "", "hls.path": "" } }
+    );
+  }
+  moved.forEach(removeLocal);
+}
+
+// Copy a keyed video from local disk into the current backend. The unedited
+// files of an edited video come along, reverting the edit needs them.
+async function copyFromLocal(doc, local) {
+  const keys = [...new Set([
+    doc.videoKey,
+    doc.sourceKey,
+    doc.thumbnailKey,
+    doc.edit?.original?.videoKey,
+    doc.edit?.original?.sourceKey
+  ].filter(Boolean))];
+  for (const key of keys) {
+    const filePath = local.localPath(key);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`file missing at ${filePath}`);
+    }
+    await uploadFile(key, filePath);
+  }
+
+  // Poster candidates are only suggestions, one that is gone is not worth failing over
+  const candidateKeys = [...new Set((doc.thumbnailCandidates || []).map(candidate => candidate.key))]
+    .filter(key => key && !keys.includes(key));
+  for (const key of candidateKeys) {
+    const filePath = local.localPath(key);
+    if (!fs.existsSync(filePath)) {
+      console.log(`  skipping missing poster candidate ${filePath}`);
+      continue;
+    }
+    await uploadFile(key, filePath);
+    keys.push(key);
+  }
+
+  // HLS playlists and segments, storyboard sprite sheets and their VTT
+  const dirs = [];
+  for (const part of [doc.hls, doc.storyboard]) {
+    const dir = part?.status === "ready" && part.prefix ? local.localPath(part.prefix) : null;
+    if (dir && fs.existsSync(dir)) {
+      await uploadDirectory(part.prefix, dir);
+      dirs.push(dir);
+    }
+  }
+
+  keys.map(key => local.localPath(key)).forEach(removeLocal);
+  dirs.forEach(removeLocal);
+}
+
+async function migrateStorage() {
+  const target = getStorage();
+  if (fromBackend && fromBackend !== "local") {
+    throw new Error("--from only supports \"local\"");
+  }
+  if (fromBackend && target.name === "local") {
+    throw new Error("STORAGE_BACKEND is already local, nothing to copy");
+  }
+
+  await connectDB();
+  console.log(`Migrating to the "${target.name}" storage backend${dryRun ? " (dry run)" : ""}`);
+
+  const query = fromBackend ? {} : { videoKey: { $exists: false }, videoUrl: { $exists: true } };
+  const docs = await Video.collection.find(query).sort({ createdAt: -1 }).limit(limit).toArray();
+  console.log(`Found ${docs.length} video(s) to migrate`);
+
+  let migrated = 0;
+  let failed = 0;
+  for (const doc of docs) {
+    try {
+      console.log(`\n${doc._id} (${doc.title})`);
+      if (!doc.videoKey) {
+        await migrateLegacyVideo(doc);
+      } else {
+        await copyFromLocal(doc, getStorage("local"));
+      }
+      migrated++;
+    } catch (err) {
+      console.error(`Failed to migrate ${doc._id}:`, err.message);
+      failed++;
+    }
+  }
+
+  console.log(`\nMigration finished: ${migrated} migrated, ${failed} failed`);
+  return failed;
+}
+
+migrateStorage()
+  .then((failed) => {
+    process.exitCode = failed ? 1 : 0;
+  })
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
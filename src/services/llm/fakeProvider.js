@@ -0,0 +1,35 @@
+const CHAPTER_MS = 60000;
+const MAX_TITLE_WORDS = 8;
+
+const firstWords = (text, count) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  return words.slice(0, count).join(" ").replace(/[.,;:!?]+$/, "") + (words.length > count ? "…" : "");
+};
+
+// Deterministic offline provider for tests and local development: the title
+// and summary come from the opening lines, with a chapter every minute named
+// after the line it starts on.
+const fakeProvider = {
+  name: "fake",
+
+  async enrich({ cues, durationMs }) {
+    const texts = cues.map(cue => cue.text).filter(Boolean);
+    const chapters = [];
+    if (durationMs >= CHAPTER_MS) {
+      for (const cue of cues) {
+        const slot = chapters.length * CHAPTER_MS;
+        if (cue.start >= slot) {
+          chapters.push({ start: chapters.length ? cue.start : 0, title: firstWords(cue.text, MAX_TITLE_WORDS) });
+        }
+      }
+    }
+
+    return {
+      title: texts.length ? firstWords(texts[0], MAX_TITLE_WORDS) : "",
+      summary: texts.slice(0, 3).join(" "),
+      chapters
+    };
+  }
+};
+
+module.exports = fakeProvider;
@@ -0,0 +1,75 @@
+const openaiProvider = require("./openaiProvider");
+const fakeProvider = require("./fakeProvider");
+const { MAX_CHAPTER_TITLE_LENGTH, MIN_CHAPTER_MS, normalizeChapters } = require("../../utils/chapters");
+
+// A provider is { name, enrich({ cues, language, durationMs }) } and resolves
+// with { title, summary, chapters: [{ start, title }] }, start in milliseconds.
+// Whatever it returns is cleaned up here, so providers can pass model output
+// through as is.
+const providers = new Map();
+
+const MAX_SUMMARY_LENGTH = 2000;
+const MAX_SUGGESTED_TITLE_LENGTH = 100;
+
+function registerLlmProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+[openaiProvider, fakeProvider].forEach(registerLlmProvider);
+
+function getDefaultLlmProviderName() {
+  return process.env.LLM_PROVIDER || "openai";
+}
+
+// The hosted default needs a key; without one enrichment is simply skipped
+function isLlmConfigured() {
+  return getDefaultLlmProviderName() !== "openai" || Boolean(process.env.OPENAI_API_KEY);
+}
+
+const cleanText = (value, maxLength) => (typeof value === "string" ? value.replace(/\s+/g, " ").trim().slice(0, maxLength) : "");
+
+// Models get timestamps slightly wrong; keep what can be used rather than
+// failing the whole result. The first chapter always starts the video.
+function cleanChapters(chapters, durationMs) {
+  const usable = [];
+  const candidates = (Array.isArray(chapters) ? chapters : [])
+    .map(chapter => ({ start: Math.round(Number(chapter?.start)), title: cleanText(chapter?.title, MAX_CHAPTER_TITLE_LENGTH) }))
+    .filter(chapter => Number.isFinite(chapter.start) && chapter.start >= 0 && chapter.start < durationMs && chapter.title)
+    .sort((a, b) => a.start - b.start);
+  for (const chapter of candidates) {
+    const previous = usable[usable.length - 1];
+    if (!previous || chapter.start - previous.start >= MIN_CHAPTER_MS) {
+      usable.push(chapter);
+    }
+  }
+  if (usable.length) {
+    usable[0].start = 0;
+  }
+  // A single chapter says nothing
+  return usable.length > 1 ? normalizeChapters(usable, durationMs) : [];
+}
+
+async function generateEnrichment({ cues, language, durationMs }, options = {}) {
+  const name = options.provider || getDefaultLlmProviderName();
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}"`);
+  }
+
+  console.log(`Generating summary and chapters with ${name} (${cues.length} cues)`);
+  const result = await provider.enrich({ cues, language, durationMs });
+
+  return {
+    provider: name,
+    title: cleanText(result.title, MAX_SUGGESTED_TITLE_LENGTH).replace(/^["']+|["']+$/g, ""),
+    summary: cleanText(result.summary, MAX_SUMMARY_LENGTH),
+    chapters: cleanChapters(result.chapters, durationMs)
+  };
+}
+
+module.exports = {
+  registerLlmProvider,
+  getDefaultLlmProviderName,
+  isLlmConfigured,
+  generateEnrichment
+};
@@ -0,0 +1,73 @@
+const OpenAI = require("openai");
+const { languageLabel } = require("../../utils/languages");
+const { formatTimestamp } = require("../../utils/subtitleFormats");
+
+const MODEL = process.env.OPENAI_LLM_MODEL || "gpt-4o-mini";
+// Long transcripts are cut to fit the context window, whole lines at a time
+const MAX_TRANSCRIPT_CHARS = parseInt(process.env.LLM_MAX_TRANSCRIPT_CHARS) || 48000;
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+// "[00:01:05] text" lines the model can quote timestamps from
+function transcriptLines(cues) {
+  const lines = [];
+  let length = 0;
+  for (const cue of cues) {
+    const line = `[${formatTimestamp(cue.start, ".").slice(0, 8)}] ${cue.text}`;
+    if (length + line.length > MAX_TRANSCRIPT_CHARS) {
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+  return lines.join("\n");
+}
+
+// Summary, title and chapters from a chat model
+const openaiProvider = {
+  name: "openai",
+
+  async enrich({ cues, language, durationMs }) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY is not set");
+    }
+
+    const completion = await getClient().chat.completions.create({
+      model: MODEL,
+      temperature: 0.2,
+      response_format: { type: "json_object" },
+      messages: [
+        {
+          role: "system",
+          content: `You write metadata for screen recordings from their ${languageLabel(language)} transcript, in the same language. ` +
+            "Reply with JSON of the form {\"title\": string, \"summary\": string, \"chapters\": [{\"start\": seconds, \"title\": string}]}. " +
+            "The title is at most 80 characters. The summary is two to four sentences. " +
+            "Chapters follow the topics of the recording in order, the first starts at 0, titles are a few words; " +
+            "use no chapters for recordings under a minute."
+        },
+        {
+          role: "user",
+          content: `Duration: ${Math.round(durationMs / 1000)} seconds\n\nTranscript:\n${transcriptLines(cues)}`
+        }
+      ]
+    });
+
+    const result = JSON.parse(completion.choices[0].message.content);
+    return {
+      title: result.title,
+      summary: result.summary,
+      chapters: (Array.isArray(result.chapters) ? result.chapters : []).map(chapter => ({
+        start: Number(chapter?.start) * 1000,
+        title: chapter?.title
+      }))
+    };
+  }
+};
+
+module.exports = openaiProvider;
@@ -0,0 +1,7 @@
+module.exports = {
+  name: "console",
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: `console-${Date.now()}` };
+  }
+};
@@ -0,0 +1,17 @@
+const fs = require("fs");
+const path = require("path");
+
+// Writes each message as JSON so local tools and tests can read the links back
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "..", "uploads", ".outbox");
+
+module.exports = {
+  name: "file",
+  async send(message) {
+    const outboxDir = getOutboxDir();
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    const filePath = path.join(outboxDir, `${id}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2), "utf8");
+    return { id, path: filePath };
+  }
+};
@@ -0,0 +1,37 @@
+const smtpTransport = require("./smtpTransport");
+const fileTransport = require("./fileTransport");
+const consoleTransport = require("./consoleTransport");
+
+// A transport is { name, send({ from, to, subject, text, html }) } and resolves with { id }
+const transports = new Map();
+
+function registerMailTransport(transport) {
+  transports.set(transport.name, transport);
+}
+
+[smtpTransport, fileTransport, consoleTransport].forEach(registerMailTransport);
+
+function getDefaultTransportName() {
+  return process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "console");
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const name = getDefaultTransportName();
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || "Loom <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html
+  });
+}
+
+module.exports = {
+  registerMailTransport,
+  sendMail
+};
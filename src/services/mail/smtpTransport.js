@@ -0,0 +1,29 @@
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not set");
+    }
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+module.exports = {
+  name: "smtp",
+  async send(message) {
+    const info = await getTransporter().sendMail(message);
+    return { id: info.messageId };
+  }
+};
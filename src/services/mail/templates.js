@@ -0,0 +1,59 @@
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+function linkMessage({ name, intro, action, link, outro }) {
+  return {
+    text: `Hi ${name},\n\n${intro}\n\n${action}: ${link}\n\n${outro}\n`,
+    html: `<p>Hi ${escapeHtml(name)},</p>`
+      + `<p>${escapeHtml(intro)}</p>`
+      + `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`
+      + `<p>${escapeHtml(outro)}</p>`
+  };
+}
+
+function verificationEmail(user, link, ttlHours) {
+  return {
+    to: user.emailId,
+    subject: "Verify your email address",
+    ...linkMessage({
+      name: user.name,
+      intro: "Please confirm this is your email address before uploading videos.",
+      action: "Verify email",
+      link,
+      outro: `The link expires in ${ttlHours} hours. If you did not sign up, ignore this email.`
+    })
+  };
+}
+
+function passwordResetEmail(user, link, ttlMinutes) {
+  return {
+    to: user.emailId,
+    subject: "Reset your password",
+    ...linkMessage({
+      name: user.name,
+      intro: "Someone asked to reset the password of your account.",
+      action: "Choose a new password",
+      link,
+      outro: `The link can be used once and expires in ${ttlMinutes} minutes. If it wasn't you, ignore this email.`
+    })
+  };
+}
+
+function workspaceInviteEmail(email, { inviterName, workspaceName, role }, link, ttlDays) {
+  return {
+    to: email,
+    subject: `Join ${workspaceName}`,
+    ...linkMessage({
+      name: "there",
+      intro: `${inviterName} invited you to the ${workspaceName} workspace as ${role === "admin" ? "an" : "a"} ${role}.`,
+      action: "Accept invitation",
+      link,
+      outro: `The invitation expires in ${ttlDays} days. Sign in or sign up with this email address to accept it.`
+    })
+  };
+}
+
+module.exports = { verificationEmail, passwordResetEmail, workspaceInviteEmail };
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const path = require("path");
+const localStorage = require("./localStorage");
+const s3Storage = require("./s3Storage");
+
+// A backend stores files under string keys such as "videos/<name>.mp4":
+//   putFile(key, filePath, { contentType })   put(key, body, { contentType })
+//   get(key) -> Buffer                        stat(key) -> { size, updatedAt } | null
+//   createReadStream(key, { start, end })     downloadToFile(key, filePath)
+//   delete(key)                               deletePrefix(prefix)
+//   sizeOfPrefix(prefix) -> bytes stored under the prefix
+//   getSignedUrl(key, { expiresIn, filename }) -> URL, or null when files are only served by the API
+// and optionally localPath(key) when the file already sits on this machine.
+const backends = new Map();
+
+function registerStorageBackend(backend) {
+  backends.set(backend.name, backend);
+}
+
+[localStorage, s3Storage].forEach(registerStorageBackend);
+
+const CONTENT_TYPES = {
+  ".mp4": "video/mp4",
+  ".mov": "video/quicktime",
+  ".avi": "video/x-msvideo",
+  ".mkv": "video/x-matroska",
+  ".webm": "video/webm",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".vtt": "text/vtt",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp"
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+
+function getStorage(name = process.env.STORAGE_BACKEND || "local") {
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new Error(`Unknown storage backend "${name}"`);
+  }
+  return backend;
+}
+
+// A local path to read `key` from. Remote files are downloaded into workDir;
+// `temporary` tells the caller whether the file is theirs to delete.
+async function fetchToLocal(key, workDir, storage = getStorage()) {
+  if (storage.localPath) {
+    const filePath = storage.localPath(key);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Stored file not found: ${key}`);
+    }
+    return { path: filePath, temporary: false };
+  }
+
+  await fs.promises.mkdir(workDir, { recursive: true });
+  const filePath = path.join(workDir, path.basename(key));
+  await storage.downloadToFile(key, filePath);
+  return { path: filePath, temporary: true };
+}
+
+async function putLocalFile(key, filePath, storage = getStorage()) {
+  await storage.putFile(key, filePath, { contentType: contentTypeFor(key) });
+  return key;
+}
+
+// Upload every file below `dir` under `prefix`, replacing what was there
+async function putDirectory(prefix, dir, storage = getStorage()) {
+  await storage.deletePrefix(prefix);
+  const entries = await fs.promises.readdir(dir, { recursive: true, withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filePath = path.join(entry.parentPath || entry.path, entry.name);
+    const key = `${prefix}/${path.relative(dir, filePath).split(path.sep).join("/")}`;
+    await putLocalFile(key, filePath, storage);
+  }
+}
+
+module.exports = {
+  registerStorageBackend,
+  getStorage,
+  contentTypeFor,
+  fetchToLocal,
+  putLocalFile,
+  putDirectory
+};
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { UPLOADS_ROOT } = require("../../utils/uploadPaths");
+
+const getRoot = () => path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(UPLOADS_ROOT, "storage"));
+
+// Keys are relative paths; anything that escapes the root is refused
+function resolveKey(key) {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+  if (!key || !filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+}
+
+async function writeFrom(key, source) {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  // Write next to the target and rename so readers never see a partial file
+  const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+  try {
+    await pipeline(source, fs.createWriteStream(tempPath));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = {
+  name: "local",
+
+  async putFile(key, filePath) {
+    await writeFrom(key, fs.createReadStream(filePath));
+  },
+
+  async put(key, body) {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+  },
+
+  async get(key) {
+    return fs.promises.readFile(resolveKey(key));
+  },
+
+  async stat(key) {
+    try {
+      const stat = await fs.promises.stat(resolveKey(key));
+      return stat.isFile() ? { size: stat.size, updatedAt: stat.mtime } : null;
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return null;
+      }
+      throw err;
+    }
+  },
+
+  createReadStream(key, range = {}) {
+    return fs.createReadStream(resolveKey(key), range);
+  },
+
+  async downloadToFile(key, filePath) {
+    await fs.promises.copyFile(resolveKey(key), filePath);
+  },
+
+  async delete(key) {
+    await fs.promises.unlink(resolveKey(key)).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  },
+
+  async deletePrefix(prefix) {
+    await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true });
+  },
+
+  async sizeOfPrefix(prefix) {
+    const sizeOf = async (filePath) => {
+      const stat = await fs.promises.stat(filePath).catch((err) => {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      });
+      if (!stat) {
+        return 0;
+      }
+      if (!stat.isDirectory()) {
+        return stat.size;
+      }
+      const entries = await fs.promises.readdir(filePath);
+      const sizes = await Promise.all(entries.map(entry => sizeOf(path.join(filePath, entry))));
+      return sizes.reduce((sum, size) => sum + size, 0);
+    };
+    return sizeOf(resolveKey(prefix));
+  },
+
+  // Files on local disk are only reachable through the API
+  async getSignedUrl() {
+    return null;
+  },
+
+  // Lets jobs read local files in place instead of copying them first
+  localPath(key) {
+    return resolveKey(key);
+  }
+};
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+
+let client = null;
+
+// Works with AWS and S3-compatible servers such as MinIO (set S3_ENDPOINT)
+function getClient() {
+  if (!client) {
+    // Loaded on first use, local-only setups never need the SDK
+    const AWS = require("aws-sdk");
+    client = new AWS.S3({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true" || Boolean(process.env.S3_ENDPOINT),
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || undefined,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || undefined,
+      signatureVersion: "v4"
+    });
+  }
+  return client;
+}
+
+function getBucket() {
+  if (!process.env.S3_BUCKET) {
+    throw new Error("S3_BUCKET is not set");
+  }
+  return process.env.S3_BUCKET;
+}
+
+const isNotFound = (err) => err.code === "NotFound" || err.code === "NoSuchKey" || err.statusCode === 404;
+
+module.exports = {
+  name: "s3",
+
+  async putFile(key, filePath, { contentType } = {}) {
+    await getClient().upload({
+      Bucket: getBucket(),
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentType: contentType
+    }).promise();
+  },
+
+  async put(key, body, { contentType } = {}) {
+    await getClient().putObject({
+      Bucket: getBucket(),
+      Key: key,
+      Body: body,
+      ContentType: contentType
+    }).promise();
+  },
+
+  async get(key) {
+    const result = await getClient().getObject({ Bucket: getBucket(), Key: key }).promise();
+    return result.Body;
+  },
+
+  async stat(key) {
+    try {
+      const head = await getClient().headObject({ Bucket: getBucket(), Key: key }).promise();
+      return { size: head.ContentLength, updatedAt: head.LastModified };
+    } catch (err) {
+      if (isNotFound(err)) {
+        return null;
+      }
+      throw err;
+    }
+  },
+
+  createReadStream(key, { start, end } = {}) {
+    const params = { Bucket: getBucket(), Key: key };
+    if (start !== undefined) {
+      params.Range = `bytes=${start}-${end !== undefined ? end : ""}`;
+    }
+    return getClient().getObject(params).createReadStream();
+  },
+
+  async downloadToFile(key, filePath) {
+    await pipeline(this.createReadStream(key), fs.createWriteStream(filePath));
+  },
+
+  async delete(key) {
+    await getClient().deleteObject({ Bucket: getBucket(), Key: key }).promise();
+  },
+
+  async deletePrefix(prefix) {
+    const s3 = getClient();
+    const bucket = getBucket();
+    const folder = prefix.endsWith("/") ? prefix : `${prefix}/`;
+    let ContinuationToken;
+    do {
+      const page = await s3.listObjectsV2({ Bucket: bucket, Prefix: folder, ContinuationToken }).promise();
+      if (page.Contents.length) {
+        await s3.deleteObjects({
+          Bucket: bucket,
+          Delete: { Objects: page.Contents.map(object => ({ Key: object.Key })), Quiet: true }
+        }).promise();
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  },
+
+  async sizeOfPrefix(prefix) {
+    const s3 = getClient();
+    const bucket = getBucket();
+    const folder = prefix.endsWith("/") ? prefix : `${prefix}/`;
+    let bytes = 0;
+    let ContinuationToken;
+    do {
+      const page = await s3.listObjectsV2({ Bucket: bucket, Prefix: folder, ContinuationToken }).promise();
+      bytes += page.Contents.reduce((sum, object) => sum + (object.Size || 0), 0);
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return bytes;
+  },
+
+  async getSignedUrl(key, { expiresIn = 3600, filename } = {}) {
+    return getClient().getSignedUrlPromise("getObject", {
+      Bucket: getBucket(),
+      Key: key,
+      Expires: expiresIn,
+      ResponseContentDisposition: filename
+        ? `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`
+        : undefined
+    });
+  }
+};
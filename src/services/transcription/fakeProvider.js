@@ -0,0 +1,69 @@
+const fs = require("fs");
+
+const SEGMENT_MS = 4000;
+const FALLBACK_DURATION_MS = 30000;
+const PHRASES = [
+  "Welcome to this recording.",
+  "Here is the first thing I want to show you.",
+  "Let's walk through the code together.",
+  "This part handles the edge cases.",
+  "That's everything for now, thanks for watching."
+];
+
+// Duration from a PCM WAV header, or null for anything else
+function readWavDurationMs(audioPath) {
+  const fd = fs.openSync(audioPath, "r");
+  try {
+    const header = Buffer.alloc(4096);
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    if (bytesRead < 44 || header.toString("ascii", 0, 4) !== "RIFF" || header.toString("ascii", 8, 12) !== "WAVE") {
+      return null;
+    }
+    const byteRate = header.readUInt32LE(28);
+    let offset = 12;
+    while (offset + 8 <= bytesRead) {
+      const chunkId = header.toString("ascii", offset, offset + 4);
+      const chunkSize = header.readUInt32LE(offset + 4);
+      if (chunkId === "data") {
+        // ffmpeg leaves the size unset when it streams, fall back to the file size
+        const dataSize = chunkSize && chunkSize !== 0xFFFFFFFF
+          ? chunkSize
+          : fs.fstatSync(fd).size - offset - 8;
+        return byteRate ? Math.round((dataSize / byteRate) * 1000) : null;
+      }
+      offset += 8 + chunkSize;
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Deterministic offline provider for tests and local development:
+// one canned phrase every four seconds for the length of the audio.
+const fakeProvider = {
+  name: "fake",
+
+  async transcribe(audioPath, { language = "auto", task = "transcribe" }) {
+    if (!fs.existsSync(audioPath)) {
+      throw new Error(`Audio file not found: ${audioPath}`);
+    }
+
+    const durationMs = readWavDurationMs(audioPath) || FALLBACK_DURATION_MS;
+    const resultLanguage = task === "translate" || language === "auto" ? "en" : language;
+
+    const segments = [];
+    for (let start = 0, i = 0; start < durationMs; start += SEGMENT_MS, i++) {
+      const text = PHRASES[i % PHRASES.length];
+      segments.push({
+        start,
+        end: Math.min(start + SEGMENT_MS, durationMs),
+        text: task === "translate" ? `[${resultLanguage}] ${text}` : text
+      });
+    }
+
+    return { language: resultLanguage, segments };
+  }
+};
+
+module.exports = fakeProvider;
@@ -0,0 +1,99 @@
+const fs = require("fs");
+const speech = require("@google-cloud/speech");
+
+// Inline audio is capped at 10MB (about five minutes of 16kHz mono PCM)
+const MAX_INLINE_BYTES = 10 * 1024 * 1024;
+const DEFAULT_LANGUAGE = process.env.GOOGLE_SPEECH_DEFAULT_LANGUAGE || "en-US";
+// Tried alongside the default when the language is "auto" (at most three)
+const ALTERNATIVE_LANGUAGES = (process.env.GOOGLE_SPEECH_ALTERNATIVE_LANGUAGES || "hi-IN,es-ES")
+  .split(",")
+  .map(code => code.trim())
+  .filter(Boolean)
+  .slice(0, 3);
+const DEFAULT_REGIONS = { en: "en-US", hi: "hi-IN", es: "es-ES" };
+
+// Words are grouped into caption-sized segments
+const MAX_SEGMENT_MS = 7000;
+const MAX_SEGMENT_CHARS = 84;
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    client = new speech.SpeechClient();
+  }
+  return client;
+};
+
+const toMs = (time = {}) => Number(time.seconds || 0) * 1000 + Math.round((time.nanos || 0) / 1e6);
+
+function groupWords(words) {
+  const segments = [];
+  let current = null;
+
+  for (const word of words) {
+    const start = toMs(word.startTime);
+    const end = toMs(word.endTime);
+    if (current && (end - current.start > MAX_SEGMENT_MS || current.text.length + word.word.length + 1 > MAX_SEGMENT_CHARS)) {
+      segments.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { start, end, text: word.word };
+    } else {
+      current.end = end;
+      current.text += ` ${word.word}`;
+    }
+    if (/[.?!]$/.test(word.word)) {
+      segments.push(current);
+      current = null;
+    }
+  }
+  if (current) {
+    segments.push(current);
+  }
+  return segments;
+}
+
+const googleSpeechProvider = {
+  name: "google",
+
+  async transcribe(audioPath, { language = "auto", task = "transcribe" }) {
+    if (task === "translate") {
+      throw new Error("Google Speech does not translate, use a text translator instead");
+    }
+    if (fs.statSync(audioPath).size > MAX_INLINE_BYTES) {
+      throw new Error("Audio is too long for inline Google Speech recognition");
+    }
+
+    const config = {
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+      audioChannelCount: 1,
+      enableWordTimeOffsets: true,
+      enableAutomaticPunctuation: true
+    };
+    if (language === "auto") {
+      config.languageCode = DEFAULT_LANGUAGE;
+      config.alternativeLanguageCodes = ALTERNATIVE_LANGUAGES;
+    } else {
+      config.languageCode = language.includes("-") ? language : (DEFAULT_REGIONS[language] || language);
+    }
+
+    const [operation] = await getClient().longRunningRecognize({
+      config,
+      audio: { content: fs.readFileSync(audioPath).toString("base64") }
+    });
+    const [response] = await operation.promise();
+    const results = response.results || [];
+
+    const words = results.flatMap(result => result.alternatives?.[0]?.words || []);
+    const detected = results.find(result => result.languageCode)?.languageCode || config.languageCode;
+
+    return {
+      language: detected.toLowerCase().split("-")[0],
+      segments: groupWords(words)
+    };
+  }
+};
+
+module.exports = googleSpeechProvider;
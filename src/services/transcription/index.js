@@ -0,0 +1,71 @@
+const whisperCliProvider = require("./whisperCliProvider");
+const whisperCppProvider = require("./whisperCppProvider");
+const openaiProvider = require("./openaiProvider");
+const googleSpeechProvider = require("./googleSpeechProvider");
+const fakeProvider = require("./fakeProvider");
+
+// A provider is { name, transcribe(audioPath, { language, task, workDir }) } and
+// resolves with { language, segments: [{ start, end, text }] } in milliseconds.
+// `language` is a code or "auto"; `task` is "transcribe" or "translate" (to English).
+const providers = new Map();
+
+function registerTranscriptionProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+[whisperCliProvider, whisperCppProvider, openaiProvider, googleSpeechProvider, fakeProvider]
+  .forEach(registerTranscriptionProvider);
+
+function getDefaultProviderName() {
+  return process.env.TRANSCRIPTION_PROVIDER || "whisper";
+}
+
+function isTranscriptionProvider(name) {
+  return providers.has(name);
+}
+
+function listTranscriptionProviders() {
+  return [...providers.keys()];
+}
+
+// Round to whole milliseconds, drop empty text and make sure every segment has length
+function normalizeSegments(segments) {
+  return segments
+    .map(segment => ({
+      start: Math.max(0, Math.round(Number(segment.start) || 0)),
+      end: Math.round(Number(segment.end) || 0),
+      text: String(segment.text || "").replace(/\s+/g, " ").trim()
+    }))
+    .filter(segment => segment.text)
+    .map(segment => ({ ...segment, end: Math.max(segment.end, segment.start + 1) }))
+    .sort((a, b) => a.start - b.start);
+}
+
+async function transcribeAudio(audioPath, options = {}) {
+  const name = options.provider || getDefaultProviderName();
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown transcription provider "${name}"`);
+  }
+
+  console.log(`Transcribing ${audioPath} with ${name} (language: ${options.language || "auto"}, task: ${options.task || "transcribe"})`);
+  const result = await provider.transcribe(audioPath, {
+    language: options.language || "auto",
+    task: options.task || "transcribe",
+    workDir: options.workDir
+  });
+
+  return {
+    provider: name,
+    language: result.language || (options.language !== "auto" && options.language) || "en",
+    segments: normalizeSegments(result.segments || [])
+  };
+}
+
+module.exports = {
+  registerTranscriptionProvider,
+  isTranscriptionProvider,
+  listTranscriptionProviders,
+  getDefaultProviderName,
+  transcribeAudio
+};
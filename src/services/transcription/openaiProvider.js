@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const OpenAI = require("openai");
+const ffmpeg = require("fluent-ffmpeg");
+const ffmpegPath = require("ffmpeg-static");
+const { languageCodeFromName } = require("../../utils/languages");
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+const MODEL = process.env.OPENAI_TRANSCRIPTION_MODEL || "whisper-1";
+// The audio endpoints reject uploads over 25MB
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+// 16kHz PCM is ~1.9MB a minute, so long recordings are re-encoded to low-bitrate MP3 first
+function compressForUpload(audioPath, workDir) {
+  const outputPath = path.join(workDir, `${path.basename(audioPath, path.extname(audioPath))}-upload.mp3`);
+  return new Promise((resolve, reject) => {
+    ffmpeg(audioPath)
+      .audioChannels(1)
+      .audioBitrate("32k")
+      .format("mp3")
+      .output(outputPath)
+      .on("end", () => resolve(outputPath))
+      .on("error", (err) => reject(new Error(`Audio compression failed: ${err.message}`)))
+      .run();
+  });
+}
+
+// OpenAI's hosted Whisper. Translation always targets English.
+const openaiProvider = {
+  name: "openai",
+
+  async transcribe(audioPath, { language = "auto", task = "transcribe", workDir }) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY is not set");
+    }
+
+    let uploadPath = audioPath;
+    if (fs.statSync(audioPath).size > MAX_UPLOAD_BYTES) {
+      uploadPath = await compressForUpload(audioPath, workDir);
+      if (fs.statSync(uploadPath).size > MAX_UPLOAD_BYTES) {
+        await fs.promises.unlink(uploadPath).catch(() => {});
+        throw new Error("Audio is too long for the OpenAI transcription API");
+      }
+    }
+
+    try {
+      const request = {
+        file: fs.createReadStream(uploadPath),
+        model: MODEL,
+        response_format: "verbose_json"
+      };
+      let response;
+      if (task === "translate") {
+        response = await getClient().audio.translations.create(request);
+      } else {
+        if (language !== "auto") {
+          request.language = language;
+        }
+        request.timestamp_granularities = ["segment"];
+        response = await getClient().audio.transcriptions.create(request);
+      }
+
+      return {
+        // verbose_json reports the language by name, e.g. "hindi"
+        language: task === "translate" ? "en" : (languageCodeFromName(response.language) || language),
+        segments: (response.segments || []).map(segment => ({
+          start: segment.start * 1000,
+          end: segment.end * 1000,
+          text: segment.text
+        }))
+      };
+    } finally {
+      if (uploadPath !== audioPath) {
+        fs.promises.unlink(uploadPath).catch(() => {});
+      }
+    }
+  }
+};
+
+module.exports = openaiProvider;
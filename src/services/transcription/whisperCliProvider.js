@@ -0,0 +1,58 @@
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const util = require("util");
+const { languageCodeFromName } = require("../../utils/languages");
+const execFilePromise = util.promisify(execFile);
+
+const WHISPER_BIN = process.env.WHISPER_BIN || "whisper";
+const WHISPER_MODEL = process.env.WHISPER_MODEL || "base";
+
+// The openai-whisper Python CLI. Its JSON output carries the segments and the
+// detected language, so nothing has to be scraped from stdout.
+const whisperCliProvider = {
+  name: "whisper",
+
+  async transcribe(audioPath, { language = "auto", task = "transcribe", workDir }) {
+    const args = [
+      audioPath,
+      "--model", WHISPER_MODEL,
+      "--task", task,
+      "--output_dir", workDir,
+      "--output_format", "json",
+      "--verbose", "False"
+    ];
+    if (language !== "auto") {
+      args.push("--language", language);
+    }
+
+    console.log("Whisper command:", WHISPER_BIN, args.join(" "));
+    try {
+      await execFilePromise(WHISPER_BIN, args, { maxBuffer: 32 * 1024 * 1024 });
+    } catch (err) {
+      throw new Error(`Whisper CLI failed: ${err.stderr || err.message}`);
+    }
+
+    const outputPath = path.join(workDir, `${path.basename(audioPath, path.extname(audioPath))}.json`);
+    if (!fs.existsSync(outputPath)) {
+      throw new Error(`Whisper output not found at: ${outputPath}`);
+    }
+
+    try {
+      const output = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+      return {
+        // Whisper reports a code ("hi"), older builds a name ("hindi")
+        language: output.language?.length > 3 ? languageCodeFromName(output.language) : output.language,
+        segments: (output.segments || []).map(segment => ({
+          start: segment.start * 1000,
+          end: segment.end * 1000,
+          text: segment.text
+        }))
+      };
+    } finally {
+      fs.promises.unlink(outputPath).catch(() => {});
+    }
+  }
+};
+
+module.exports = whisperCliProvider;
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const util = require("util");
+const execFilePromise = util.promisify(execFile);
+
+const WHISPER_CPP_BIN = process.env.WHISPER_CPP_BIN || "whisper-cli";
+const WHISPER_CPP_MODEL = process.env.WHISPER_CPP_MODEL || "";
+const WHISPER_CPP_THREADS = process.env.WHISPER_CPP_THREADS || "4";
+
+// whisper.cpp expects 16kHz mono WAV, which is what extractAudioFromVideo produces
+const whisperCppProvider = {
+  name: "whisper-cpp",
+
+  async transcribe(audioPath, { language = "auto", task = "transcribe", workDir }) {
+    if (!WHISPER_CPP_MODEL) {
+      throw new Error("WHISPER_CPP_MODEL must point to a ggml model file");
+    }
+
+    const outputPrefix = path.join(workDir, `${path.basename(audioPath, path.extname(audioPath))}-cpp`);
+    const args = [
+      "-m", WHISPER_CPP_MODEL,
+      "-f", audioPath,
+      "-l", language,
+      "-t", WHISPER_CPP_THREADS,
+      "-oj",
+      "-of", outputPrefix
+    ];
+    if (task === "translate") {
+      args.push("-tr");
+    }
+
+    console.log("whisper.cpp command:", WHISPER_CPP_BIN, args.join(" "));
+    try {
+      await execFilePromise(WHISPER_CPP_BIN, args, { maxBuffer: 32 * 1024 * 1024 });
+    } catch (err) {
+      throw new Error(`whisper.cpp failed: ${err.stderr || err.message}`);
+    }
+
+    const outputPath = `${outputPrefix}.json`;
+    if (!fs.existsSync(outputPath)) {
+      throw new Error(`whisper.cpp output not found at: ${outputPath}`);
+    }
+
+    try {
+      const output = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+      return {
+        language: output.result?.language || language,
+        segments: (output.transcription || []).map(segment => ({
+          start: segment.offsets.from,
+          end: segment.offsets.to,
+          text: segment.text
+        }))
+      };
+    } finally {
+      fs.promises.unlink(outputPath).catch(() => {});
+    }
+  }
+};
+
+module.exports = whisperCppProvider;
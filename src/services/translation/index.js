@@ -0,0 +1,39 @@
+const whisperTranslator = require("./whisperTranslator");
+const openaiTranslator = require("./openaiTranslator");
+
+// A translator is { name, needsAudio, canTranslate({ from, to, provider }), translate({ cues, audioPath, from, to, workDir, provider }) }
+// and resolves with cues ({ start, end, text }) in the target language. `audioPath` is
+// only extracted for translators that set `needsAudio`; `provider` is the video's
+// transcription provider.
+const translators = new Map();
+
+function registerTranslator(translator) {
+  translators.set(translator.name, translator);
+}
+
+registerTranslator(whisperTranslator);
+registerTranslator(openaiTranslator);
+
+// TRANSLATION_PROVIDERS lists translators in order of preference
+function getTranslator(from, to, provider) {
+  const preferred = (process.env.TRANSLATION_PROVIDERS || "whisper,openai")
+    .split(",")
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  for (const name of preferred) {
+    const translator = translators.get(name);
+    if (translator && translator.canTranslate({ from, to, provider })) {
+      return translator;
+    }
+  }
+  throw new Error(`No translator available for ${from} -> ${to}`);
+}
+
+async function translateCues({ cues, audioPath, from, to, workDir, provider }) {
+  const translator = getTranslator(from, to, provider);
+  console.log(`Translating subtitles ${from} -> ${to} with ${translator.name}`);
+  return translator.translate({ cues, audioPath, from, to, workDir, provider });
+}
+
+module.exports = { registerTranslator, getTranslator, translateCues };
@@ -0,0 +1,61 @@
+const OpenAI = require("openai");
+const { languageLabel } = require("../../utils/languages");
+
+const MODEL = process.env.OPENAI_TRANSLATION_MODEL || "gpt-4o-mini";
+const BATCH_SIZE = 40;
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+// Translate one batch of cue texts, keeping the order and count intact
+async function translateBatch(texts, from, to) {
+  const completion = await getClient().chat.completions.create({
+    model: MODEL,
+    temperature: 0,
+    response_format: { type: "json_object" },
+    messages: [
+      {
+        role: "system",
+        content: `You translate video subtitles from ${languageLabel(from)} to ${languageLabel(to)}. ` +
+          "Reply with JSON of the form {\"lines\": [...]} holding exactly one translated line per input line, in the same order. " +
+          "Keep names, product terms and code identifiers unchanged."
+      },
+      { role: "user", content: JSON.stringify({ lines: texts }) }
+    ]
+  });
+
+  const { lines } = JSON.parse(completion.choices[0].message.content);
+  if (!Array.isArray(lines) || lines.length !== texts.length) {
+    throw new Error("Translation returned a different number of lines");
+  }
+  return lines.map(line => String(line).trim());
+}
+
+// Translates cue text with a chat model; timings are kept from the source cues
+const openaiTranslator = {
+  name: "openai",
+  needsAudio: false,
+
+  canTranslate() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  },
+
+  async translate({ cues, from, to }) {
+    const translated = [];
+    for (let i = 0; i < cues.length; i += BATCH_SIZE) {
+      const batch = cues.slice(i, i + BATCH_SIZE);
+      const lines = await translateBatch(batch.map(cue => cue.text), from, to);
+      batch.forEach((cue, j) => {
+        translated.push({ start: cue.start, end: cue.end, text: lines[j] || cue.text });
+      });
+    }
+    return translated;
+  }
+};
+
+module.exports = openaiTranslator;
@@ -0,0 +1,29 @@
+const { transcribeAudio } = require("../transcription");
+
+// Speech-model translation: the transcription provider re-listens to the audio
+// with its translate task, which only produces English
+const SPEECH_TRANSLATION_PROVIDERS = ["whisper", "whisper-cpp", "openai", "fake"];
+
+const whisperTranslator = {
+  name: "whisper",
+  needsAudio: true,
+
+  canTranslate({ to, provider }) {
+    return to === "en" && SPEECH_TRANSLATION_PROVIDERS.includes(provider || "whisper");
+  },
+
+  async translate({ audioPath, from, workDir, provider }) {
+    if (!audioPath) {
+      throw new Error("Whisper translation needs the extracted audio");
+    }
+    const { segments } = await transcribeAudio(audioPath, {
+      provider: SPEECH_TRANSLATION_PROVIDERS.includes(provider) ? provider : "whisper",
+      language: from,
+      task: "translate",
+      workDir
+    });
+    return segments;
+  }
+};
+
+module.exports = whisperTranslator;
@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+const AccountToken = require("../models/accountToken");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a fresh token, invalidating any unused ones of the same type
+async function issueAccountToken(userId, type, ttlMs) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await AccountToken.updateMany({ user: userId, type, usedAt: null }, { $set: { usedAt: new Date() } });
+  await AccountToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+}
+
+// Mark a token used and return its user ID, or null when it is unknown, spent or expired
+async function consumeAccountToken(token, type) {
+  if (!token || typeof token !== "string") {
+    return null;
+  }
+  const now = new Date();
+  const record = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+  return record ? record.user : null;
+}
+
+module.exports = { issueAccountToken, consumeAccountToken };
@@ -0,0 +1,95 @@
+// Audio clean-up asked for at upload, and the pure helpers that turn detected
+// silences into cuts. Times are in ms on the uploaded timeline.
+const { MAX_CLIPS } = require("./timelineEdits");
+
+// "loudness": EBU R128 loudness normalization
+// "noise": background noise reduction
+// "silence": long silences cut out of the video
+const AUDIO_CLEANUP_STEPS = ["loudness", "noise", "silence"];
+
+// "ffmpeg" listens for quiet stretches, "transcript" uses the gaps between speech segments
+const SILENCE_DETECTION = process.env.SILENCE_DETECTION === "transcript" ? "transcript" : "ffmpeg";
+// Shortest silence worth cutting
+const MIN_SILENCE_MS = parseInt(process.env.SILENCE_MIN_MS) || 2000;
+// Silence left on each side of a cut so speech does not start or end abruptly
+const SILENCE_PADDING_MS = parseInt(process.env.SILENCE_PADDING_MS) || 250;
+
+// Comma-separated list or array of steps; "none" or empty turns clean-up off.
+// Returns null when a step is unknown.
+function parseAudioCleanup(value) {
+  if (value === undefined || value === null || value === "" || value === "none") {
+    return [];
+  }
+  const items = (Array.isArray(value) ? value : String(value).split(","))
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean);
+  return items.every(item => AUDIO_CLEANUP_STEPS.includes(item)) ? [...new Set(items)] : null;
+}
+
+const DEFAULT_AUDIO_CLEANUP = parseAudioCleanup(process.env.DEFAULT_AUDIO_CLEANUP) || [];
+
+// Stretches without speech: before the first segment, between segments and after the last
+function transcriptGaps(cues, durationMs) {
+  const sorted = [...cues].sort((a, b) => a.start - b.start);
+  const gaps = [];
+  let cursor = 0;
+  for (const cue of sorted) {
+    if (cue.start > cursor) {
+      gaps.push({ start: cursor, end: cue.start });
+    }
+    cursor = Math.max(cursor, cue.end);
+  }
+  if (durationMs > cursor) {
+    gaps.push({ start: cursor, end: durationMs });
+  }
+  return gaps;
+}
+
+// Cuts for the silences that are long enough. Padding is kept next to speech,
+// silence at the very start or end of the video is cut right up to the edge.
+// Only the longest cuts are made when there are more than the renderer joins.
+function planSilenceCuts(silences, durationMs, { minMs = MIN_SILENCE_MS, paddingMs = SILENCE_PADDING_MS } = {}) {
+  const cuts = silences
+    .map(silence => ({
+      start: Math.max(0, Math.round(silence.start)),
+      end: Math.min(durationMs, Math.round(silence.end))
+    }))
+    .filter(silence => silence.end - silence.start >= minMs)
+    .map(silence => ({
+      start: silence.start <= 0 ? 0 : silence.start + paddingMs,
+      end: silence.end >= durationMs ? durationMs : silence.end - paddingMs
+    }))
+    .filter(cut => cut.end > cut.start);
+
+  return cuts
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+    .slice(0, MAX_CLIPS - 1)
+    .sort((a, b) => a.start - b.start);
+}
+
+// What is left of the video once the cuts are taken out
+function keepRangesAround(cuts, durationMs) {
+  const keep = [];
+  let cursor = 0;
+  for (const cut of cuts) {
+    if (cut.start > cursor) {
+      keep.push({ start: cursor, end: cut.start });
+    }
+    cursor = Math.max(cursor, cut.end);
+  }
+  if (durationMs > cursor) {
+    keep.push({ start: cursor, end: durationMs });
+  }
+  return keep;
+}
+
+module.exports = {
+  AUDIO_CLEANUP_STEPS,
+  DEFAULT_AUDIO_CLEANUP,
+  SILENCE_DETECTION,
+  MIN_SILENCE_MS,
+  parseAudioCleanup,
+  transcriptGaps,
+  planSilenceCuts,
+  keepRangesAround
+};
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Spent refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId: String(userId), sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: (req.get("User-Agent") || "").slice(0, 300),
+    ip: req.ip || ""
+  };
+}
+
+function formatTokens(session, refreshToken) {
+  const accessToken = signAccessToken(session.user, session._id);
+  return {
+    token: accessToken,
+    accessToken,
+    accessTokenExpiresIn: ACCESS_TOKEN_TTL,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id
+  };
+}
+
+// Start a new session for a user who just proved who they are
+async function createSession(userId, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...clientInfo(req)
+  });
+  return formatTokens(session, refreshToken);
+}
+
+function authError(message, status = 401) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Swap a refresh token for a new access/refresh pair. Presenting a token that
+// was already rotated out means it leaked, so the whole session is revoked.
+async function rotateRefreshToken(refreshToken, req) {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw authError("refreshToken is required", 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        ...clientInfo(req)
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+  if (session) {
+    return formatTokens(session, nextToken);
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHashes: tokenHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: "reuse-detected" } }
+  );
+  if (reused) {
+    console.warn(`⚠️ Refresh token reuse detected, revoked session ${reused._id} of user ${reused.user}`);
+    throw authError("Refresh token was already used, the session has been revoked");
+  }
+
+  throw authError("Invalid or expired refresh token");
+}
+
+async function revokeSession(sessionId, userId, reason = "revoked") {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function revokeAllSessions(userId, reason = "logout-all") {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
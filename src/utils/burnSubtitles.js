@@ -2,8 +2,12 @@ const { spawn } = require("child_process");
 const path = require("path");
 const fs = require("fs");
 const ffmpegPath = require("ffmpeg-static");
+const { createProgressParser } = require("./ffmpegProgress");
+const { parseSrt, formatSrt } = require("./subtitleFormats");
+const { normalizeSubtitleStyle, buildForceStyle, wrapCueText } = require("./subtitleStyles");
 
-const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
+// `style` is a subtitle style (see utils/subtitleStyles); the default style is used without one
+const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir, onProgress, style = null) => {
     return new Promise((resolve, reject) => {
         // Validate input files
         if (!fs.existsSync(videoPath)) {
@@ -13,6 +17,14 @@ const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
             return reject(new Error(`Subtitle file not found: ${srtPath}`));
         }
 
+        // Checked up front so a bad style fails before any encoding starts
+        let subtitleStyle;
+        try {
+            subtitleStyle = normalizeSubtitleStyle(style || {});
+        } catch (err) {
+            return reject(new Error(`Invalid subtitle style: ${err.message}`));
+        }
+
         // Ensure output directory exists
         if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
@@ -21,8 +33,16 @@ const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
         const baseName = path.basename(videoPath, path.extname(videoPath));
         const videoExt = path.extname(videoPath).toLowerCase();
 
+        // WebM inputs are converted first, so that pass counts for the first half
+        const needsConversion = videoExt === '.webm';
+        const scaleProgress = (offset, share) => (percent) => {
+            if (typeof onProgress === 'function') {
+                onProgress(Math.round(offset + (percent * share) / 100));
+            }
+        };
+
         const processVideo = async () => {
-            if (videoExt === '.webm') {
+            if (needsConversion) {
                 console.log('Converting webm to mp4...');
                 const mp4Path = path.join(outputDir, `${baseName}-temp.mp4`);
 
@@ -37,8 +57,10 @@ const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
                     ]);
 
                     let stderr = '';
+                    const reportProgress = createProgressParser(scaleProgress(0, 50));
                     ffmpeg.stderr.on('data', (data) => {
                         stderr += data.toString();
+                        reportProgress(data);
                         console.log(data.toString().trim());
                     });
 
@@ -68,18 +90,22 @@ const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
                 }
 
                 const tempSrtPath = path.join(tempDir, 'temp.srt');
-                fs.copyFileSync(srtPath, tempSrtPath);
 
-                // Ensure SRT file is UTF-8 without BOM
-                const content = fs.readFileSync(tempSrtPath, 'utf8');
-                fs.writeFileSync(tempSrtPath, content, { encoding: 'utf8' });
+                // Rewritten as UTF-8 without BOM, with lines wrapped to the style's width
+                let content = fs.readFileSync(srtPath, 'utf8');
+                if (subtitleStyle.maxCharsPerLine) {
+                    content = formatSrt(parseSrt(content).map(cue => ({
+                        ...cue,
+                        text: wrapCueText(cue.text, subtitleStyle.maxCharsPerLine)
+                    })));
+                }
+                fs.writeFileSync(tempSrtPath, content.replace(/^\uFEFF/, ''), { encoding: 'utf8' });
 
                 const normalizedVideoPath = processedVideoPath.replace(/\\/g, '/');
                 const normalizedSrtPath = tempSrtPath.replace(/\\/g, '/');
                 const normalizedOutputPath = outputVideoPath.replace(/\\/g, '/');
 
-               const subtitleFilter = `subtitles='${normalizedSrtPath.replace(/:/g, '\\:').replace(/'/g, "\\'")}:force_style=FontName=Arial,FontSize=24,PrimaryColour=&HFFFFFF&,OutlineColour=&H000000&,Outline=2,BorderStyle=3'`;
-
+                const subtitleFilter = `subtitles='${normalizedSrtPath.replace(/:/g, '\\:').replace(/'/g, "\\'")}:force_style=${buildForceStyle(subtitleStyle)}'`;
 
                 const ffmpegArgs = [
                     '-i', normalizedVideoPath,
@@ -102,9 +128,13 @@ const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
                 const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
 
                 let stderr = "";
+                const reportProgress = createProgressParser(
+                    needsConversion ? scaleProgress(50, 50) : scaleProgress(0, 100)
+                );
                 ffmpeg.stderr.on("data", (data) => {
                     const msg = data.toString();
                     stderr += msg;
+                    reportProgress(data);
                     console.log(msg.trim()); // ✅ print all stderr for debugging
                 });
 
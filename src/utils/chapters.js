@@ -0,0 +1,59 @@
+const { formatTimestamp } = require("./subtitleFormats");
+
+const MAX_CHAPTERS = 100;
+const MAX_CHAPTER_TITLE_LENGTH = 100;
+// Players hide chapters shorter than this
+const MIN_CHAPTER_MS = 1000;
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// Validate [{ start, title }] (start in ms) against a video `durationMs` long.
+// Resolves the list sorted by start; an empty list removes the chapters.
+function normalizeChapters(chapters, durationMs) {
+  if (!Array.isArray(chapters)) {
+    throw badRequest("chapters must be a list of { start, title }");
+  }
+  if (chapters.length > MAX_CHAPTERS) {
+    throw badRequest(`A video can have at most ${MAX_CHAPTERS} chapters`);
+  }
+
+  const normalized = chapters.map((chapter, i) => {
+    const start = Number(chapter?.start);
+    const title = typeof chapter?.title === "string" ? chapter.title.replace(/\s+/g, " ").trim() : "";
+    if (!Number.isFinite(start) || start < 0 || (durationMs && start >= durationMs)) {
+      throw badRequest(`chapters[${i}].start must be a time within the video in milliseconds`);
+    }
+    if (!title || title.length > MAX_CHAPTER_TITLE_LENGTH) {
+      throw badRequest(`chapters[${i}].title must be between 1 and ${MAX_CHAPTER_TITLE_LENGTH} characters`);
+    }
+    return { start: Math.round(start), title };
+  }).sort((a, b) => a.start - b.start);
+
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].start - normalized[i - 1].start < MIN_CHAPTER_MS) {
+      throw badRequest(`Chapters must start at least ${MIN_CHAPTER_MS / 1000} second apart`);
+    }
+  }
+  return normalized;
+}
+
+// WebVTT chapters track: each chapter runs until the next one or the end
+function buildChaptersVtt(chapters, durationMs) {
+  const blocks = chapters.map((chapter, i) => {
+    const end = i + 1 < chapters.length ? chapters[i + 1].start : Math.max(durationMs, chapter.start + MIN_CHAPTER_MS);
+    return `${i + 1}\n${formatTimestamp(chapter.start, ".")} --> ${formatTimestamp(end, ".")}\n${chapter.title}`;
+  });
+  return `WEBVTT\n\n${blocks.join("\n\n")}\n`;
+}
+
+module.exports = {
+  MAX_CHAPTERS,
+  MAX_CHAPTER_TITLE_LENGTH,
+  MIN_CHAPTER_MS,
+  normalizeChapters,
+  buildChaptersVtt
+};
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const UploadSession = require("../models/uploadSession");
+
+// Dot-directory so express.static never serves partial uploads
+const CHUNKS_DIR = path.join(__dirname, "..", "uploads", ".chunks");
+
+// Append the request body to the session's partial file without letting it grow
+// past `maxBytes`. Whatever reached the disk counts, even if the connection drops
+// halfway, so callers should re-read the file size afterwards.
+async function appendChunk(stream, filePath, maxBytes) {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      const allowed = maxBytes - received;
+      if (chunk.length > allowed) {
+        if (allowed > 0) {
+          this.push(chunk.subarray(0, allowed));
+        }
+        received = maxBytes;
+        const err = new Error("Chunk is larger than the remaining upload size");
+        err.status = 413;
+        return callback(err);
+      }
+      received += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  await pipeline(stream, limiter, fs.createWriteStream(filePath, { flags: "a" }));
+  return received;
+}
+
+function getFileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+function computeFileChecksum(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (data) => hash.update(data))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+// Accepts "sha256:<hex>" or a bare hex digest
+function normalizeChecksum(value) {
+  if (!value || typeof value !== "string") {
+    return "";
+  }
+  const digest = value.trim().toLowerCase().replace(/^sha256:/, "");
+  return /^[a-f0-9]{64}$/.test(digest) ? digest : null;
+}
+
+// A finalize that has not finished by then was cut off by a restart
+const FINALIZE_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Drop sessions that were never finalized and remove their partial files
+async function expireStaleUploadSessions() {
+  const now = new Date();
+  const staleSessions = await UploadSession.find({
+    $or: [
+      { status: "active", expiresAt: { $lte: now } },
+      { status: "finalizing", expiresAt: { $lte: now }, updatedAt: { $lte: new Date(now - FINALIZE_TIMEOUT_MS) } }
+    ]
+  });
+
+  for (const session of staleSessions) {
+    await fs.promises.unlink(session.tempPath).catch(() => {});
+    session.status = "expired";
+    await session.save();
+  }
+
+  if (staleSessions.length) {
+    console.log(`Expired ${staleSessions.length} stale upload session(s)`);
+  }
+}
+
+module.exports = {
+  CHUNKS_DIR,
+  appendChunk,
+  getFileSize,
+  computeFileChecksum,
+  normalizeChecksum,
+  expireStaleUploadSessions
+};
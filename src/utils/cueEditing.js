@@ -0,0 +1,140 @@
+// Pure helpers for editing subtitle cues ({ start, end, text }, times in ms).
+// They throw errors with `status = 400` for invalid edits so routes can
+// pass the message straight back to the client.
+
+function invalidEdit(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function sortCues(cues) {
+  return [...cues].sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+function validateTiming(start, end) {
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    throw invalidEdit("start and end must be numbers of milliseconds");
+  }
+  if (start < 0) {
+    throw invalidEdit("start cannot be negative");
+  }
+  if (end <= start) {
+    throw invalidEdit("end must be after start");
+  }
+}
+
+// Apply a partial { start, end, text } update to one cue
+function updateCue(cue, changes = {}) {
+  const start = changes.start !== undefined ? Number(changes.start) : cue.start;
+  const end = changes.end !== undefined ? Number(changes.end) : cue.end;
+  validateTiming(start, end);
+
+  if (changes.text !== undefined && typeof changes.text !== "string") {
+    throw invalidEdit("text must be a string");
+  }
+  const text = changes.text !== undefined ? changes.text.trim() : cue.text;
+  if (!text) {
+    throw invalidEdit("text cannot be empty, delete the cue instead");
+  }
+
+  return { start, end, text };
+}
+
+// Split one cue at `at` ms. Without explicit texts the words are divided in
+// proportion to the time on each side of the split point.
+function splitCue(cue, at, texts) {
+  const splitAt = Number(at);
+  if (!Number.isFinite(splitAt) || splitAt <= cue.start || splitAt >= cue.end) {
+    throw invalidEdit("at must fall strictly inside the cue");
+  }
+
+  let firstText;
+  let secondText;
+  if (texts !== undefined) {
+    if (!Array.isArray(texts) || texts.length !== 2 || texts.some(text => typeof text !== "string" || !text.trim())) {
+      throw invalidEdit("texts must be two non-empty strings");
+    }
+    [firstText, secondText] = texts.map(text => text.trim());
+  } else {
+    const words = cue.text.split(/\s+/).filter(Boolean);
+    if (words.length < 2) {
+      throw invalidEdit("Cue has a single word, provide texts for both halves");
+    }
+    const ratio = (splitAt - cue.start) / (cue.end - cue.start);
+    const firstCount = Math.min(words.length - 1, Math.max(1, Math.round(words.length * ratio)));
+    firstText = words.slice(0, firstCount).join(" ");
+    secondText = words.slice(firstCount).join(" ");
+  }
+
+  return [
+    { start: cue.start, end: splitAt, text: firstText },
+    { start: splitAt, end: cue.end, text: secondText }
+  ];
+}
+
+// Merge cues that sit next to each other in timeline order into a single cue
+function mergeCues(cues, ids) {
+  if (!Array.isArray(ids) || ids.length < 2) {
+    throw invalidEdit("cueIds must list at least two cues");
+  }
+
+  const sorted = sortCues(cues);
+  const positions = ids
+    .map(id => sorted.findIndex(cue => String(cue._id) === String(id)))
+    .sort((a, b) => a - b);
+  if (positions.includes(-1)) {
+    throw invalidEdit("cueIds contains an unknown cue");
+  }
+  if (positions.some((position, i) => i > 0 && position !== positions[i - 1] + 1)) {
+    throw invalidEdit("Only adjacent cues can be merged");
+  }
+
+  const selected = positions.map(position => sorted[position]);
+  const merged = {
+    start: Math.min(...selected.map(cue => cue.start)),
+    end: Math.max(...selected.map(cue => cue.end)),
+    text: selected.map(cue => cue.text).join(" ")
+  };
+
+  return {
+    first: positions[0],
+    count: positions.length,
+    merged
+  };
+}
+
+// Move every cue starting inside [from, to) by `offset` ms
+function shiftCues(cues, offset, from = 0, to = Infinity) {
+  const delta = Number(offset);
+  if (!Number.isFinite(delta) || delta === 0) {
+    throw invalidEdit("offsetMs must be a non-zero number of milliseconds");
+  }
+  const rangeStart = Number(from);
+  const rangeEnd = to === undefined || to === null ? Infinity : Number(to);
+  if (!Number.isFinite(rangeStart) || Number.isNaN(rangeEnd) || rangeEnd <= rangeStart) {
+    throw invalidEdit("fromMs must be before toMs");
+  }
+
+  let shifted = 0;
+  const result = cues.map((cue) => {
+    if (cue.start < rangeStart || cue.start >= rangeEnd) {
+      return cue;
+    }
+    if (cue.start + delta < 0) {
+      throw invalidEdit("Shift would move a cue before the start of the video");
+    }
+    shifted++;
+    return { ...cue, start: cue.start + delta, end: cue.end + delta };
+  });
+
+  return { cues: result, shifted };
+}
+
+module.exports = {
+  sortCues,
+  updateCue,
+  splitCue,
+  mergeCues,
+  shiftCues
+};
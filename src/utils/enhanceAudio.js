@@ -0,0 +1,121 @@
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const ffmpegPath = require("ffmpeg-static");
+const { createProgressParser } = require("./ffmpegProgress");
+
+// Integrated loudness to normalize to, in LUFS
+const LOUDNESS_TARGET = parseFloat(process.env.AUDIO_LOUDNESS_TARGET) || -16;
+// Anything quieter than this counts as silence
+const SILENCE_THRESHOLD_DB = parseFloat(process.env.SILENCE_THRESHOLD_DB) || -35;
+
+const runFfmpeg = (ffmpegArgs, onProgress) => {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
+
+        let stderr = '';
+        const reportProgress = createProgressParser(onProgress);
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+            reportProgress(data);
+        });
+
+        ffmpeg.on('error', (err) => {
+            reject(new Error(`FFmpeg execution failed: ${err.message}`));
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                const err = new Error(`FFmpeg exited with code ${code}`);
+                err.stderr = stderr;
+                return reject(err);
+            }
+            resolve(stderr);
+        });
+    });
+};
+
+// Clean up the soundtrack of a video without touching the picture.
+// `noise` takes out rumble and steady background hiss (fans, laptop mics),
+// `loudness` brings speech to LOUDNESS_TARGET following EBU R128. The result
+// is an MKV, which holds whatever video codec the upload used.
+const enhanceAudio = async (videoPath, outputDir, { loudness = false, noise = false }, onProgress) => {
+    if (!fs.existsSync(videoPath)) {
+        throw new Error(`Video file not found: ${videoPath}`);
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const filters = [];
+    if (noise) {
+        filters.push('highpass=f=80', 'afftdn=nf=-25');
+    }
+    if (loudness) {
+        // loudnorm resamples to 192kHz internally, bring it back down afterwards
+        filters.push(`loudnorm=I=${LOUDNESS_TARGET}:TP=-1.5:LRA=11`, 'aresample=48000');
+    }
+    if (!filters.length) {
+        return videoPath;
+    }
+
+    const baseName = path.basename(videoPath, path.extname(videoPath));
+    const outputPath = path.join(outputDir, `${baseName}-clean.mkv`);
+
+    console.log(`🔊 Cleaning up audio of ${videoPath} (${filters.join(', ')})`);
+    await runFfmpeg([
+        '-i', videoPath,
+        '-map', '0:v:0',
+        '-map', '0:a:0',
+        '-c:v', 'copy',
+        '-af', filters.join(','),
+        '-c:a', 'aac',
+        '-b:a', '160k',
+        '-y',
+        outputPath
+    ], onProgress);
+
+    if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+        throw new Error("Cleaned-up video was not created");
+    }
+    return outputPath;
+};
+
+// Read ffmpeg's silencedetect report: [{ start, end }] in ms. A silence still
+// open when the audio ends runs to `durationMs`.
+const parseSilences = (stderr, durationMs) => {
+    const silences = [];
+    let start = null;
+    for (const line of stderr.split('\n')) {
+        const startMatch = /silence_start:\s*(-?[\d.]+)/.exec(line);
+        if (startMatch) {
+            start = Math.max(0, parseFloat(startMatch[1]) * 1000);
+            continue;
+        }
+        const endMatch = /silence_end:\s*([\d.]+)/.exec(line);
+        if (endMatch && start !== null) {
+            silences.push({ start: Math.round(start), end: Math.round(parseFloat(endMatch[1]) * 1000) });
+            start = null;
+        }
+    }
+    if (start !== null && durationMs > start) {
+        silences.push({ start: Math.round(start), end: durationMs });
+    }
+    return silences;
+};
+
+// Find stretches of at least `minMs` quieter than SILENCE_THRESHOLD_DB
+const detectSilences = async (audioPath, { minMs, durationMs }, onProgress) => {
+    if (!fs.existsSync(audioPath)) {
+        throw new Error(`Audio file not found: ${audioPath}`);
+    }
+
+    console.log(`🔇 Detecting silences in ${audioPath}`);
+    const stderr = await runFfmpeg([
+        '-i', audioPath,
+        '-af', `silencedetect=noise=${SILENCE_THRESHOLD_DB}dB:d=${minMs / 1000}`,
+        '-f', 'null',
+        '-'
+    ], onProgress);
+    return parseSilences(stderr, durationMs);
+};
+
+module.exports = { enhanceAudio, detectSilences, parseSilences };
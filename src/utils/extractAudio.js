@@ -2,11 +2,12 @@ const ffmpeg = require("fluent-ffmpeg");
 const ffmpegPath = require("ffmpeg-static");
 const path = require("path");
 const fs = require("fs");
+const { createProgressParser } = require("./ffmpegProgress");
 
 // Point fluent-ffmpeg to the static binary
 ffmpeg.setFfmpegPath(ffmpegPath);
 
-function extractAudioFromVideo(videoPath, outputDir) {
+function extractAudioFromVideo(videoPath, outputDir, onProgress) {
   return new Promise((resolve, reject) => {
     // Validate input video exists
     if (!fs.existsSync(videoPath)) {
@@ -21,6 +22,7 @@ function extractAudioFromVideo(videoPath, outputDir) {
     const timestamp = Date.now();
     const baseName = path.basename(videoPath, path.extname(videoPath));
     const audioPath = path.join(outputDir, `${baseName}-${timestamp}.wav`);
+    const reportProgress = createProgressParser(onProgress);
 
     ffmpeg(videoPath)
       .audioChannels(1)              // Mono audio (Whisper optimal)
@@ -31,6 +33,7 @@ function extractAudioFromVideo(videoPath, outputDir) {
       .on("start", (cmd) => {
         console.log(`Extracting audio with command: ${cmd}`);
       })
+      .on("stderr", reportProgress)
       .on("end", () => {
         console.log(`Audio extraction finished: ${audioPath}`);
         resolve(audioPath);
@@ -0,0 +1,44 @@
+// Convert an ffmpeg "HH:MM:SS.ms" timestamp into seconds
+function parseFfmpegTimestamp(value) {
+  const match = /(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(value || "");
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+// Build a stderr consumer that turns ffmpeg's "Duration:" and "time=" output
+// into a 0-100 percentage. Pass `totalSeconds` when the duration is already
+// known, otherwise it is read from the input header ffmpeg prints first.
+function createProgressParser(onProgress, totalSeconds = null) {
+  let duration = totalSeconds;
+  let lastPercent = -1;
+
+  return (chunk) => {
+    if (typeof onProgress !== "function") {
+      return;
+    }
+    const text = chunk.toString();
+
+    if (!duration) {
+      const durationMatch = /Duration:\s*(\d+:\d{2}:\d{2}(?:\.\d+)?)/.exec(text);
+      if (durationMatch) {
+        duration = parseFfmpegTimestamp(durationMatch[1]);
+      }
+    }
+
+    const timeMatches = text.match(/time=\s*\d+:\d{2}:\d{2}(?:\.\d+)?/g);
+    if (!timeMatches || !duration) {
+      return;
+    }
+
+    const current = parseFfmpegTimestamp(timeMatches[timeMatches.length - 1]);
+    const percent = Math.min(100, Math.max(0, Math.floor((current / duration) * 100)));
+    if (percent !== lastPercent) {
+      lastPercent = percent;
+      onProgress(percent);
+    }
+  };
+}
+
+module.exports = { parseFfmpegTimestamp, createProgressParser };
@@ -0,0 +1,52 @@
+const displayNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+// ISO 639-1 codes plus the few three-letter codes Whisper uses
+const EXTRA_CODES = ["haw", "yue"];
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,4})?$/;
+
+// "hi" -> "Hindi", falls back to the code itself for anything unknown
+function languageLabel(code) {
+  try {
+    return displayNames.of(code) || code;
+  } catch (err) {
+    return code;
+  }
+}
+
+// "Hindi" -> "hi", built once from every two-letter code Intl knows about
+let codesByName = null;
+function languageCodeFromName(name) {
+  if (!codesByName) {
+    codesByName = new Map();
+    const letters = "abcdefghijklmnopqrstuvwxyz";
+    const codes = [...letters].flatMap(first => [...letters].map(second => first + second));
+    for (const code of [...codes, ...EXTRA_CODES]) {
+      const label = languageLabel(code);
+      if (label !== code && !codesByName.has(label.toLowerCase())) {
+        codesByName.set(label.toLowerCase(), code);
+      }
+    }
+  }
+  return codesByName.get(String(name).trim().toLowerCase()) || null;
+}
+
+// Lowercased language code, or null if it does not look like one
+function normalizeLanguageCode(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const code = value.trim().toLowerCase();
+  return LANGUAGE_CODE_PATTERN.test(code) ? code : null;
+}
+
+// Accepts an array or a comma-separated string of codes
+function parseLanguageList(value) {
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  const codes = items.map(normalizeLanguageCode);
+  return codes.includes(null) ? null : [...new Set(codes)];
+}
+
+module.exports = { languageLabel, languageCodeFromName, normalizeLanguageCode, parseLanguageList };
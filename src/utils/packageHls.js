@@ -0,0 +1,173 @@
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const ffmpegPath = require("ffmpeg-static");
+const { createProgressParser } = require("./ffmpegProgress");
+const { probeMedia } = require("./probeMedia");
+
+// Highest rendition first. Renditions taller than the source are skipped.
+const HLS_LADDER = [
+    { name: "1080p", height: 1080, videoBitrate: 5000, maxRate: 5350, audioBitrate: 128 },
+    { name: "720p", height: 720, videoBitrate: 2800, maxRate: 2996, audioBitrate: 128 },
+    { name: "480p", height: 480, videoBitrate: 1400, maxRate: 1498, audioBitrate: 96 },
+    { name: "360p", height: 360, videoBitrate: 800, maxRate: 856, audioBitrate: 96 }
+];
+const SEGMENT_SECONDS = 6;
+// H.264 levels from 3.0 up: frame size and macroblock rate limits (Annex A).
+// Players check the level in CODECS, so it has to match what the encoder writes.
+const H264_LEVELS = [
+    { level: '3.0', idc: 30, maxFrameMbs: 1620, maxMbsPerSecond: 40500 },
+    { level: '3.1', idc: 31, maxFrameMbs: 3600, maxMbsPerSecond: 108000 },
+    { level: '3.2', idc: 32, maxFrameMbs: 5120, maxMbsPerSecond: 216000 },
+    { level: '4.0', idc: 40, maxFrameMbs: 8192, maxMbsPerSecond: 245760 },
+    { level: '4.2', idc: 42, maxFrameMbs: 8704, maxMbsPerSecond: 522240 },
+    { level: '5.0', idc: 50, maxFrameMbs: 22080, maxMbsPerSecond: 589824 },
+    { level: '5.1', idc: 51, maxFrameMbs: 36864, maxMbsPerSecond: 983040 },
+    { level: '5.2', idc: 52, maxFrameMbs: 36864, maxMbsPerSecond: 2073600 }
+];
+// Assumed when the source does not say, screen recordings often run at 60
+const FALLBACK_FRAME_RATE = 60;
+const MASTER_PLAYLIST = "master.m3u8";
+const VARIANT_PLAYLIST = "index.m3u8";
+
+// Pick the renditions that fit the source, keeping at least one
+const selectRenditions = (sourceHeight) => {
+    const renditions = HLS_LADDER.filter((rendition) => rendition.height <= sourceHeight);
+    if (renditions.length > 0) {
+        return renditions;
+    }
+    const smallest = HLS_LADDER[HLS_LADDER.length - 1];
+    // Even heights only, libx264 rejects odd dimensions
+    const height = sourceHeight - (sourceHeight % 2);
+    return [{ ...smallest, name: `${height}p`, height }];
+};
+
+// Lowest level that fits a width x height picture at `frameRate`
+const selectH264Level = (width, height, frameRate) => {
+    const widthMbs = Math.ceil(width / 16);
+    const heightMbs = Math.ceil(height / 16);
+    const frameMbs = widthMbs * heightMbs;
+    const mbsPerSecond = frameMbs * (frameRate || FALLBACK_FRAME_RATE);
+    const fits = (entry) => frameMbs <= entry.maxFrameMbs
+        && mbsPerSecond <= entry.maxMbsPerSecond
+        // Neither side may be longer than sqrt(8 * MaxFS) macroblocks
+        && Math.max(widthMbs, heightMbs) <= Math.sqrt(8 * entry.maxFrameMbs);
+    return H264_LEVELS.find(fits) || H264_LEVELS[H264_LEVELS.length - 1];
+};
+
+// Main profile with constraint_set1, as libx264 writes it: avc1.4d40<level>
+const h264Codec = (level) => `avc1.4d40${level.idc.toString(16).padStart(2, '0')}`;
+
+const encodeRendition = (videoPath, rendition, renditionDir, hasAudio, onProgress) => {
+    return new Promise((resolve, reject) => {
+        fs.mkdirSync(renditionDir, { recursive: true });
+
+        const ffmpegArgs = [
+            '-i', videoPath,
+            '-vf', `scale=-2:${rendition.height}`,
+            '-c:v', 'libx264',
+            '-preset', 'fast',
+            '-profile:v', 'main',
+            '-level', rendition.level.level,
+            '-b:v', `${rendition.videoBitrate}k`,
+            '-maxrate', `${rendition.maxRate}k`,
+            '-bufsize', `${rendition.videoBitrate * 2}k`,
+            // Keyframe on every segment boundary so renditions can be switched cleanly
+            '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+            '-sc_threshold', '0',
+            ...(hasAudio ? ['-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2'] : ['-an']),
+            '-f', 'hls',
+            '-hls_time', String(SEGMENT_SECONDS),
+            '-hls_playlist_type', 'vod',
+            '-hls_segment_filename', path.join(renditionDir, 'seg_%04d.ts'),
+            '-y',
+            path.join(renditionDir, VARIANT_PLAYLIST)
+        ];
+
+        console.log(`🎞️  Encoding HLS rendition ${rendition.name}`);
+        const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
+
+        let stderr = '';
+        const reportProgress = createProgressParser(onProgress);
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+            reportProgress(data);
+        });
+
+        ffmpeg.on('error', (err) => {
+            reject(new Error(`FFmpeg execution failed: ${err.message}`));
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                console.error(`❌ HLS encode of ${rendition.name} failed:\n`, stderr);
+                return reject(new Error(`FFmpeg exited with code ${code} while encoding ${rendition.name}`));
+            }
+            resolve();
+        });
+    });
+};
+
+const buildMasterPlaylist = (renditions) => {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const rendition of renditions) {
+        lines.push(
+            `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},CODECS="${rendition.codecs}"`,
+            `${rendition.name}/${VARIANT_PLAYLIST}`
+        );
+    }
+    return lines.join('\n') + '\n';
+};
+
+// Encode the video into an HLS ladder under `outputDir`:
+//   outputDir/master.m3u8
+//   outputDir/<rendition>/index.m3u8 + seg_0000.ts ...
+// Resolves with the renditions that were written.
+const packageHls = async (videoPath, outputDir, onProgress) => {
+    if (!fs.existsSync(videoPath)) {
+        throw new Error(`Video file not found: ${videoPath}`);
+    }
+
+    const source = await probeMedia(videoPath);
+    if (!source.hasVideo) {
+        throw new Error("No video stream found in input");
+    }
+    const renditions = selectRenditions(source.height);
+
+    // Start from a clean directory so stale renditions never linger in the master playlist
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const written = [];
+    for (const [index, entry] of renditions.entries()) {
+        const width = Math.round((source.width * entry.height) / source.height / 2) * 2;
+        const rendition = { ...entry, width, level: selectH264Level(width, entry.height, source.frameRate) };
+        const share = 100 / renditions.length;
+        await encodeRendition(
+            videoPath,
+            rendition,
+            path.join(outputDir, rendition.name),
+            source.hasAudio,
+            (percent) => {
+                if (typeof onProgress === 'function') {
+                    onProgress(Math.round(index * share + (percent * share) / 100));
+                }
+            }
+        );
+
+        const videoCodec = h264Codec(rendition.level);
+        written.push({
+            name: rendition.name,
+            width,
+            height: rendition.height,
+            bandwidth: (rendition.maxRate + (source.hasAudio ? rendition.audioBitrate : 0)) * 1000,
+            codecs: source.hasAudio ? `${videoCodec},mp4a.40.2` : videoCodec
+        });
+    }
+
+    fs.writeFileSync(path.join(outputDir, MASTER_PLAYLIST), buildMasterPlaylist(written), 'utf8');
+    console.log(`✅ HLS package written to: ${outputDir}`);
+    return written;
+};
+
+module.exports = { packageHls, selectH264Level, MASTER_PLAYLIST, VARIANT_PLAYLIST };
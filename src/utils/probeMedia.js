@@ -0,0 +1,95 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const ffprobePath = require("ffprobe-static").path;
+
+// "30000/1001" -> 29.97
+const parseRate = (value) => {
+    const [num, den] = String(value || '').split('/').map(Number);
+    if (!num) {
+        return null;
+    }
+    return Math.round((den ? num / den : num) * 100) / 100;
+};
+
+const toNumber = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// Phones store portrait video as landscape frames plus a rotation, which
+// ffmpeg applies when it decodes; 90 or 270 degrees swaps the sides
+const isQuarterTurn = (stream) => {
+    const matrix = (stream.side_data_list || []).find((data) => data.rotation !== undefined);
+    const rotation = Number(matrix ? matrix.rotation : stream.tags?.rotate) || 0;
+    return Math.abs(rotation) % 180 === 90;
+};
+
+// Read the container and stream details of a media file with ffprobe.
+// Resolves with { duration (seconds), width, height, frameRate, videoCodec,
+// audioCodec, bitrate (bits/s), size (bytes), container, hasVideo, hasAudio }.
+const probeMedia = (filePath) => {
+    return new Promise((resolve, reject) => {
+        if (!fs.existsSync(filePath)) {
+            return reject(new Error(`Media file not found: ${filePath}`));
+        }
+
+        execFile(ffprobePath, [
+            '-v', 'error',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            filePath
+        ], { maxBuffer: 10 * 1024 * 1024, windowsHide: true }, (err, stdout, stderr) => {
+            if (err) {
+                const probeError = new Error(`Could not read media file: ${(stderr || err.message).trim()}`);
+                probeError.unreadable = true;
+                return reject(probeError);
+            }
+
+            let info;
+            try {
+                info = JSON.parse(stdout);
+            } catch (parseError) {
+                return reject(new Error(`Unexpected ffprobe output: ${parseError.message}`));
+            }
+
+            const streams = info.streams || [];
+            const format = info.format || {};
+            // Cover art shows up as a video stream, it is not a picture that plays
+            const video = streams.find((stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+            const audio = streams.find((stream) => stream.codec_type === 'audio');
+            const turned = video && isQuarterTurn(video);
+
+            resolve({
+                duration: toNumber(format.duration) || toNumber(video?.duration) || toNumber(audio?.duration) || 0,
+                // As displayed, after rotation
+                width: video ? (turned ? video.height : video.width) : null,
+                height: video ? (turned ? video.width : video.height) : null,
+                frameRate: video ? parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate) : null,
+                videoCodec: video ? video.codec_name : null,
+                audioCodec: audio ? audio.codec_name : null,
+                bitrate: toNumber(format.bit_rate),
+                size: toNumber(format.size) || fs.statSync(filePath).size,
+                container: format.format_name || null,
+                hasVideo: Boolean(video),
+                hasAudio: Boolean(audio)
+            });
+        });
+    });
+};
+
+// The subset of a probe result stored as `video.media`
+const toMediaInfo = (probe) => ({
+    width: probe.width,
+    height: probe.height,
+    frameRate: probe.frameRate,
+    videoCodec: probe.videoCodec,
+    audioCodec: probe.audioCodec,
+    bitrate: probe.bitrate,
+    size: probe.size,
+    container: probe.container,
+    hasAudio: probe.hasAudio,
+    probedAt: new Date()
+});
+
+module.exports = { probeMedia, toMediaInfo };
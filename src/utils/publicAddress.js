@@ -0,0 +1,102 @@
+const dns = require("dns");
+const net = require("net");
+
+// Keeps server-side requests to user-supplied URLs (webhooks) away from this
+// machine, the private network and cloud metadata endpoints.
+// WEBHOOK_ALLOW_PRIVATE_URLS=true lifts it for local development only.
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true" && process.env.NODE_ENV !== "production";
+
+const blocked = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, "ipv6"));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  if (family === 6) {
+    // IPv4-mapped addresses (::ffff:10.0.0.1) reach the IPv4 host
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+      return isPublicAddress(mapped[1]);
+    }
+  }
+  return !blocked.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+function blockedAddressError(hostname) {
+  const err = new Error(`${hostname} resolves to a private or local address`);
+  err.code = "EADDRBLOCKED";
+  return err;
+}
+
+// Drop-in for dns.lookup that refuses non-public answers. Given to http(s)
+// requests it checks the very address connected to, so a host cannot pass
+// the check and then re-resolve somewhere internal.
+function publicLookup(hostname, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+    if (!ALLOW_PRIVATE && (!addresses.length || addresses.some(entry => !isPublicAddress(entry.address)))) {
+      return callback(blockedAddressError(hostname));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves with null when `url` points at public addresses only, otherwise
+// with the reason it does not
+async function checkPublicUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  } catch (err) {
+    return "url is not a valid URL";
+  }
+  if (ALLOW_PRIVATE) {
+    return null;
+  }
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : "url must not point at a private or local address";
+  }
+  try {
+    await new Promise((resolve, reject) => {
+      publicLookup(hostname, { all: true }, (err) => (err ? reject(err) : resolve()));
+    });
+    return null;
+  } catch (err) {
+    return err.code === "EADDRBLOCKED"
+      ? "url must not point at a private or local address"
+      : `url host could not be resolved (${err.code || err.message})`;
+  }
+}
+
+module.exports = { isPublicAddress, publicLookup, checkPublicUrl };
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const User = require("../models/user");
+const Video = require("../models/video");
+const UploadSession = require("../models/uploadSession");
+const ProcessingUsage = require("../models/processingUsage");
+const { PLANS, DEFAULT_PLAN } = require("../config/plans");
+const { getStorage } = require("../services/storage");
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+
+const monthOf = (date) => date.toISOString().slice(0, 7);
+
+// First moment of the next UTC month, when processing minutes start over
+const nextMonthStart = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+async function getPlan(userId) {
+  const user = await User.findById(userId).select("plan").lean();
+  const name = user && PLANS[user.plan] ? user.plan : DEFAULT_PLAN;
+  return { name, ...PLANS[name] };
+}
+
+// Current usage. Storage is what measureVideoStorage found for each video,
+// or the playable file's size for videos not measured yet. Active chunked
+// uploads reserve their declared size so parallel sessions cannot overshoot
+// the storage limit together.
+async function getUsage(userId, { excludeSession } = {}) {
+  const owner = new mongoose.Types.ObjectId(String(userId));
+  const [storage, videos, sessions, processing] = await Promise.all([
+    Video.aggregate([
+      { $match: { owner } },
+      { $group: { _id: null, bytes: { $sum: { $ifNull: ["$storageBytes", { $ifNull: ["$media.size", 0] }] } } } }
+    ]),
+    Video.countDocuments({ owner, deletedAt: null }),
+    UploadSession.aggregate([
+      { $match: { owner, status: { $in: ["active", "finalizing"] }, expiresAt: { $gt: new Date() }, ...(excludeSession ? { _id: { $ne: excludeSession } } : {}) } },
+      { $group: { _id: null, bytes: { $sum: "$size" }, count: { $sum: 1 } } }
+    ]),
+    ProcessingUsage.findOne({ user: owner, month: monthOf(new Date()) }).lean()
+  ]);
+
+  return {
+    storageBytes: storage[0]?.bytes || 0,
+    reservedBytes: sessions[0]?.bytes || 0,
+    pendingUploads: sessions[0]?.count || 0,
+    videos,
+    processingMinutes: Math.round(((processing?.seconds || 0) / 60) * 10) / 10
+  };
+}
+
+const exceeded = (quota, error, limit) => ({ status: 403, quota, error, limit });
+
+// Response body for a quota error
+const formatQuotaError = ({ quota, error, limit }) => ({ error, quota, limit, usageUrl: `${BASE_URL}/api/usage` });
+
+// Whether `durationSeconds` more processing fits this month's minutes.
+// Resolves with null when it fits, otherwise { status, quota, error, limit }.
+async function checkProcessingQuota(userId, durationSeconds, plan = null) {
+  plan = plan || await getPlan(userId);
+  if (plan.processingMinutesPerMonth === null) {
+    return null;
+  }
+  const { processingMinutes } = await getUsage(userId);
+  if (processingMinutes + durationSeconds / 60 > plan.processingMinutesPerMonth) {
+    return exceeded("processingMinutesPerMonth", `This would go over the ${plan.processingMinutesPerMonth} processing minutes of the ${plan.label} plan this month`, plan.processingMinutesPerMonth);
+  }
+  return null;
+}
+
+// Whether one more video fits the user's plan. `size` (bytes) and
+// `durationSeconds` are checked when known. Resolves with null when it fits,
+// otherwise { status, quota, error, limit }.
+async function checkUploadQuota(userId, { size = 0, durationSeconds = null, excludeSession = null } = {}) {
+  const plan = await getPlan(userId);
+
+  if (durationSeconds !== null && plan.maxVideoSeconds !== null && durationSeconds > plan.maxVideoSeconds) {
+    return exceeded("maxVideoSeconds", `Videos on the ${plan.label} plan can be at most ${Math.floor(plan.maxVideoSeconds / 60)} minutes long`, plan.maxVideoSeconds);
+  }
+
+  const usage = await getUsage(userId, { excludeSession });
+  if (plan.videos !== null && usage.videos + usage.pendingUploads >= plan.videos) {
+    return exceeded("videos", `The ${plan.label} plan allows ${plan.videos} videos, delete some or upgrade`, plan.videos);
+  }
+  if (plan.storageBytes !== null && usage.storageBytes + usage.reservedBytes + size > plan.storageBytes) {
+    return exceeded("storageBytes", `Not enough storage left on the ${plan.label} plan for this video`, plan.storageBytes);
+  }
+  if (durationSeconds !== null) {
+    return checkProcessingQuota(userId, durationSeconds, plan);
+  }
+  return null;
+}
+
+// Count processing against this month's minutes. Re-renders, edits,
+// translations and summaries of an existing video pass { newVideo: false }.
+async function recordProcessing(userId, durationSeconds, { newVideo = true } = {}) {
+  await ProcessingUsage.updateOne(
+    { user: userId, month: monthOf(new Date()) },
+    { $inc: { seconds: Math.ceil(durationSeconds || 0), videos: newVideo ? 1 : 0 } },
+    { upsert: true }
+  );
+}
+
+// Bytes of every file stored for a video: playable and clean copies, the
+// unedited original, posters, HLS renditions and storyboard sheets
+async function measureVideoStorage(video, storage = getStorage()) {
+  const keys = new Set([
+    video.videoKey,
+    video.sourceKey,
+    video.thumbnailKey,
+    video.edit?.original?.videoKey,
+    video.edit?.original?.sourceKey,
+    ...(video.thumbnailCandidates || []).map(candidate => candidate.key)
+  ].filter(Boolean));
+  const prefixes = [video.hls?.prefix, video.storyboard?.prefix].filter(Boolean);
+
+  const sizes = await Promise.all([
+    ...[...keys].map(async key => (await storage.stat(key))?.size || 0),
+    ...prefixes.map(prefix => storage.sizeOfPrefix(prefix))
+  ]);
+  return sizes.reduce((sum, size) => sum + size, 0);
+}
+
+// Measure again after a job added or replaced files. Usage figures are not
+// worth failing a job over, so errors are only logged.
+async function refreshVideoStorage(videoId) {
+  try {
+    const video = await Video.findById(videoId).lean();
+    if (video) {
+      await Video.updateOne({ _id: video._id }, { $set: { storageBytes: await measureVideoStorage(video) } });
+    }
+  } catch (err) {
+    console.error(`Failed to measure storage of video ${videoId}:`, err.message);
+  }
+}
+
+module.exports = {
+  monthOf,
+  nextMonthStart,
+  getPlan,
+  getUsage,
+  formatQuotaError,
+  checkProcessingQuota,
+  checkUploadQuota,
+  recordProcessing,
+  measureVideoStorage,
+  refreshVideoStorage
+};
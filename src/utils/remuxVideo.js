@@ -0,0 +1,76 @@
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const ffmpegPath = require("ffmpeg-static");
+const { createProgressParser } = require("./ffmpegProgress");
+
+const runFfmpeg = (ffmpegArgs, onProgress) => {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
+
+        let stderr = '';
+        const reportProgress = createProgressParser(onProgress);
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+            reportProgress(data);
+        });
+
+        ffmpeg.on('error', (err) => {
+            reject(new Error(`FFmpeg execution failed: ${err.message}`));
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                const err = new Error(`FFmpeg exited with code ${code}`);
+                err.stderr = stderr;
+                return reject(err);
+            }
+            resolve();
+        });
+    });
+};
+
+// Put the video into an MP4 container without touching the picture.
+// Streams are copied when MP4 can hold them (h264/hevc/vp9 + aac/opus);
+// anything else, e.g. VP8 from older browser recorders, is transcoded instead.
+const remuxToMp4 = async (videoPath, outputDir, onProgress) => {
+    if (!fs.existsSync(videoPath)) {
+        throw new Error(`Video file not found: ${videoPath}`);
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const baseName = path.basename(videoPath, path.extname(videoPath));
+    const outputPath = path.join(outputDir, `${baseName}-remuxed.mp4`);
+
+    try {
+        console.log(`📦 Remuxing ${videoPath} to MP4`);
+        await runFfmpeg([
+            '-i', videoPath,
+            '-map', '0:v:0',
+            '-map', '0:a?',
+            '-c', 'copy',
+            '-movflags', '+faststart',
+            '-y',
+            outputPath
+        ], onProgress);
+    } catch (copyError) {
+        console.warn('Stream copy into MP4 failed, transcoding instead:', copyError.message);
+        await runFfmpeg([
+            '-i', videoPath,
+            '-c:v', 'libx264',
+            '-preset', 'fast',
+            '-crf', '23',
+            '-c:a', 'aac',
+            '-movflags', '+faststart',
+            '-y',
+            outputPath
+        ], onProgress);
+    }
+
+    if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+        throw new Error("Remuxed MP4 was not created");
+    }
+    return outputPath;
+};
+
+module.exports = { remuxToMp4 };
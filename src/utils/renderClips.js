@@ -0,0 +1,102 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const ffmpegPath = require("ffmpeg-static");
+const { createProgressParser } = require("./ffmpegProgress");
+
+const AUDIO_SAMPLE_RATE = 48000;
+
+const runFfmpeg = (ffmpegArgs, onProgress, totalSeconds) => {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
+
+        let stderr = '';
+        const reportProgress = createProgressParser(onProgress, totalSeconds);
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+            reportProgress(data);
+        });
+
+        ffmpeg.on('error', (err) => {
+            reject(new Error(`FFmpeg execution failed: ${err.message}`));
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                const err = new Error(`FFmpeg exited with code ${code}`);
+                err.stderr = stderr;
+                return reject(err);
+            }
+            resolve();
+        });
+    });
+};
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// Cut clips out of their files and join them, in order, into one H.264/AAC MP4.
+// clips: [{ path, start, end (ms), hasAudio }]. Every clip is scaled and padded
+// to `width` x `height` at `frameRate` so clips from different recordings fit
+// together; clips without sound get silence when any other clip has audio.
+const renderClips = async (clips, outputPath, { width, height, frameRate = 30 }, onProgress) => {
+    if (!clips.length) {
+        throw new Error("Nothing to render, no clips given");
+    }
+    for (const clip of clips) {
+        if (!fs.existsSync(clip.path)) {
+            throw new Error(`Video file not found: ${clip.path}`);
+        }
+    }
+
+    const outWidth = even(width);
+    const outHeight = even(height);
+    const withAudio = clips.some((clip) => clip.hasAudio);
+
+    const inputs = [];
+    const filters = [];
+    const concatInputs = [];
+    clips.forEach((clip, i) => {
+        const seconds = (clip.end - clip.start) / 1000;
+        // Seeking before -i is fast and, since everything is re-encoded, frame accurate
+        inputs.push('-ss', String(clip.start / 1000), '-t', String(seconds), '-i', clip.path);
+
+        filters.push(
+            `[${i}:v:0]scale=${outWidth}:${outHeight}:force_original_aspect_ratio=decrease,` +
+            `pad=${outWidth}:${outHeight}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${frameRate},` +
+            `format=yuv420p,setpts=PTS-STARTPTS[v${i}]`
+        );
+        concatInputs.push(`[v${i}]`);
+
+        if (withAudio) {
+            // Audio is padded or cut to the clip length so the picture stays in sync
+            filters.push(clip.hasAudio
+                ? `[${i}:a:0]aformat=sample_rates=${AUDIO_SAMPLE_RATE}:channel_layouts=stereo,` +
+                  `asetpts=PTS-STARTPTS,apad,atrim=0:${seconds}[a${i}]`
+                : `anullsrc=r=${AUDIO_SAMPLE_RATE}:cl=stereo,atrim=0:${seconds}[a${i}]`);
+            concatInputs.push(`[a${i}]`);
+        }
+    });
+    filters.push(`${concatInputs.join('')}concat=n=${clips.length}:v=1:a=${withAudio ? 1 : 0}[v]${withAudio ? '[a]' : ''}`);
+
+    const totalSeconds = clips.reduce((sum, clip) => sum + (clip.end - clip.start) / 1000, 0);
+    console.log(`✂️  Rendering ${clips.length} clip(s), ${totalSeconds.toFixed(1)}s in total`);
+
+    await runFfmpeg([
+        ...inputs,
+        '-filter_complex', filters.join(';'),
+        '-map', '[v]',
+        ...(withAudio ? ['-map', '[a]', '-c:a', 'aac', '-b:a', '128k'] : ['-an']),
+        '-c:v', 'libx264',
+        '-preset', 'fast',
+        '-crf', '23',
+        '-movflags', '+faststart',
+        '-y',
+        outputPath
+    ], onProgress, totalSeconds);
+
+    if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+        throw new Error("Edited video was not created");
+    }
+    return outputPath;
+};
+
+module.exports = { renderClips };
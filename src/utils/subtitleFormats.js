@@ -0,0 +1,85 @@
+// Parse and write SRT / WebVTT. Cue times are kept in milliseconds.
+
+const TIMESTAMP_PATTERN = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/;
+
+function parseTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, hours = "0", minutes, seconds, millis] = match;
+  return (
+    parseInt(hours, 10) * 3600000 +
+    parseInt(minutes, 10) * 60000 +
+    parseInt(seconds, 10) * 1000 +
+    parseInt(millis.padEnd(3, "0"), 10)
+  );
+}
+
+function formatTimestamp(ms, separator = ",") {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+// Returns [{ index, start, end, text }], skipping blocks without a valid timing line
+function parseSrt(content = "") {
+  const blocks = content
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.trim().split("\n");
+    const timingIndex = lines.findIndex(line => line.includes("-->"));
+    if (timingIndex === -1) {
+      continue;
+    }
+
+    const [startText, endText] = lines[timingIndex].split("-->");
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (start === null || end === null) {
+      continue;
+    }
+
+    cues.push({
+      index: cues.length + 1,
+      start,
+      end,
+      text: lines.slice(timingIndex + 1).join("\n").trim()
+    });
+  }
+  return cues;
+}
+
+function formatSrt(cues = []) {
+  return cues
+    .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}\n`)
+    .join("\n");
+}
+
+function formatVtt(cues = []) {
+  const body = cues
+    .map(cue => `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${cue.text}\n`)
+    .join("\n");
+  return `WEBVTT\n\n${body}`;
+}
+
+function srtToVtt(content) {
+  return formatVtt(parseSrt(content));
+}
+
+module.exports = {
+  parseTimestamp,
+  formatTimestamp,
+  parseSrt,
+  formatSrt,
+  formatVtt,
+  srtToVtt
+};
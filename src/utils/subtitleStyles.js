@@ -0,0 +1,171 @@
+// How burned-in captions look. A style is a plain object of the fields below;
+// every value is checked here before it reaches the ffmpeg filter string, and
+// invalid styles throw errors with `status = 400` like the other edit helpers.
+// Sizes and margins are in libass script pixels, where the frame is 288 high.
+
+const POSITIONS = ["bottom", "middle", "top"];
+const ALIGNMENTS = ["left", "center", "right"];
+const BACKGROUNDS = ["box", "none"];
+
+// Matches what burning looked like before styles could be chosen
+const DEFAULT_SUBTITLE_STYLE = Object.freeze({
+  font: "Arial",
+  fontSize: 24,
+  primaryColor: "#FFFFFF",
+  outlineColor: "#000000",
+  outlineWidth: 2,
+  background: "box",
+  backgroundColor: "#000000",
+  backgroundOpacity: 1,
+  position: "bottom",
+  alignment: "center",
+  marginVertical: 10,
+  marginHorizontal: 10,
+  // 0 leaves lines as transcribed
+  maxCharsPerLine: 0
+});
+
+function invalidStyle(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Letters, digits, spaces and dashes only, so a name cannot close the filter's quoting
+const FONT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 -]{0,49}$/;
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+const numberIn = (min, max, integer) => (value, key) => {
+  const number = Number(value);
+  if (value === null || value === "" || !Number.isFinite(number) || number < min || number > max
+    || (integer && !Number.isInteger(number))) {
+    throw invalidStyle(`${key} must be ${integer ? "a whole number" : "a number"} from ${min} to ${max}`);
+  }
+  return number;
+};
+
+const oneOf = (values) => (value, key) => {
+  if (!values.includes(value)) {
+    throw invalidStyle(`${key} must be one of: ${values.join(", ")}`);
+  }
+  return value;
+};
+
+const color = (value, key) => {
+  if (typeof value !== "string" || !COLOR_PATTERN.test(value)) {
+    throw invalidStyle(`${key} must be a hex color such as "#FFFFFF"`);
+  }
+  return value.toUpperCase();
+};
+
+const FIELDS = {
+  font: (value, key) => {
+    const font = typeof value === "string" ? value.trim() : "";
+    if (!FONT_PATTERN.test(font)) {
+      throw invalidStyle(`${key} must be a font name of letters, digits, spaces and dashes`);
+    }
+    return font;
+  },
+  fontSize: numberIn(8, 72, true),
+  primaryColor: color,
+  outlineColor: color,
+  outlineWidth: numberIn(0, 8, false),
+  background: oneOf(BACKGROUNDS),
+  backgroundColor: color,
+  backgroundOpacity: numberIn(0, 1, false),
+  position: oneOf(POSITIONS),
+  alignment: oneOf(ALIGNMENTS),
+  marginVertical: numberIn(0, 200, true),
+  marginHorizontal: numberIn(0, 200, true),
+  maxCharsPerLine: (value, key) => {
+    const number = Number(value);
+    if (number !== 0 && !(Number.isInteger(number) && number >= 10 && number <= 100)) {
+      throw invalidStyle(`${key} must be 0 (no wrapping) or a whole number from 10 to 100`);
+    }
+    return number;
+  }
+};
+
+const SUBTITLE_STYLE_FIELDS = Object.keys(FIELDS);
+
+// Full style from `changes` laid over `base`; unknown fields are refused
+function normalizeSubtitleStyle(changes, base = DEFAULT_SUBTITLE_STYLE) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw invalidStyle("style must be an object");
+  }
+  const unknown = Object.keys(changes).filter(key => !FIELDS[key]);
+  if (unknown.length) {
+    throw invalidStyle(`Unknown style fields: ${unknown.join(", ")}`);
+  }
+
+  const style = {};
+  for (const key of SUBTITLE_STYLE_FIELDS) {
+    const value = changes[key] !== undefined ? changes[key] : (base || {})[key];
+    style[key] = FIELDS[key](value !== undefined ? value : DEFAULT_SUBTITLE_STYLE[key], key);
+  }
+  return style;
+}
+
+// "#RRGGBB" plus opacity to libass' &HAABBGGRR, where alpha 00 is opaque
+function assColor(hex, opacity = 1) {
+  const alpha = Math.round((1 - opacity) * 255);
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+  return `&H${alpha.toString(16).padStart(2, "0")}${b}${g}${r}`.toUpperCase();
+}
+
+// Numpad layout: 1-3 along the bottom, 4-6 in the middle, 7-9 at the top
+const ROW_BASE = { bottom: 1, middle: 4, top: 7 };
+const assAlignment = (style) => ROW_BASE[style.position] + ALIGNMENTS.indexOf(style.alignment);
+
+// force_style value for ffmpeg's subtitles filter. libass draws the box in
+// place of the outline, so with a box outlineWidth is its padding instead.
+function buildForceStyle(input) {
+  const style = normalizeSubtitleStyle(input || {});
+  const boxed = style.background === "box";
+  return [
+    `FontName=${style.font}`,
+    `FontSize=${style.fontSize}`,
+    `PrimaryColour=${assColor(style.primaryColor)}`,
+    `OutlineColour=${boxed ? assColor(style.backgroundColor, style.backgroundOpacity) : assColor(style.outlineColor)}`,
+    `BackColour=${assColor(style.backgroundColor, style.backgroundOpacity)}`,
+    `BorderStyle=${boxed ? 3 : 1}`,
+    `Outline=${style.outlineWidth}`,
+    "Shadow=0",
+    `Alignment=${assAlignment(style)}`,
+    `MarginV=${style.marginVertical}`,
+    `MarginL=${style.marginHorizontal}`,
+    `MarginR=${style.marginHorizontal}`
+  ].join(",");
+}
+
+// Break each line at spaces so none is longer than `maxChars` where possible;
+// single words longer than that are left whole
+function wrapCueText(text, maxChars) {
+  if (!maxChars) {
+    return text;
+  }
+  return text.split("\n").map((line) => {
+    const lines = [];
+    let current = "";
+    for (const word of line.split(/\s+/).filter(Boolean)) {
+      if (current && current.length + 1 + word.length > maxChars) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    if (current) {
+      lines.push(current);
+    }
+    return lines.join("\n");
+  }).join("\n");
+}
+
+module.exports = {
+  DEFAULT_SUBTITLE_STYLE,
+  SUBTITLE_STYLE_FIELDS,
+  normalizeSubtitleStyle,
+  buildForceStyle,
+  wrapCueText
+};
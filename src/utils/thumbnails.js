@@ -0,0 +1,224 @@
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const ffmpegPath = require("ffmpeg-static");
+const { probeMedia } = require("./probeMedia");
+const { formatTimestamp } = require("./subtitleFormats");
+
+const POSTER_WIDTH = 1280;
+const CANDIDATE_COUNT = 6;
+// Frames are scored on a small grayscale copy, detail at this size is enough
+const SCORE_WIDTH = 160;
+const SCORE_HEIGHT = 90;
+const MIN_BRIGHTNESS = 24;
+const MAX_BRIGHTNESS = 235;
+const MIN_CONTRAST = 12;
+
+const STORYBOARD_TILE_WIDTH = 160;
+const STORYBOARD_COLUMNS = 10;
+const STORYBOARD_ROWS = 10;
+const STORYBOARD_MIN_INTERVAL = 2;
+const STORYBOARD_MAX_FRAMES = 400;
+
+const runFfmpeg = (ffmpegArgs, { collectStdout = false } = {}) => {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
+
+        let stderr = '';
+        const stdout = [];
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        if (collectStdout) {
+            ffmpeg.stdout.on('data', (data) => stdout.push(data));
+        }
+
+        ffmpeg.on('error', (err) => {
+            reject(new Error(`FFmpeg execution failed: ${err.message}`));
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                const err = new Error(`FFmpeg exited with code ${code}`);
+                err.stderr = stderr;
+                return reject(err);
+            }
+            resolve(Buffer.concat(stdout));
+        });
+    });
+};
+
+// Grab one frame at `seconds` as a JPEG, scaled down to `width` when larger
+const extractFrame = async (videoPath, seconds, outputPath, width = POSTER_WIDTH) => {
+    await runFfmpeg([
+        '-ss', String(Math.max(0, seconds)),
+        '-i', videoPath,
+        '-frames:v', '1',
+        '-vf', `scale='min(${width},iw)':-2`,
+        '-q:v', '3',
+        '-y',
+        outputPath
+    ]);
+    if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+        throw new Error(`No frame could be read at ${seconds}s`);
+    }
+    return outputPath;
+};
+
+// Brightness, contrast and sharpness (variance of the Laplacian) of an image
+const scoreFrame = async (imagePath) => {
+    const pixels = await runFfmpeg([
+        '-i', imagePath,
+        '-vf', `scale=${SCORE_WIDTH}:${SCORE_HEIGHT},format=gray`,
+        '-f', 'rawvideo',
+        '-'
+    ], { collectStdout: true });
+
+    const count = SCORE_WIDTH * SCORE_HEIGHT;
+    if (pixels.length < count) {
+        throw new Error("Could not decode frame for scoring");
+    }
+
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < count; i++) {
+        sum += pixels[i];
+        sumSquares += pixels[i] * pixels[i];
+    }
+    const brightness = sum / count;
+    const contrast = Math.sqrt(Math.max(0, sumSquares / count - brightness * brightness));
+
+    let lapSum = 0;
+    let lapSquares = 0;
+    let lapCount = 0;
+    for (let y = 1; y < SCORE_HEIGHT - 1; y++) {
+        for (let x = 1; x < SCORE_WIDTH - 1; x++) {
+            const i = y * SCORE_WIDTH + x;
+            const laplacian = pixels[i - 1] + pixels[i + 1] + pixels[i - SCORE_WIDTH] + pixels[i + SCORE_WIDTH] - 4 * pixels[i];
+            lapSum += laplacian;
+            lapSquares += laplacian * laplacian;
+            lapCount++;
+        }
+    }
+    const lapMean = lapSum / lapCount;
+    const sharpness = lapSquares / lapCount - lapMean * lapMean;
+
+    const usable = brightness >= MIN_BRIGHTNESS && brightness <= MAX_BRIGHTNESS && contrast >= MIN_CONTRAST;
+    return {
+        brightness: Math.round(brightness),
+        sharpness: Math.round(sharpness),
+        // Black, white and flat frames sort below every usable one
+        score: usable ? Math.round(sharpness) : -1
+    };
+};
+
+// Evenly spaced frames between 10% and 90% of the video, each scored.
+// Resolves with [{ index, time (ms), path, brightness, sharpness, score }].
+const extractCandidateFrames = async (videoPath, outputDir, count = CANDIDATE_COUNT) => {
+    const { duration } = await probeMedia(videoPath);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const length = duration || 0;
+    const candidates = [];
+    for (let index = 0; index < count; index++) {
+        const seconds = length ? length * (0.1 + (0.8 * index) / Math.max(1, count - 1)) : index;
+        const framePath = path.join(outputDir, `candidate-${index}.jpg`);
+        try {
+            await extractFrame(videoPath, seconds, framePath);
+            const scores = await scoreFrame(framePath);
+            candidates.push({ index, time: Math.round(seconds * 1000), path: framePath, ...scores });
+        } catch (err) {
+            console.warn(`Skipping thumbnail candidate at ${seconds.toFixed(1)}s:`, err.message);
+        }
+    }
+
+    if (!candidates.length) {
+        throw new Error("No thumbnail candidates could be extracted");
+    }
+    return candidates;
+};
+
+// The sharpest usable frame, or the sharpest of all when every frame is dark or flat
+const pickPoster = (candidates) => {
+    const usable = candidates.filter((candidate) => candidate.score >= 0);
+    const pool = usable.length ? usable : candidates;
+    return pool.reduce((best, candidate) => (candidate.sharpness > best.sharpness ? candidate : best));
+};
+
+// Sprite sheets of STORYBOARD_COLUMNS x STORYBOARD_ROWS tiles, one tile every
+// `interval` seconds, written as storyboard_001.jpg, storyboard_002.jpg, ...
+const generateStoryboard = async (videoPath, outputDir) => {
+    const source = await probeMedia(videoPath);
+    if (!source.hasVideo) {
+        throw new Error("No video stream found in input");
+    }
+    if (!source.duration) {
+        throw new Error("Video duration is unknown, cannot build a storyboard");
+    }
+
+    const interval = Math.max(STORYBOARD_MIN_INTERVAL, Math.ceil(source.duration / STORYBOARD_MAX_FRAMES));
+    const frames = Math.max(1, Math.ceil(source.duration / interval));
+    const tileWidth = STORYBOARD_TILE_WIDTH;
+    const tileHeight = Math.max(2, Math.round((tileWidth * source.height) / source.width / 2) * 2);
+
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    console.log(`🖼️  Building storyboard: ${frames} frames, one every ${interval}s`);
+    await runFfmpeg([
+        '-i', videoPath,
+        '-an',
+        '-vf', `fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${STORYBOARD_COLUMNS}x${STORYBOARD_ROWS}`,
+        '-q:v', '5',
+        '-y',
+        path.join(outputDir, 'storyboard_%03d.jpg')
+    ]);
+
+    const sheets = fs.readdirSync(outputDir).filter((file) => /^storyboard_\d{3}\.jpg$/.test(file)).sort();
+    if (!sheets.length) {
+        throw new Error("Storyboard sprite sheets were not created");
+    }
+
+    return {
+        interval,
+        frames,
+        duration: source.duration,
+        tileWidth,
+        tileHeight,
+        columns: STORYBOARD_COLUMNS,
+        rows: STORYBOARD_ROWS,
+        sheets
+    };
+};
+
+// WebVTT thumbnails track: one cue per tile pointing at its region of a sheet.
+// `sheetUrl(name)` turns a sheet file name into the URL the player should load.
+const buildStoryboardVtt = (storyboard, sheetUrl) => {
+    const perSheet = storyboard.columns * storyboard.rows;
+    const lines = ['WEBVTT', ''];
+    for (let frame = 0; frame < storyboard.frames; frame++) {
+        const sheet = storyboard.sheets[Math.floor(frame / perSheet)];
+        if (!sheet) break;
+        const position = frame % perSheet;
+        const x = (position % storyboard.columns) * storyboard.tileWidth;
+        const y = Math.floor(position / storyboard.columns) * storyboard.tileHeight;
+        const start = frame * storyboard.interval * 1000;
+        const end = Math.min((frame + 1) * storyboard.interval, storyboard.duration) * 1000;
+
+        lines.push(
+            `${formatTimestamp(start, '.')} --> ${formatTimestamp(Math.max(end, start + 1), '.')}`,
+            `${sheetUrl(sheet)}#xywh=${x},${y},${storyboard.tileWidth},${storyboard.tileHeight}`,
+            ''
+        );
+    }
+    return lines.join('\n');
+};
+
+module.exports = {
+    extractFrame,
+    scoreFrame,
+    extractCandidateFrames,
+    pickPoster,
+    generateStoryboard,
+    buildStoryboardVtt
+};
@@ -0,0 +1,150 @@
+// Pure helpers for trim/cut/stitch edits. A clip is { video, start, end } with
+// times in ms on the unedited timeline of its video. Invalid edits throw
+// errors with `status = 400`, like the cue editing helpers.
+const { sortCues } = require("./cueEditing");
+const { MIN_CHAPTER_MS } = require("./chapters");
+
+const MIN_CLIP_MS = 500;
+const MAX_CLIPS = 50;
+// Cues clipped shorter than this are dropped rather than flashed on screen
+const MIN_CUE_MS = 200;
+
+function invalidEdit(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseRange(range, label) {
+  const start = Number(range?.start);
+  const end = Number(range?.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    throw invalidEdit(`${label} needs start and end in milliseconds`);
+  }
+  if (start < 0) {
+    throw invalidEdit(`${label} cannot start before 0`);
+  }
+  if (end - start < MIN_CLIP_MS) {
+    throw invalidEdit(`${label} must be at least ${MIN_CLIP_MS}ms long`);
+  }
+  return { start: Math.round(start), end: Math.round(end) };
+}
+
+// Keep-ranges of one video: sorted, with overlapping or touching ranges joined
+function normalizeKeepRanges(ranges) {
+  if (!Array.isArray(ranges) || !ranges.length || ranges.length > MAX_CLIPS) {
+    throw invalidEdit(`keep must list 1 to ${MAX_CLIPS} ranges`);
+  }
+
+  const sorted = ranges
+    .map((range, i) => parseRange(range, `keep[${i}]`))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+// Clips from one or more videos, played in the order given
+function normalizeClips(clips, defaultVideoId) {
+  if (!Array.isArray(clips) || !clips.length || clips.length > MAX_CLIPS) {
+    throw invalidEdit(`clips must list 1 to ${MAX_CLIPS} clips`);
+  }
+
+  return clips.map((clip, i) => ({
+    video: String(clip?.videoId || defaultVideoId),
+    ...parseRange(clip, `clips[${i}]`)
+  }));
+}
+
+// Reject clips running past the end of their video; `durations` maps video id to ms
+function checkClipBounds(clips, durations) {
+  clips.forEach((clip, i) => {
+    const duration = durations.get(clip.video);
+    // Allow a frame of slack, durations are rounded when probed
+    if (duration && clip.end > duration + 50) {
+      throw invalidEdit(`clips[${i}] ends after the video does (${duration}ms)`);
+    }
+  });
+}
+
+// Where each clip starts in the edited video
+function layoutClips(clips) {
+  let offset = 0;
+  return clips.map((clip) => {
+    const placed = { ...clip, offset };
+    offset += clip.end - clip.start;
+    return placed;
+  });
+}
+
+const totalDuration = (clips) => clips.reduce((sum, clip) => sum + clip.end - clip.start, 0);
+
+// Cues of the edited video. `cuesFor(clip)` returns the cues of the clip's
+// source; cues are cut to the clip and moved to where the clip now plays.
+function remapCues(clips, cuesFor) {
+  const remapped = [];
+  for (const clip of layoutClips(clips)) {
+    for (const cue of cuesFor(clip) || []) {
+      const start = Math.max(cue.start, clip.start);
+      const end = Math.min(cue.end, clip.end);
+      if (end - start < MIN_CUE_MS) {
+        continue;
+      }
+      remapped.push({
+        start: start - clip.start + clip.offset,
+        end: end - clip.start + clip.offset,
+        text: cue.text
+      });
+    }
+  }
+  return sortCues(remapped);
+}
+
+// Chapters of the edited video. `chaptersFor(clip)` returns the chapters of
+// the clip's source. A clip opens with the chapter playing where it starts;
+// chapters that start inside a clip move with it, those in cut ranges go.
+function remapChapters(clips, chaptersFor) {
+  const remapped = [];
+  let previousChapter = null;
+  for (const clip of layoutClips(clips)) {
+    const chapters = [...(chaptersFor(clip) || [])].sort((a, b) => a.start - b.start);
+    const opening = chapters.filter(chapter => chapter.start <= clip.start).pop();
+    const inside = chapters.filter(chapter => chapter.start > clip.start && chapter.start < clip.end);
+    for (const chapter of opening ? [opening, ...inside] : inside) {
+      // A cut inside one chapter does not start it again
+      if (chapter === previousChapter) {
+        continue;
+      }
+      previousChapter = chapter;
+      const start = Math.max(chapter.start, clip.start) - clip.start + clip.offset;
+      const last = remapped[remapped.length - 1];
+      if (last && start - last.start < MIN_CHAPTER_MS) {
+        continue;
+      }
+      remapped.push({ start, title: chapter.title });
+    }
+    if (!opening && !inside.length) {
+      previousChapter = null;
+    }
+  }
+  return remapped;
+}
+
+module.exports = {
+  MAX_CLIPS,
+  normalizeKeepRanges,
+  normalizeClips,
+  checkClipBounds,
+  layoutClips,
+  totalDuration,
+  remapCues,
+  remapChapters
+};
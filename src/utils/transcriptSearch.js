@@ -0,0 +1,101 @@
+const { parseSrt, formatTimestamp } = require("./subtitleFormats");
+
+const SNIPPET_LENGTH = 160;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (value) => value
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// Split a query into quoted phrases and single words, the same way $text reads it.
+// Negated terms ("-word") only narrow the Mongo query and are not highlighted.
+function parseSearchTerms(query) {
+  const terms = [];
+  const phrasePattern = /"([^"]+)"/g;
+  let match;
+  while ((match = phrasePattern.exec(query)) !== null) {
+    terms.push(match[1].trim());
+  }
+  query
+    .replace(phrasePattern, " ")
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith("-"))
+    .forEach(word => terms.push(word));
+  return [...new Set(terms.map(term => term.toLowerCase()).filter(term => term.length > 1))];
+}
+
+// Words match by prefix, a rough stand-in for the stemming $text applies
+function buildTermPattern(terms) {
+  if (!terms.length) {
+    return null;
+  }
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => (term.includes(" ") ? escapeRegex(term) : `${escapeRegex(term)}[\\p{L}\\p{M}\\p{N}]*`));
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${alternatives.join("|")})`, "giu");
+}
+
+// Cut the text down around the first match and wrap every match in <mark>
+function highlight(text, pattern) {
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    const anchor = first ? first.index : 0;
+    start = Math.max(0, anchor - Math.floor(SNIPPET_LENGTH / 3));
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  const excerpt = text.slice(start, end);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+
+  pattern.lastIndex = 0;
+  let html = "";
+  let cursor = 0;
+  for (const found of excerpt.matchAll(pattern)) {
+    html += escapeHtml(excerpt.slice(cursor, found.index)) + `<mark>${escapeHtml(found[0])}</mark>`;
+    cursor = found.index + found[0].length;
+  }
+  html += escapeHtml(excerpt.slice(cursor));
+  return prefix + html + suffix;
+}
+
+// Every cue of every track that mentions one of the terms, in timeline order
+function findMatchingCues(video, terms, limit = 5) {
+  const pattern = buildTermPattern(terms);
+  if (!pattern) {
+    return [];
+  }
+
+  const tracks = video.subtitleTracks?.length
+    ? video.subtitleTracks
+    : [{ lang: video.language || "en", cues: parseSrt(video.subtitle || "") }];
+
+  const matches = [];
+  for (const track of tracks) {
+    const cues = track.cues?.length ? track.cues : parseSrt(track.srt || "");
+    for (const cue of cues) {
+      pattern.lastIndex = 0;
+      if (pattern.test(cue.text)) {
+        matches.push({
+          cueId: cue._id,
+          lang: track.lang,
+          start: cue.start,
+          end: cue.end,
+          startTime: formatTimestamp(cue.start, "."),
+          text: cue.text,
+          snippet: highlight(cue.text, pattern)
+        });
+      }
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start).slice(0, limit);
+}
+
+module.exports = { parseSearchTerms, buildTermPattern, highlight, findMatchingCues };
@@ -0,0 +1,16 @@
+const path = require("path");
+
+const SRC_ROOT = path.join(__dirname, "..");
+const UPLOADS_ROOT = path.join(SRC_ROOT, "uploads");
+
+// Uploads are received here before they are handed to the storage backend
+const INCOMING_DIR = path.join(UPLOADS_ROOT, ".incoming");
+// Scratch space for processing jobs, one directory per job
+const WORK_ROOT = path.join(UPLOADS_ROOT, ".work");
+
+// Resolve a legacy "/uploads/..." URL, as stored before storage keys, to an absolute path
+function fromUploadsUrl(url) {
+  return path.join(SRC_ROOT, url);
+}
+
+module.exports = { UPLOADS_ROOT, INCOMING_DIR, WORK_ROOT, fromUploadsUrl };
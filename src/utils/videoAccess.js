@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const ShareLink = require("../models/shareLink");
+const { getWorkspaceRole } = require("./workspaceAccess");
+
+const DEFAULT_SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 60 * 60;
+const MAX_SIGNED_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const getSigningSecret = () => process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function generateShareToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function signature(videoId, scope, expires) {
+  return crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`${videoId}:${scope}:${expires}`)
+    .digest("base64url");
+}
+
+// Query parameters that grant `scope` ("stream" or "download") on one video until they expire
+function createSignedParams(videoId, scope, ttlSeconds = DEFAULT_SIGNED_URL_TTL_SECONDS) {
+  const ttl = Math.min(MAX_SIGNED_URL_TTL_SECONDS, Math.max(60, parseInt(ttlSeconds) || DEFAULT_SIGNED_URL_TTL_SECONDS));
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return { expires: String(expires), sig: signature(String(videoId), scope, expires) };
+}
+
+function verifySignedParams(videoId, scope, query = {}) {
+  const expires = parseInt(query.expires);
+  if (!query.sig || !expires || expires < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = Buffer.from(signature(String(videoId), scope, expires));
+  const given = Buffer.from(String(query.sig));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+async function findActiveShareLink(videoId, token) {
+  if (!token || typeof token !== "string") {
+    return null;
+  }
+  const link = await ShareLink.findOne({ tokenHash: hashToken(token), video: videoId, revokedAt: null });
+  if (!link || (link.expiresAt && link.expiresAt <= new Date())) {
+    return null;
+  }
+  return link;
+}
+
+const denied = (status, error, extra = {}) => ({ allowed: false, status, error, ...extra });
+
+// Decide whether a request may see a video. `video` must be loaded with +passwordHash.
+//   scope     "stream" or "download", checked against signed URLs
+//   userId    set when the request carried a valid access token
+//   query     may hold expires/sig (signed URL) or share (share link token)
+//   password  from the X-Video-Password header or an unlock request
+// Resolves with { allowed, via, role? } or { allowed: false, status, error }.
+async function checkVideoAccess(video, { scope, userId, query = {}, shareToken, password }) {
+  if (userId && video.owner.toString() === userId) {
+    return { allowed: true, via: "owner" };
+  }
+
+  // Every role of the video's workspace can watch, without a password
+  const role = await getWorkspaceRole(video.workspace, userId);
+  if (role) {
+    return { allowed: true, via: "workspace", role };
+  }
+
+  // Signed URLs are only handed out after every other check passed
+  if (verifySignedParams(video._id, scope, query)) {
+    return { allowed: true, via: "signature" };
+  }
+
+  let via = null;
+  const token = shareToken || query.share;
+  if (token) {
+    const link = await findActiveShareLink(video._id, token);
+    if (!link) {
+      return denied(403, "Share link is invalid, expired or revoked");
+    }
+    // At most one write a minute per link, players fetch many segments in a row
+    const minuteAgo = new Date(Date.now() - 60 * 1000);
+    await ShareLink.updateOne(
+      { _id: link._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: minuteAgo } }] },
+      { $set: { lastUsedAt: new Date() } }
+    );
+    via = "share-link";
+  } else if (video.visibility === "public" || video.visibility === "unlisted") {
+    via = video.visibility;
+  }
+
+  if (!via) {
+    return denied(403, "Access denied");
+  }
+
+  if (video.passwordHash) {
+    if (!password) {
+      return denied(401, "This video is password protected", { passwordRequired: true });
+    }
+    if (!(await bcrypt.compare(String(password), video.passwordHash))) {
+      return denied(401, "Incorrect video password", { passwordRequired: true });
+    }
+  }
+
+  return { allowed: true, via };
+}
+
+module.exports = {
+  hashToken,
+  generateShareToken,
+  createSignedParams,
+  verifySignedParams,
+  checkVideoAccess,
+  DEFAULT_SIGNED_URL_TTL_SECONDS
+};
@@ -0,0 +1,219 @@
+const mongoose = require("mongoose");
+const Video = require("../models/video");
+const Folder = require("../models/folder");
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_FOLDER_DEPTH = 10;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VIDEO_STATUSES = Video.schema.path("status").enumValues;
+
+// ?sort value -> field, and the order used when ?order is not given
+const SORTS = {
+  createdAt: { field: "createdAt", order: "desc" },
+  title: { field: "title", order: "asc" },
+  duration: { field: "duration", order: "desc" },
+  views: { field: "viewCount", order: "desc" }
+};
+// Titles sort the way people read them, not by code point
+const TITLE_COLLATION = { locale: "en", strength: 2 };
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// Tags from a list or a comma separated string: trimmed, lowercase, unique
+function normalizeTags(value) {
+  if (value === null) {
+    return [];
+  }
+  const list = typeof value === "string" ? value.split(",") : value;
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== "string")) {
+    throw badRequest("tags must be a list of strings");
+  }
+  const tags = [...new Set(list.map(tag => tag.trim().replace(/\s+/g, " ").toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) {
+    throw badRequest(`A video can have at most ${MAX_TAGS} tags`);
+  }
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw badRequest(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  return tags;
+}
+
+// Number of folders above this one
+async function folderDepth(folder) {
+  let depth = 0;
+  for (let parent = folder.parent; parent; depth++) {
+    const above = await Folder.findById(parent).select("parent").lean();
+    parent = above ? above.parent : null;
+  }
+  return depth;
+}
+
+// Ids of a folder and every folder below it
+async function folderTreeIds(folderId, ownerId) {
+  const ids = [new mongoose.Types.ObjectId(String(folderId))];
+  for (let level = ids; level.length;) {
+    const children = await Folder.find({ owner: ownerId, parent: { $in: level } }).select("_id").lean();
+    level = children.map(child => child._id);
+    ids.push(...level);
+  }
+  return ids;
+}
+
+const encodeCursor = (video, field) => Buffer.from(JSON.stringify({
+  value: video[field] === undefined ? null : video[field],
+  id: video._id
+})).toString("base64url");
+
+function decodeCursor(cursor, field) {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error("invalid id");
+    }
+    return {
+      value: value !== null && field === "createdAt" ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch {
+    throw badRequest("cursor is invalid");
+  }
+}
+
+// Videos that come after the cursor in (field, _id) order. Missing values sort
+// first ascending and last descending, as MongoDB orders them.
+function afterCursor(field, direction, { value, id }) {
+  const beyond = direction === 1 ? "$gt" : "$lt";
+  if (value === null) {
+    return {
+      $or: [
+        { [field]: null, _id: { [beyond]: id } },
+        ...(direction === 1 ? [{ [field]: { $ne: null } }] : [])
+      ]
+    };
+  }
+  return {
+    $or: [
+      { [field]: { [beyond]: value } },
+      { [field]: value, _id: { [beyond]: id } },
+      ...(direction === -1 ? [{ [field]: null }] : [])
+    ]
+  };
+}
+
+function parseDate(value, name, endOfDay = false) {
+  if (typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+    throw badRequest(`${name} must be a date`);
+  }
+  const date = new Date(value);
+  // A bare day includes all of it
+  return endOfDay && DAY_PATTERN.test(value) ? new Date(date.getTime() + DAY_MS) : date;
+}
+
+function parseSeconds(value, name) {
+  const seconds = Number(value);
+  if (value === "" || !Number.isFinite(seconds) || seconds < 0) {
+    throw badRequest(`${name} must be a number of seconds`);
+  }
+  return seconds;
+}
+
+// Listing filters shared by the library endpoints:
+// ?tag=a,b (all of them), ?from & ?to (upload date), ?minDuration & ?maxDuration
+// (seconds), ?status=ready,processing
+function parseListingFilters(query) {
+  const filter = {};
+
+  if (query.tag !== undefined) {
+    const tags = normalizeTags(String(query.tag));
+    if (tags.length) filter.tags = { $all: tags };
+  }
+
+  if (query.from !== undefined || query.to !== undefined) {
+    filter.createdAt = {};
+    if (query.from !== undefined) filter.createdAt.$gte = parseDate(query.from, "from");
+    if (query.to !== undefined) filter.createdAt.$lt = parseDate(query.to, "to", true);
+  }
+
+  if (query.minDuration !== undefined || query.maxDuration !== undefined) {
+    filter.duration = {};
+    if (query.minDuration !== undefined) filter.duration.$gte = parseSeconds(query.minDuration, "minDuration");
+    if (query.maxDuration !== undefined) filter.duration.$lte = parseSeconds(query.maxDuration, "maxDuration");
+  }
+
+  if (query.status !== undefined) {
+    const statuses = String(query.status).split(",").map(status => status.trim()).filter(Boolean);
+    if (!statuses.length || statuses.some(status => !VIDEO_STATUSES.includes(status))) {
+      throw badRequest(`status must be one of: ${VIDEO_STATUSES.join(", ")}`);
+    }
+    filter.status = { $in: statuses };
+  }
+
+  return filter;
+}
+
+// One page of videos matching `baseFilter` plus the query filters, ordered by
+// ?sort (createdAt, title, duration, views) and ?order (asc, desc). Pages are
+// keyed by ?cursor from the previous page, so uploads arriving in between do
+// not shift or repeat entries.
+async function listVideos(baseFilter, query, { populate } = {}) {
+  const sortName = query.sort === undefined ? "createdAt" : query.sort;
+  if (!SORTS[sortName]) {
+    throw badRequest(`sort must be one of: ${Object.keys(SORTS).join(", ")}`);
+  }
+  const order = query.order === undefined ? SORTS[sortName].order : query.order;
+  if (order !== "asc" && order !== "desc") {
+    throw badRequest("order must be asc or desc");
+  }
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw badRequest("limit must be a positive number");
+  }
+  const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+
+  const { field } = SORTS[sortName];
+  const direction = order === "asc" ? 1 : -1;
+  const filter = { ...baseFilter, ...parseListingFilters(query) };
+  const pageFilter = query.cursor
+    ? { $and: [filter, afterCursor(field, direction, decodeCursor(String(query.cursor), field))] }
+    : filter;
+
+  let find = Video.find(pageFilter).sort({ [field]: direction, _id: direction }).limit(pageSize + 1);
+  if (field === "title") {
+    find = find.collation(TITLE_COLLATION);
+  }
+  if (populate) {
+    find = find.populate(populate);
+  }
+  const [videos, total] = await Promise.all([find.lean(), Video.countDocuments(filter)]);
+
+  const hasMore = videos.length > pageSize;
+  const page = videos.slice(0, pageSize);
+  return {
+    videos: page,
+    pagination: {
+      limit: pageSize,
+      total,
+      sort: sortName,
+      order,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null
+    }
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  MAX_FOLDER_DEPTH,
+  normalizeTags,
+  folderDepth,
+  folderTreeIds,
+  listVideos
+};
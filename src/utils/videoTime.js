@@ -0,0 +1,21 @@
+// Read a position in a video ("time", ms) from a request body. Throws an error
+// with `status = 400` when it is missing or outside the video.
+function parseVideoTime(value, video) {
+  const time = Number(value);
+  if (value === undefined || value === null || value === "" || !Number.isFinite(time) || time < 0) {
+    const err = new Error("time must be a non-negative number of milliseconds");
+    err.status = 400;
+    throw err;
+  }
+
+  // Allow a frame of slack, durations are rounded when probed
+  const duration = Math.round((video.duration || 0) * 1000);
+  if (duration && time > duration + 50) {
+    const err = new Error(`time is past the end of the video (${duration}ms)`);
+    err.status = 400;
+    throw err;
+  }
+  return Math.min(Math.round(time), duration || Math.round(time));
+}
+
+module.exports = { parseVideoTime };
@@ -0,0 +1,83 @@
+const Video = require("../models/video");
+const ShareLink = require("../models/shareLink");
+const Comment = require("../models/comment");
+const Reaction = require("../models/reaction");
+const View = require("../models/view");
+const VideoDailyStat = require("../models/videoDailyStat");
+const { getStorage } = require("../services/storage");
+const { notifyVideoEvent } = require("./webhooks");
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Jobs still write files for these, purging has to wait until they finish
+const isBusy = (video) => video.status === "processing" || video.edit?.status === "processing";
+
+const purgeAfter = (video) => (video.deletedAt ? new Date(video.deletedAt.getTime() + TRASH_RETENTION_MS) : null);
+
+// Every file the pipeline derives from a video lives under one of these
+function storedFilesOf(video) {
+  const keys = [video.videoKey, video.sourceKey, video.thumbnailKey, video.edit?.original?.videoKey, video.edit?.original?.sourceKey]
+    .concat((video.thumbnailCandidates || []).map(candidate => candidate.key));
+  const prefixes = [
+    video.hls?.prefix || `hls/${video._id}`,
+    video.storyboard?.prefix || `storyboards/${video._id}`,
+    `thumbnails/${video._id}`
+  ];
+  return { keys: [...new Set(keys.filter(Boolean))], prefixes };
+}
+
+// Remove a video for good: its files, share links, comments, reactions,
+// analytics and the record itself.
+// Subtitle tracks live on the record and go with it.
+async function purgeVideo(video) {
+  const storage = getStorage();
+  const { keys, prefixes } = storedFilesOf(video);
+
+  for (const key of keys) {
+    await storage.delete(key);
+  }
+  for (const prefix of prefixes) {
+    await storage.deletePrefix(prefix);
+  }
+
+  await ShareLink.deleteMany({ video: video._id });
+  await Comment.deleteMany({ video: video._id });
+  await Reaction.deleteMany({ video: video._id });
+  await View.deleteMany({ video: video._id });
+  await VideoDailyStat.deleteMany({ video: video._id });
+  await Video.deleteOne({ _id: video._id });
+  notifyVideoEvent("video.deleted", video, { permanent: true });
+}
+
+// Scheduled: purge videos whose time in the trash has run out. Videos still
+// being processed are left for the next run so no job writes files after them.
+async function purgeExpiredTrash() {
+  const expired = await Video.find({
+    deletedAt: { $ne: null, $lte: new Date(Date.now() - TRASH_RETENTION_MS) },
+    status: { $ne: "processing" },
+    "edit.status": { $ne: "processing" }
+  });
+
+  let purged = 0;
+  for (const video of expired) {
+    try {
+      await purgeVideo(video);
+      purged++;
+    } catch (err) {
+      console.error(`Failed to purge video ${video._id}:`, err.message);
+    }
+  }
+
+  if (purged) {
+    console.log(`Purged ${purged} video(s) from the trash`);
+  }
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  isBusy,
+  purgeAfter,
+  purgeVideo,
+  purgeExpiredTrash
+};
@@ -0,0 +1,299 @@
+const View = require("../models/view");
+const Video = require("../models/video");
+const User = require("../models/user");
+const VideoDailyStat = require("../models/videoDailyStat");
+const { hashToken } = require("./videoAccess");
+const { notifyVideoEvent } = require("./webhooks");
+
+// A viewer coming back within this window continues the same view
+const VIEW_SESSION_MS = 30 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+// Played at least this share of the video to count as completed
+const COMPLETION_THRESHOLD = 90;
+const RAW_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RAW_RETENTION_DAYS) || 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Far longer than any plan allows a video to be
+const MAX_RETENTION_SECONDS = 24 * 60 * 60;
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+// Signed-in viewers are counted by account. Everyone else gets a fingerprint
+// of address, browser and share link, so links forwarded around count apart.
+function viewerKeyFor(req) {
+  if (req.userId) {
+    return `user:${req.userId}`;
+  }
+  const shareToken = req.get("X-Share-Token") || req.query.share || req.body?.share || "";
+  return `anon:${hashToken([req.ip, req.get("User-Agent") || "", shareToken].join("|"))}`;
+}
+
+// Start a view, or continue the viewer's recent one. Owners watching their own
+// video and videos that are not ready yet are not counted. Resolves with the View or null.
+async function recordView(video, req, source = "player") {
+  if (req.videoAccess?.via === "owner" || video.status !== "ready") {
+    return null;
+  }
+
+  const viewerKey = viewerKeyFor(req);
+  const now = new Date();
+  const recent = await View.findOneAndUpdate(
+    { video: video._id, viewerKey, lastSeenAt: { $gte: new Date(now.getTime() - VIEW_SESSION_MS) } },
+    { $set: { lastSeenAt: now } },
+    { sort: { lastSeenAt: -1 }, new: true }
+  );
+  if (recent) {
+    return recent;
+  }
+
+  const view = await View.create({
+    video: video._id,
+    viewerKey,
+    user: req.userId || null,
+    via: req.videoAccess?.via || "",
+    source,
+    lastSeenAt: now
+  });
+  await Video.updateOne({ _id: video._id }, { $inc: { viewCount: 1 } }, { timestamps: false });
+  notifyVideoEvent("video.viewed", video, {
+    view: { id: view._id, viewer: view.user, anonymous: !view.user, via: view.via, source }
+  });
+  return view;
+}
+
+// Add [start, end) to a sorted list of merged ranges
+function mergeRange(ranges, start, end) {
+  const merged = [];
+  let current = { start, end };
+  for (const range of ranges) {
+    if (range.end < current.start) {
+      merged.push(range);
+    } else if (range.start > current.end) {
+      merged.push(current);
+      current = range;
+    } else {
+      current = { start: Math.min(range.start, current.start), end: Math.max(range.end, current.end) };
+    }
+  }
+  merged.push(current);
+  return merged;
+}
+
+const coveredMs = (ranges) => ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+
+// Heartbeat { from, to }: the player played from `from` to `to` (ms) since the
+// previous beat. Play time is capped by the wall clock so a client cannot
+// claim more than it could have watched.
+async function recordHeartbeat(view, { from, to }, durationMs) {
+  const start = Number(from);
+  const end = Number(to);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end < start) {
+    const err = new Error("from and to must be positions in milliseconds with from <= to");
+    err.status = 400;
+    throw err;
+  }
+  // Positions are only trusted within the video, so they need its length
+  if (!durationMs) {
+    const err = new Error("The video's duration is not known yet");
+    err.status = 409;
+    throw err;
+  }
+
+  const now = new Date();
+  const clampedStart = Math.min(start, durationMs);
+  const clampedEnd = Math.min(end, durationMs);
+  // Players can run at 2x, plus some slack for late beats
+  const maxPlayed = 2 * (now - view.lastSeenAt) + HEARTBEAT_INTERVAL_MS;
+  const played = Math.min(clampedEnd - clampedStart, maxPlayed);
+
+  if (played > 0) {
+    view.ranges = mergeRange(
+      view.ranges.map(range => ({ start: range.start, end: range.end })),
+      Math.round(clampedStart),
+      Math.round(clampedStart + played)
+    );
+    view.watchTimeMs += Math.round(played);
+    view.completion = Math.min(100, Math.round((coveredMs(view.ranges) / durationMs) * 1000) / 10);
+  }
+  view.lastSeenAt = now;
+  await view.save();
+  return view;
+}
+
+// retention[s] = number of views that played second s. Seconds past
+// MAX_RETENTION_SECONDS are ignored so a bad range cannot blow up the array.
+function retentionOf(views) {
+  const retention = [];
+  for (const view of views) {
+    for (const range of view.ranges || []) {
+      const last = Math.min(Math.ceil(range.end / 1000), MAX_RETENTION_SECONDS);
+      for (let second = Math.floor(range.start / 1000); second < last; second++) {
+        retention[second] = (retention[second] || 0) + 1;
+      }
+    }
+  }
+  return Array.from(retention, count => count || 0);
+}
+
+// Rebuild the daily aggregate of one video for one UTC day from its raw views
+async function rollupDay(videoId, day) {
+  const dayStart = new Date(`${day}T00:00:00.000Z`);
+  const views = await View.find({
+    video: videoId,
+    createdAt: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) }
+  }).lean();
+
+  await VideoDailyStat.updateOne(
+    { video: videoId, day },
+    {
+      $set: {
+        views: views.length,
+        uniqueViewers: new Set(views.map(view => view.viewerKey)).size,
+        watchTimeMs: views.reduce((sum, view) => sum + view.watchTimeMs, 0),
+        completionSum: views.reduce((sum, view) => sum + view.completion, 0),
+        completions: views.filter(view => view.completion >= COMPLETION_THRESHOLD).length,
+        retention: retentionOf(views)
+      }
+    },
+    { upsert: true }
+  );
+}
+
+// Roll views changed since the last run into daily aggregates, for one video
+// or for all of them
+async function rollupViews(videoId = null) {
+  const startedAt = new Date();
+  const changed = {
+    ...(videoId ? { video: videoId } : {}),
+    $or: [{ rolledUpAt: null }, { $expr: { $gt: ["$updatedAt", "$rolledUpAt"] } }]
+  };
+
+  const days = await View.aggregate([
+    { $match: changed },
+    { $group: { _id: { video: "$video", day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } } } } }
+  ]);
+  for (const { _id } of days) {
+    await rollupDay(_id.video, _id.day);
+  }
+
+  // Views updated while this ran are picked up next time
+  await View.updateMany(
+    { ...changed, updatedAt: { $lte: startedAt } },
+    { $set: { rolledUpAt: startedAt } },
+    { timestamps: false }
+  );
+  return days.length;
+}
+
+// Scheduled: roll up every video, then drop raw views past the raw retention
+async function rollupViewStats() {
+  const days = await rollupViews();
+  const { deletedCount } = await View.deleteMany({
+    createdAt: { $lt: new Date(Date.now() - RAW_RETENTION_DAYS * DAY_MS) },
+    rolledUpAt: { $ne: null },
+    $expr: { $lte: ["$updatedAt", "$rolledUpAt"] }
+  });
+  if (days || deletedCount) {
+    console.log(`Rolled up ${days} video day(s) of views, removed ${deletedCount} old raw view(s)`);
+  }
+}
+
+// Totals, daily series, retention curve and viewers of one video between two
+// "YYYY-MM-DD" days, inclusive
+async function buildVideoAnalytics(video, from, to) {
+  await rollupViews(video._id);
+
+  const stats = await VideoDailyStat.find({ video: video._id, day: { $gte: from, $lte: to } }).sort({ day: 1 }).lean();
+  const statsByDay = new Map(stats.map(stat => [stat.day, stat]));
+
+  const daily = [];
+  for (let date = new Date(`${from}T00:00:00.000Z`); dayOf(date) <= to; date = new Date(date.getTime() + DAY_MS)) {
+    const stat = statsByDay.get(dayOf(date));
+    daily.push({
+      date: dayOf(date),
+      views: stat ? stat.views : 0,
+      uniqueViewers: stat ? stat.uniqueViewers : 0,
+      watchTimeMs: stat ? stat.watchTimeMs : 0
+    });
+  }
+
+  const views = stats.reduce((sum, stat) => sum + stat.views, 0);
+  const watchTimeMs = stats.reduce((sum, stat) => sum + stat.watchTimeMs, 0);
+  const completionSum = stats.reduce((sum, stat) => sum + stat.completionSum, 0);
+
+  const retentionCounts = [];
+  for (const stat of stats) {
+    stat.retention.forEach((count, second) => {
+      retentionCounts[second] = (retentionCounts[second] || 0) + count;
+    });
+  }
+  const seconds = Math.max(Math.ceil(video.duration || 0), retentionCounts.length);
+  const retention = Array.from({ length: seconds }, (_, second) => {
+    const viewers = retentionCounts[second] || 0;
+    return views ? Math.round((viewers / views) * 1000) / 10 : 0;
+  });
+
+  // Who watched comes from raw views, so it covers the raw retention period
+  const rangeFilter = {
+    video: video._id,
+    createdAt: { $gte: new Date(`${from}T00:00:00.000Z`), $lt: new Date(new Date(`${to}T00:00:00.000Z`).getTime() + DAY_MS) }
+  };
+  const viewers = await View.aggregate([
+    { $match: rangeFilter },
+    { $sort: { lastSeenAt: 1 } },
+    {
+      $group: {
+        _id: "$viewerKey",
+        user: { $last: "$user" },
+        via: { $last: "$via" },
+        views: { $sum: 1 },
+        watchTimeMs: { $sum: "$watchTimeMs" },
+        completion: { $max: "$completion" },
+        lastViewedAt: { $max: "$lastSeenAt" }
+      }
+    },
+    { $sort: { lastViewedAt: -1 } },
+    { $limit: 100 }
+  ]);
+  const users = await User.find({ _id: { $in: viewers.map(viewer => viewer.user).filter(Boolean) } }).select("name").lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const uniqueViewers = (await View.distinct("viewerKey", rangeFilter)).length;
+
+  return {
+    from,
+    to,
+    totals: {
+      views,
+      uniqueViewers,
+      watchTimeMs,
+      averageWatchTimeMs: views ? Math.round(watchTimeMs / views) : 0,
+      averageCompletion: views ? Math.round((completionSum / views) * 10) / 10 : 0,
+      completions: stats.reduce((sum, stat) => sum + stat.completions, 0)
+    },
+    daily,
+    // Percent of views that played each second of the video
+    retention,
+    viewers: viewers.map((viewer) => {
+      const user = viewer.user && usersById.get(viewer.user.toString());
+      return {
+        user: user ? { id: user._id, name: user.name } : null,
+        anonymous: !viewer.user,
+        via: viewer.via,
+        views: viewer.views,
+        watchTimeMs: viewer.watchTimeMs,
+        completion: viewer.completion,
+        lastViewedAt: viewer.lastViewedAt
+      };
+    })
+  };
+}
+
+module.exports = {
+  HEARTBEAT_INTERVAL_MS,
+  dayOf,
+  viewerKeyFor,
+  recordView,
+  recordHeartbeat,
+  rollupViews,
+  rollupViewStats,
+  buildVideoAnalytics
+};
@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const mongoose = require("mongoose");
+const Webhook = require("../models/webhook");
+const WebhookDelivery = require("../models/webhookDelivery");
+const { publicLookup, checkPublicUrl } = require("./publicAddress");
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+const WEBHOOK_EVENTS = [
+  "video.created",
+  "video.processing.completed",
+  "video.processing.failed",
+  "video.deleted",
+  "video.viewed"
+];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// Exponential backoff: 30s, 60s, 120s, ... about an hour before the last try
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+// A "sending" delivery older than this was cut off by a restart
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// Receivers check X-Webhook-Signature against this over the raw body
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+// What events about a video carry
+const videoEventData = (video) => ({
+  id: video._id,
+  title: video.title,
+  status: video.status,
+  duration: video.duration || 0,
+  visibility: video.visibility,
+  owner: video.owner && video.owner._id ? video.owner._id : video.owner,
+  workspace: video.workspace || null,
+  createdAt: video.createdAt,
+  url: `${BASE_URL}/api/videos/${video._id}`
+});
+
+// Queue `event` for every active webhook that listens to it: the creator's
+// personal ones and those of the video's workspace. Delivery happens in the
+// background, so callers never wait on a receiver.
+async function emitVideoEvent(event, video, extra = {}) {
+  const owner = video.owner && video.owner._id ? video.owner._id : video.owner;
+  const webhooks = await Webhook.find({
+    active: true,
+    events: event,
+    $or: [
+      { owner, workspace: null },
+      ...(video.workspace ? [{ workspace: video.workspace }] : [])
+    ]
+  }).select("_id").lean();
+  if (!webhooks.length) {
+    return 0;
+  }
+
+  // Every webhook gets the same event id; redeliveries keep it too, so
+  // receivers can drop duplicates
+  const payload = {
+    id: new mongoose.Types.ObjectId(),
+    event,
+    createdAt: new Date(),
+    data: { video: videoEventData(video), ...extra }
+  };
+  await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    event,
+    video: video._id,
+    payload
+  })));
+  deliverSoon();
+  return webhooks.length;
+}
+
+// Same as emitVideoEvent, for callers that must not fail because of webhooks
+function notifyVideoEvent(event, video, extra) {
+  emitVideoEvent(event, video, extra).catch((err) => {
+    console.error(`Failed to queue ${event} webhooks:`, err.message);
+  });
+}
+
+// POST `body` to a receiver. Redirects are not followed and the host is
+// resolved through publicLookup, so only public addresses are ever reached.
+// Resolves with { statusCode, ok, body } with the body cut to MAX_RESPONSE_BODY_LENGTH.
+async function postToReceiver(url, headers, body) {
+  const targetError = await checkPublicUrl(url);
+  if (targetError) {
+    throw new Error(targetError);
+  }
+
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.request(target, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: publicLookup
+    }, (response) => {
+      let text = "";
+      response.setEncoding("utf8");
+      response.on("data", (chunk) => {
+        if (text.length < MAX_RESPONSE_BODY_LENGTH) {
+          text += chunk;
+        }
+      });
+      response.on("end", () => {
+        clearTimeout(timer);
+        resolve({
+          statusCode: response.statusCode,
+          ok: response.statusCode >= 200 && response.statusCode < 300,
+          body: text.slice(0, MAX_RESPONSE_BODY_LENGTH)
+        });
+      });
+      response.on("error", reject);
+    });
+
+    const timer = setTimeout(() => {
+      const err = new Error(`No response within ${TIMEOUT_MS / 1000}s`);
+      err.name = "TimeoutError";
+      request.destroy(err);
+    }, TIMEOUT_MS);
+    request.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
+
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  // Deliveries queued before the webhook was turned off or deleted are dropped
+  if (!webhook || !webhook.active) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { status: "failed", lockedAt: null } });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: new Date() };
+  const startedAt = Date.now();
+  try {
+    const response = await postToReceiver(webhook.url, {
+      "Content-Type": "application/json",
+      "User-Agent": "loom-backend-webhooks",
+      "X-Webhook-Id": String(webhook._id),
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Delivery": String(delivery._id),
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body)
+    }, body);
+    attempt.statusCode = response.statusCode;
+    attempt.responseBody = response.body;
+    if (!response.ok) {
+      attempt.error = `Receiver answered ${response.statusCode}`;
+    }
+  } catch (err) {
+    attempt.error = err.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const attemptCount = delivery.attempts.length + 1;
+  const succeeded = !attempt.error;
+  const update = { $push: { attempts: attempt }, $set: { lockedAt: null } };
+  if (succeeded) {
+    update.$set.status = "succeeded";
+    update.$set.deliveredAt = new Date();
+  } else if (attemptCount >= MAX_ATTEMPTS) {
+    update.$set.status = "failed";
+  } else {
+    update.$set.status = "pending";
+    update.$set.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, attemptCount - 1));
+  }
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+  await Webhook.updateOne(
+    { _id: webhook._id },
+    { $set: { lastDeliveryAt: attempt.at, lastDeliveryStatus: succeeded ? "succeeded" : "failed" } }
+  );
+}
+
+const claimNextDelivery = () => WebhookDelivery.findOneAndUpdate(
+  {
+    $or: [
+      { status: "pending", nextAttemptAt: { $lte: new Date() } },
+      { status: "sending", lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } }
+    ]
+  },
+  { $set: { status: "sending", lockedAt: new Date() } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+let delivering = false;
+
+// Scheduled, and right after events are queued: send everything that is due
+async function deliverDueWebhooks() {
+  if (delivering) {
+    return;
+  }
+  delivering = true;
+  try {
+    let delivery = await claimNextDelivery();
+    while (delivery) {
+      await attemptDelivery(delivery);
+      delivery = await claimNextDelivery();
+    }
+  } finally {
+    delivering = false;
+  }
+}
+
+function deliverSoon() {
+  setImmediate(() => {
+    deliverDueWebhooks().catch((err) => console.error("Webhook delivery error:", err));
+  });
+}
+
+// Scheduled: drop finished deliveries past the retention period
+async function pruneWebhookDeliveries() {
+  const { deletedCount } = await WebhookDelivery.deleteMany({
+    status: { $in: ["succeeded", "failed"] },
+    createdAt: { $lt: new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000) }
+  });
+  if (deletedCount) {
+    console.log(`Removed ${deletedCount} old webhook deliveries`);
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  emitVideoEvent,
+  notifyVideoEvent,
+  deliverSoon,
+  deliverDueWebhooks,
+  pruneWebhookDeliveries
+};
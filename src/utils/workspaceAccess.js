@@ -0,0 +1,40 @@
+const Workspace = require("../models/workspace");
+
+// Higher ranks can do everything lower ones can
+const ROLE_RANKS = { viewer: 1, member: 2, admin: 3, owner: 4 };
+const WORKSPACE_ROLES = Object.keys(ROLE_RANKS);
+
+const hasRole = (role, minimum) => Boolean(role) && ROLE_RANKS[role] >= ROLE_RANKS[minimum];
+
+function roleIn(workspace, userId) {
+  const member = workspace?.members.find(entry => entry.user.toString() === String(userId));
+  return member ? member.role : null;
+}
+
+// Role of a user in a workspace, null when they are not a member
+async function getWorkspaceRole(workspaceId, userId) {
+  if (!workspaceId || !userId) {
+    return null;
+  }
+  const workspace = await Workspace.findOne({ _id: workspaceId, "members.user": userId }).select("members").lean();
+  return roleIn(workspace, userId);
+}
+
+// The creator of a video and the admins of its workspace may change or delete it
+async function canManageVideo(video, userId) {
+  if (!userId) {
+    return false;
+  }
+  if (video.owner.toString() === String(userId)) {
+    return true;
+  }
+  return hasRole(await getWorkspaceRole(video.workspace, userId), "admin");
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  hasRole,
+  roleIn,
+  getWorkspaceRole,
+  canManageVideo
+};
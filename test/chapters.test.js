@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeChapters, buildChaptersVtt, MAX_CHAPTERS } = require("../src/utils/chapters");
+
+test("normalizeChapters sorts, rounds and trims chapters", () => {
+  const chapters = normalizeChapters([
+    { start: 65000.4, title: "  Second   part " },
+    { start: 0, title: "Intro" }
+  ], 120000);
+  assert.deepEqual(chapters, [
+    { start: 0, title: "Intro" },
+    { start: 65000, title: "Second part" }
+  ]);
+});
+
+test("normalizeChapters accepts an empty list", () => {
+  assert.deepEqual(normalizeChapters([], 120000), []);
+});
+
+test("normalizeChapters refuses invalid input with status 400", () => {
+  const cases = [
+    ["not a list", 120000],
+    [[{ start: -1, title: "Before" }], 120000],
+    [[{ start: 120000, title: "At the end" }], 120000],
+    [[{ start: "soon", title: "Later" }], 120000],
+    [[{ start: 0, title: "   " }], 120000],
+    [[{ start: 0, title: "x".repeat(101) }], 120000],
+    [[{ start: 0, title: "A" }, { start: 500, title: "B" }], 120000],
+    [Array.from({ length: MAX_CHAPTERS + 1 }, (_, i) => ({ start: i * 1000, title: `Part ${i}` })), 0]
+  ];
+  for (const [chapters, durationMs] of cases) {
+    assert.throws(() => normalizeChapters(chapters, durationMs), (err) => err.status === 400);
+  }
+});
+
+test("normalizeChapters skips the end check when the duration is unknown", () => {
+  assert.deepEqual(normalizeChapters([{ start: 500000, title: "Late" }], 0), [{ start: 500000, title: "Late" }]);
+});
+
+test("buildChaptersVtt runs each chapter until the next one or the end", () => {
+  const vtt = buildChaptersVtt([
+    { start: 0, title: "Intro" },
+    { start: 65000, title: "Demo" }
+  ], 125500);
+  assert.equal(vtt, [
+    "WEBVTT",
+    "",
+    "1",
+    "00:00:00.000 --> 00:01:05.000",
+    "Intro",
+    "",
+    "2",
+    "00:01:05.000 --> 00:02:05.500",
+    "Demo",
+    ""
+  ].join("\n"));
+});
+
+test("buildChaptersVtt gives a last chapter past the duration a minimum length", () => {
+  const vtt = buildChaptersVtt([{ start: 10000, title: "Only" }], 0);
+  assert.match(vtt, /00:00:10\.000 --> 00:00:11\.000/);
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateEnrichment, registerLlmProvider } = require("../src/services/llm");
+
+const cues = [
+  { start: 0, end: 4000, text: "Welcome to the quarterly planning review, everyone." },
+  { start: 4000, end: 9000, text: "First we look at last quarter." },
+  { start: 9000, end: 15000, text: "Then the roadmap." },
+  { start: 62000, end: 70000, text: "Here is the roadmap for the next three months of work." },
+  { start: 125000, end: 130000, text: "Questions and answers." }
+];
+
+// Keep the provider's progress line out of the test output
+test.beforeEach((t) => t.mock.method(console, "log", () => {}));
+
+test("the fake provider titles and summarizes from the opening lines", async () => {
+  const result = await generateEnrichment({ cues, language: "en", durationMs: 140000 }, { provider: "fake" });
+  assert.equal(result.provider, "fake");
+  assert.equal(result.title, "Welcome to the quarterly planning review, everyone");
+  assert.equal(result.summary, "Welcome to the quarterly planning review, everyone. First we look at last quarter. Then the roadmap.");
+});
+
+test("the fake provider starts a chapter every minute", async () => {
+  const result = await generateEnrichment({ cues, language: "en", durationMs: 140000 }, { provider: "fake" });
+  assert.deepEqual(result.chapters, [
+    { start: 0, title: "Welcome to the quarterly planning review, everyone" },
+    { start: 62000, title: "Here is the roadmap for the next three…" },
+    { start: 125000, title: "Questions and answers" }
+  ]);
+});
+
+test("the fake provider adds no chapters to short videos", async () => {
+  const result = await generateEnrichment({ cues: cues.slice(0, 3), language: "en", durationMs: 15000 }, { provider: "fake" });
+  assert.deepEqual(result.chapters, []);
+});
+
+test("model output is cleaned up before it is used", async () => {
+  registerLlmProvider({
+    name: "messy",
+    async enrich() {
+      return {
+        title: "  \"Quarterly   planning\"  ",
+        summary: "A   review\nof the plan.",
+        chapters: [
+          { start: 62000, title: "Roadmap" },
+          { start: 3000, title: " Intro " },
+          { start: 62400, title: "Too close to the previous one" },
+          { start: 999999, title: "Past the end" },
+          { start: 90000, title: "" },
+          { start: "later", title: "Not a time" },
+          null
+        ]
+      };
+    }
+  });
+
+  const result = await generateEnrichment({ cues, language: "en", durationMs: 140000 }, { provider: "messy" });
+  assert.equal(result.title, "Quarterly planning");
+  assert.equal(result.summary, "A review of the plan.");
+  assert.deepEqual(result.chapters, [
+    { start: 0, title: "Intro" },
+    { start: 62000, title: "Roadmap" }
+  ]);
+});
+
+test("a single usable chapter is dropped", async () => {
+  registerLlmProvider({
+    name: "single",
+    async enrich() {
+      return { title: "", summary: "", chapters: [{ start: 0, title: "Everything" }] };
+    }
+  });
+
+  const result = await generateEnrichment({ cues, language: "en", durationMs: 140000 }, { provider: "single" });
+  assert.deepEqual(result.chapters, []);
+});
+
+test("an unknown provider is refused", async () => {
+  await assert.rejects(
+    generateEnrichment({ cues, language: "en", durationMs: 140000 }, { provider: "missing" }),
+    /Unknown LLM provider "missing"/
+  );
+});
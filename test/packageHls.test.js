@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { selectH264Level } = require("../src/utils/packageHls");
+
+test("selectH264Level picks the lowest level that fits the picture and frame rate", () => {
+  assert.equal(selectH264Level(1920, 1080, 30).level, "4.0");
+  assert.equal(selectH264Level(1920, 1080, 60).level, "4.2");
+  assert.equal(selectH264Level(1280, 720, 30).level, "3.1");
+  assert.equal(selectH264Level(1280, 720, 60).level, "3.2");
+  assert.equal(selectH264Level(640, 360, 30).level, "3.0");
+});
+
+test("selectH264Level assumes 60 fps when the frame rate is unknown", () => {
+  assert.equal(selectH264Level(1920, 1080, null).level, "4.2");
+});
+
+test("selectH264Level accounts for wide pictures", () => {
+  assert.equal(selectH264Level(3840, 1080, 30).level, "5.0");
+});
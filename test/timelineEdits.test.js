@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { remapChapters } = require("../src/utils/timelineEdits");
+
+const chapters = [
+  { start: 0, title: "Intro" },
+  { start: 30000, title: "Setup" },
+  { start: 60000, title: "Demo" },
+  { start: 90000, title: "Wrap-up" }
+];
+const chaptersFor = () => chapters;
+
+test("remapChapters moves chapters with a trim", () => {
+  const clips = [{ video: "a", start: 20000, end: 100000 }];
+  assert.deepEqual(remapChapters(clips, chaptersFor), [
+    { start: 0, title: "Intro" },
+    { start: 10000, title: "Setup" },
+    { start: 40000, title: "Demo" },
+    { start: 70000, title: "Wrap-up" }
+  ]);
+});
+
+test("remapChapters drops chapters in cut ranges", () => {
+  const clips = [
+    { video: "a", start: 0, end: 25000 },
+    { video: "a", start: 95000, end: 120000 }
+  ];
+  assert.deepEqual(remapChapters(clips, chaptersFor), [
+    { start: 0, title: "Intro" },
+    { start: 25000, title: "Wrap-up" }
+  ]);
+});
+
+test("remapChapters does not repeat a chapter a cut runs through", () => {
+  const clips = [
+    { video: "a", start: 0, end: 10000 },
+    { video: "a", start: 20000, end: 40000 }
+  ];
+  assert.deepEqual(remapChapters(clips, chaptersFor), [
+    { start: 0, title: "Intro" },
+    { start: 20000, title: "Setup" }
+  ]);
+});
+
+test("remapChapters stitches chapters of several videos", () => {
+  const other = [{ start: 0, title: "Other video" }];
+  const clips = [
+    { video: "a", start: 55000, end: 70000 },
+    { video: "b", start: 0, end: 5000 },
+    { video: "c", start: 0, end: 5000 }
+  ];
+  const byVideo = { a: chapters, b: other, c: [] };
+  assert.deepEqual(remapChapters(clips, (clip) => byVideo[clip.video]), [
+    { start: 0, title: "Setup" },
+    { start: 5000, title: "Demo" },
+    { start: 15000, title: "Other video" }
+  ]);
+});